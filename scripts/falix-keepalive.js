@@ -1,1616 +1,1773 @@
-const puppeteer = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+#!/usr/bin/env node
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
 const readline = require('readline');
-
-const NAVIGATION_WAIT_UNTIL = 'domcontentloaded';
-const DEFAULT_NAVIGATION_TIMEOUT = 90000;
-const DEFAULT_TIMEOUT = 60000;
-const LOGIN_FORM_TIMEOUT = 45000;
-const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
-const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-const CONFIG_FILE_PATH = path.join(__dirname, '..', 'falix.config.json');
-const TIMER_DEFAULT_INTERVAL_SECONDS = 3600;
-const TIMER_REQUEST_TIMEOUT = 15000;
-const COOKIES_FILE = path.join('/tmp', 'falix-cookies.json');
-const EMAIL_SELECTOR_CANDIDATES = [
-  'input[type="email"]',
-  'input[name="email"]',
-  'input[name="username"]',
-  '#email',
-  'input[placeholder*="email" i]',
-  'input[placeholder*="username" i]'
-];
-const PASSWORD_SELECTOR_CANDIDATES = [
-  'input[name="password"]',
-  'input[type="password"]',
-  '#password',
-  'input[placeholder*="password" i]'
-];
-const SUBMIT_SELECTOR_CANDIDATES = [
-  'button[type="submit"]',
-  'input[type="submit"]',
-  '[data-testid*="login"]',
-  '.btn-primary',
-  '.login-btn',
-  '.signin-btn'
-];
-const LOGIN_EMAIL_SELECTOR = EMAIL_SELECTOR_CANDIDATES.join(', ');
-const LOGIN_PASSWORD_SELECTOR = PASSWORD_SELECTOR_CANDIDATES.join(', ');
-const BLOCKED_DOMAIN_PATTERNS = [
-  /snigelweb\.com/i,
-  /prebid/i,
-  /onetag/i,
-  /rubiconproject\.com/i,
-  /adnxs\.com/i,
-  /pubmatic\.com/i,
-  /lijit\.com/i,
-  /triplelift\.com/i,
-  /doubleclick\.net/i,
-  /googlesyndication\.com/i,
-  /googletagmanager\.com/i,
-  /googletagservices\.com/i,
-  /google-analytics\.com/i
-];
-
-class CloudflareChallengeError extends Error {
+const { Writable } = require('stream');
+const { parseArgs } = require('util');
+const { FalixClient, launchBrowser } = require('./lib/falix-client');
+const {
+  loadConfig,
+  buildAccounts,
+  profileCookiesFile,
+  formatConfig,
+  snapshotConfig,
+  readConfigFile,
+  validateConfigData,
+  mergeConfigFile
+} = require('./lib/config');
+const { CloudflareChallengeError, ConfigError, CredentialError, LoginRejectedError, SessionExpiredError } = require('./lib/errors');
+const { formatDuration } = require('./lib/timer-status');
+const { HistoryLedger, summarizeHistory } = require('./lib/history');
+const { KeepaliveMetrics } = require('./lib/metrics');
+const { RunState } = require('./lib/run-state');
+const { StatusApi, ApiError } = require('./lib/status-api');
+const { Dashboard } = require('./lib/dashboard');
+const { WebhookNotifier } = require('./lib/notifier');
+const { EmailNotifier } = require('./lib/mailer');
+const { Logger, createRunId, withLogContext } = require('./lib/logger');
+const { Redactor } = require('./lib/redaction');
+const { DiagnosticBundler } = require('./lib/diagnostics');
+
+class UsageError extends Error {
   constructor(message) {
     super(message);
-    this.name = 'CloudflareChallengeError';
+    this.name = 'UsageError';
   }
 }
 
-async function randomDelay(minMs = 1000, maxMs = 3000) {
-  const delay = Math.random() * (maxMs - minMs) + minMs;
-  await new Promise(resolve => setTimeout(resolve, delay));
-  return delay;
+function isInteractive() {
+  return !process.env.CI && process.stdin.isTTY;
 }
 
-async function moveMouseAndClick(frame, selector, options = {}) {
-  try {
-    const element = await frame.$(selector);
-    if (!element) {
-      throw new Error(`Element not found: ${selector}`);
-    }
-
-    const boundingBox = await element.boundingBox();
-    if (!boundingBox) {
-      throw new Error(`Cannot get bounding box for ${selector}`);
+function createPrompter() {
+  // Readline echoes through this stream, so muting it hides password input
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!output.muted) {
+        process.stdout.write(chunk, encoding);
+      }
+      callback();
     }
+  });
+  output.muted = false;
+  
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+  // Forward Ctrl+C to the regular shutdown handler instead of pausing the prompt
+  rl.on('SIGINT', () => process.kill(process.pid, 'SIGINT'));
+  
+  const ask = (question, defaultValue) => new Promise((resolve) => {
+    const hint = defaultValue ? ` [${defaultValue}]` : '';
+    rl.question(`${question}${hint}: `, answer => resolve(answer.trim() || (defaultValue ? String(defaultValue) : '')));
+  });
+  
+  const askHidden = question => new Promise((resolve) => {
+    rl.question(`${question}: `, (answer) => {
+      output.muted = false;
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    output.muted = true;
+  });
+  
+  const confirm = async (question, defaultValue = false) => {
+    const answer = (await ask(`${question} (${defaultValue ? 'Y/n' : 'y/N'})`)).toLowerCase();
+    return answer ? ['y', 'yes'].includes(answer) : defaultValue;
+  };
+  
+  return { ask, askHidden, confirm, close: () => rl.close() };
+}
 
-    const x = boundingBox.x + boundingBox.width / 2;
-    const y = boundingBox.y + boundingBox.height / 2;
-
-    console.log(`Moving mouse to coordinates (${Math.round(x)}, ${Math.round(y)})...`);
-    await frame.mouse.move(x, y);
-    
-    const pauseMs = 200 + Math.random() * 300;
-    await new Promise(resolve => setTimeout(resolve, pauseMs));
-
-    console.log(`Clicking element: ${selector}`);
-    await element.click(options);
-
-    return true;
-  } catch (error) {
-    console.log(`moveMouseAndClick failed for ${selector}: ${error.message}`);
-    return false;
+async function promptForServerId() {
+  if (!isInteractive()) {
+    return null;
+  }
+  
+  const prompter = createPrompter();
+  try {
+    return (await prompter.ask('Please enter your Falix Server ID')) || null;
+  } finally {
+    prompter.close();
   }
 }
 
-async function scrollPage(scrollAmount = 300) {
+function saveServerId(serverId) {
   try {
-    await page.evaluate((amount) => {
-      window.scrollBy(0, amount);
-    }, scrollAmount);
-    
-    const pauseMs = 300 + Math.random() * 400;
-    await new Promise(resolve => setTimeout(resolve, pauseMs));
-    
+    mergeConfigFile(config.filePath, { serverId, FALIX_SERVER_ID: undefined }, { mode: 0o600 });
+    logger.info(`Configuration saved to ${config.filePath}`);
     return true;
   } catch (error) {
-    console.log(`Scroll failed: ${error.message}`);
+    logger.error(`Failed to save config file: ${error.message}`);
     return false;
   }
 }
 
-function saveCookies(cookies) {
-  try {
-    fs.writeFileSync(COOKIES_FILE, JSON.stringify(cookies, null, 2));
-    console.log(`Cookies saved to ${COOKIES_FILE}`);
-  } catch (error) {
-    console.warn(`Failed to save cookies: ${error.message}`);
+function describeAccountSource() {
+  if (config.values.accounts) {
+    logger.info(`Using account profiles from ${config.sources.accounts}`);
+  } else if (config.values.servers) {
+    logger.info(`Using ${config.values.servers.length} server(s) from ${config.sources.servers}`);
+  } else if (config.values.serverId) {
+    logger.info(`Using Server ID from ${config.sources.serverId}`);
   }
 }
 
-function loadCookies() {
-  try {
-    if (fs.existsSync(COOKIES_FILE)) {
-      const cookies = JSON.parse(fs.readFileSync(COOKIES_FILE, 'utf-8'));
-      console.log(`Loaded ${cookies.length} cookies from ${COOKIES_FILE}`);
-      return cookies;
+async function getAccountsWithFallback() {
+  const accounts = buildAccounts(config);
+  describeAccountSource();
+  
+  if (config.values.accounts) {
+    return accounts;
+  }
+  
+  const [account] = accounts;
+  if (!account.email || !account.password) {
+    throw new UsageError('FALIX_EMAIL and FALIX_PASSWORD (or their _FILE/_COMMAND variants) are required (or define account profiles in FALIX_ACCOUNTS or the config file)');
+  }
+  
+  if (account.servers.length === 0) {
+    logger.info('No server configured (run `init` to set up credentials and servers in one step)');
+    const promptedId = await promptForServerId();
+    if (promptedId) {
+      logger.info('Saving Server ID to config file...');
+      saveServerId(promptedId);
+      account.servers.push({ id: promptedId, intervalSeconds: config.values.timerInterval, enabled: true });
     }
-  } catch (error) {
-    console.warn(`Failed to load cookies: ${error.message}`);
   }
-  return null;
+  
+  return [account];
 }
 
-function loadConfigFile() {
-  try {
-    if (fs.existsSync(CONFIG_FILE_PATH)) {
-      const configData = JSON.parse(fs.readFileSync(CONFIG_FILE_PATH, 'utf-8'));
-      console.log(`Loaded configuration from ${CONFIG_FILE_PATH}`);
-      return configData;
+async function resolveAccounts() {
+  let accounts = await getAccountsWithFallback();
+
+  if (cliOptions.account && cliOptions.account.length > 0) {
+    const unknown = cliOptions.account.filter(name => !accounts.some(account => account.name === name));
+    if (unknown.length > 0) {
+      throw new UsageError(`Unknown account profile(s): ${unknown.join(', ')}`);
     }
-  } catch (error) {
-    console.warn(`Failed to load config file: ${error.message}`);
+    accounts = accounts.filter(account => cliOptions.account.includes(account.name));
   }
-  return null;
-}
 
-function saveConfigFile(configData) {
-  try {
-    fs.writeFileSync(CONFIG_FILE_PATH, JSON.stringify(configData, null, 2));
-    console.log(`Configuration saved to ${CONFIG_FILE_PATH}`);
-    return true;
-  } catch (error) {
-    console.error(`Failed to save config file: ${error.message}`);
-    return false;
+  // With account profiles, --server narrows each profile to the listed servers
+  if (cliOptions.server && cliOptions.server.length > 0 && !(accounts.length === 1 && accounts[0].name === 'default')) {
+    accounts = accounts
+      .map(account => ({ ...account, servers: account.servers.filter(server => cliOptions.server.includes(server.id)) }))
+      .filter(account => account.servers.length > 0);
   }
-}
 
-async function promptForServerId() {
-  if (process.env.CI || !process.stdin.isTTY) {
-    return null;
+  if (accounts.every(account => account.servers.length === 0)) {
+    throw new UsageError('Falix Server ID is required. Set FALIX_SERVER_ID or FALIX_SERVERS, or add serverId/servers to the config file.');
   }
-  
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
-  
-  return new Promise((resolve) => {
-    rl.question('Please enter your Falix Server ID: ', (answer) => {
-      rl.close();
-      resolve(answer.trim() || null);
-    });
-  });
-}
 
-async function getServerIdWithFallback() {
-  if (config.FALIX_SERVER_ID) {
-    console.log('Using Server ID from FALIX_SERVER_ID environment variable');
-    return config.FALIX_SERVER_ID;
-  }
-
-  if (config.FALIX_TIMER_ID) {
-    console.log('Using Server ID from FALIX_TIMER_ID environment variable (legacy support)');
-    return config.FALIX_TIMER_ID;
-  }
-
-  const configFile = loadConfigFile();
-  if (configFile) {
-    const candidateKeys = [
-      'serverId',
-      'ServerId',
-      'SERVER_ID',
-      'falixServerId',
-      'falix_server_id',
-      'FALIX_SERVER_ID',
-      'timerId',
-      'FALIX_TIMER_ID'
-    ];
-
-    for (const key of candidateKeys) {
-      if (configFile[key]) {
-        const value = String(configFile[key]).trim();
-        if (value) {
-          console.log(`Using Server ID from config file key "${key}"`);
-          return value;
-        }
-      }
-    }
+  if (redactor) {
+    redactor.addServerIds(accounts.flatMap(account => account.servers.map(server => server.id)));
   }
 
-  console.log('FALIX_SERVER_ID environment variable not set');
-  const promptedId = await promptForServerId();
+  return accounts;
+}
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  AUTH_REQUIRED: 3,
+  CHALLENGE: 4
+};
+
+const CLI_COMMANDS = ['run', 'login', 'extend', 'ping', 'status', 'history', 'daemon', 'notify', 'doctor', 'init', 'config', 'help'];
+
+// Subcommands that take an action argument, e.g. `config print`
+const CLI_ACTIONS = {
+  config: ['print'],
+  notify: ['test']
+};
 
-  if (promptedId) {
-    console.log('Saving Server ID to config file...');
-    saveConfigFile({ serverId: promptedId, FALIX_SERVER_ID: promptedId });
-    return promptedId;
+const CLI_OPTIONS = {
+  server: { type: 'string', short: 's', multiple: true },
+  account: { type: 'string', short: 'a', multiple: true },
+  config: { type: 'string', short: 'c' },
+  'base-url': { type: 'string' },
+  email: { type: 'string' },
+  'password-stdin': { type: 'boolean' },
+  interval: { type: 'string' },
+  'click-interval': { type: 'string' },
+  'no-timer': { type: 'boolean' },
+  force: { type: 'boolean' },
+  http: { type: 'boolean' },
+  headed: { type: 'boolean' },
+  'log-level': { type: 'string' },
+  'log-format': { type: 'string' },
+  'no-redact': { type: 'boolean' },
+  json: { type: 'boolean' },
+  limit: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const CLI_USAGE = `Usage: falix-keepalive [command] [options]
+
+Commands:
+  run        Log in, start the auto-timer and click Add time once when the
+             remaining time is below the threshold (default)
+  login      Refresh the session and save cookies, nothing else
+  extend     Click Add time once per server (no auto-timer, no threshold)
+  ping       Send the HTTP timer request with saved cookies (no browser)
+  status     Print remaining time and session validity per server
+  history    Show recent runs, success rate and the longest gap without a
+             successful extension
+  daemon     Keep running and repeat the keepalive every click interval
+  notify test
+             Send a test notification to every configured webhook and
+             a test email to the configured recipients
+  doctor     Check configuration, Chromium and page selectors
+  init       Set up credentials and servers, test them, then save the config file
+  config print
+             Show the effective configuration and where each value came from
+  help       Show this message
+
+Options (override environment variables and the config file):
+  -s, --server <id>           Server ID to act on (repeatable)
+  -a, --account <name>        Account profile to act on (repeatable)
+  -c, --config <path>         Config file path (default: falix.config.json/.yaml/.yml)
+      --base-url <url>        Falix client base URL
+      --email <email>         Account email (password stays in FALIX_PASSWORD)
+      --password-stdin        Read the password from standard input
+      --interval <seconds>    Auto-timer interval
+      --click-interval <ms>   Daemon cycle interval
+      --no-timer              Disable the HTTP auto-timer
+      --force                 Click Add time even when enough time is left
+      --http                  Try Add time over plain HTTP first (browser only as fallback)
+      --headed                Show the browser window
+      --log-level <level>     debug, info, warn or error (debug adds selector probing)
+      --log-format <format>   human, or json for one JSON object per log line
+      --no-redact             Keep credentials and tokens in logs and diagnostic files
+      --json                  Print status or history as JSON
+      --limit <n>             Number of recent runs history lists (default: 20)
+  -h, --help                  Show this message
+
+Exit codes:
+  0  Success
+  1  Operation failed
+  2  Usage or configuration error
+  3  Authentication required (session invalid or credentials rejected)
+  4  Cloudflare challenge encountered (login, extend, ping, status, doctor)`;
+
+function parseCliArguments(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+
+  const command = values.help ? 'help' : (positionals[0] || 'run');
+  if (!CLI_COMMANDS.includes(command)) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  const actions = CLI_ACTIONS[command];
+  const action = actions ? positionals[1] : undefined;
+  if (actions && !actions.includes(action)) {
+    throw new UsageError(`${command} expects one of: ${actions.join(', ')}`);
+  }
+
+  if (values.json && !['status', 'history'].includes(command)) {
+    throw new UsageError('--json is only supported by the status and history commands');
+  }
+  if (values.limit !== undefined && command !== 'history') {
+    throw new UsageError('--limit is only supported by the history command');
+  }
+  if (values.limit !== undefined && !/^[1-9]\d*$/.test(values.limit)) {
+    throw new UsageError(`--limit expects a positive integer, got "${values.limit}"`);
+  }
+
+  const extra = positionals.slice(actions ? 2 : 1);
+  if (extra.length > 0) {
+    throw new UsageError(`Unexpected arguments: ${extra.join(' ')}`);
+  }
+
+  // Values the config loader validates and layers above env and the config file
+  const flags = {
+    baseUrl: values['base-url'],
+    email: values.email,
+    passwordFile: values['password-stdin'] ? '-' : undefined,
+    servers: values.server,
+    timerInterval: values.interval,
+    clickIntervalMs: values['click-interval'],
+    logLevel: values['log-level'],
+    logFormat: values['log-format']
+  };
+  if (values['no-timer'] || command === 'extend') {
+    flags.timerEnable = false;
+  }
+  // `extend` is an explicit request to click, so the remaining-time threshold does not apply
+  if (values.force || command === 'extend') {
+    flags.clickThresholdSeconds = 0;
+  }
+  if (values.http) {
+    flags.keepaliveMode = 'http';
+  }
+  if (values.headed) {
+    flags.headless = false;
+  }
+  if (values['no-redact']) {
+    flags.redact = false;
+  }
+  if (command === 'daemon') {
+    flags.daemon = true;
   }
 
-  return null;
+  return { command, action, options: values, flags };
 }
 
-async function sendTimerRequest(serverId, attempt = 1) {
-  const maxAttempts = 3;
-  const timerUrl = new URL('/timer', config.FALIX_BASE_URL);
-  timerUrl.searchParams.set('id', serverId);
-  const timerUrlString = timerUrl.toString();
-  const timestamp = new Date().toISOString();
+let cli;
+let cliError = null;
 
-  console.log(`[${timestamp}] Sending timer extension request to: ${timerUrlString} (attempt ${attempt}/${maxAttempts})`);
+try {
+  cli = parseCliArguments(process.argv.slice(2));
+} catch (error) {
+  cli = { command: 'help', options: {} };
+  cliError = error;
+}
 
-  const cookies = loadCookies();
-  let cookieHeader = null;
+const cliOptions = cli.options;
+// Loaded in main() so configuration errors exit with the usage code
+let config = null;
+
+let browser = null;
+// Pending launch, so concurrent callers (a daemon cycle and a status API request) share one browser
+let browserLaunch = null;
+// Set up in main() when METRICS_PORT or METRICS_TEXTFILE is configured
+let metrics = null;
+let metricsServer = null;
+// Set up in main() when STATUS_API_PORT is configured
+let runState = null;
+let dashboard = null;
+let statusApiServer = null;
+// Set up in main() when NOTIFY_WEBHOOKS is configured
+let notifier = null;
+// Set up in main() when SMTP_HOST is configured
+let mailer = null;
+// Ties together the log lines of this process; daemon cycles add their number
+const RUN_ID = createRunId();
+// Reconfigured in main() from LOG_LEVEL and LOG_FORMAT
+let logger = new Logger({ fields: { runId: RUN_ID } });
+// Set up in main() unless FALIX_REDACT=false; shared by the logger and every client
+let redactor = null;
+// Set up in main() unless DIAGNOSTICS_BUNDLE=off; collects each run's log and captures
+let diagnostics = null;
+// One FalixClient per account profile; clients outlive a daemon cycle so their contexts stay logged in
+const clients = new Map();
+
+function createClient(account, overrides = {}) {
+  const probeServer = account.servers.find(server => server.enabled);
+
+  return new FalixClient({
+    baseUrl: config.values.baseUrl,
+    email: account.email,
+    password: account.password,
+    cookiesFile: account.cookiesFile,
+    sessionKey: config.values.sessionKey,
+    sessionKeyFile: config.values.sessionKeyFile,
+    sessionRefresh: config.values.sessionRefresh,
+    sessionRefreshMarginSeconds: config.values.sessionRefreshMarginSeconds,
+    historyFile: config.values.historyFile,
+    accountName: account.name,
+    logger: logger.child({ account: account.name }),
+    redactor,
+    diagnostics,
+    metrics,
+    runState,
+    observers: [dashboard, notifier, mailer].filter(Boolean),
+    browser,
+    headless: config.values.headless,
+    probeServerId: probeServer ? probeServer.id : null,
+    timerIntervalSeconds: config.values.timerInterval,
+    diagnosticsDir: config.values.diagnosticsDir,
+    navigationTimeoutMs: config.values.navigationTimeoutMs,
+    defaultTimeoutMs: config.values.defaultTimeoutMs,
+    loginFormTimeoutMs: config.values.loginFormTimeoutMs,
+    postSubmitTimeoutMs: config.values.postSubmitTimeoutMs,
+    timerRequestTimeoutMs: config.values.timerRequestTimeoutMs,
+    viewport: config.values.viewport,
+    userAgent: config.values.userAgent,
+    ...overrides
+  });
+}
 
-  if (Array.isArray(cookies)) {
-    const cookiePairs = cookies
-      .filter(cookie => cookie && cookie.name && cookie.value)
-      .map(cookie => `${cookie.name}=${cookie.value}`);
+async function ensureBrowser() {
+  if (browser && browser.isConnected()) {
+    return;
+  }
+  if (!browserLaunch) {
+    browserLaunch = launchSharedBrowser().finally(() => {
+      browserLaunch = null;
+    });
+  }
+  await browserLaunch;
+}
 
-    if (cookiePairs.length > 0) {
-      cookieHeader = cookiePairs.join('; ');
+async function launchSharedBrowser() {
+  if (browser) {
+    logger.warn('Browser is no longer connected, relaunching Chromium...');
+    // Closing also cancels session refreshes, which would otherwise log in on the dead browser and race the new clients
+    for (const client of clients.values()) {
+      await client.close();
     }
+    clients.clear();
   }
+  
+  logger.info('Initializing browser...');
+  const launchedBrowser = await launchBrowser({ headless: config.values.headless });
+  launchedBrowser.on('disconnected', () => {
+    if (browser === launchedBrowser) {
+      logger.warn('⚠ Browser disconnected unexpectedly (Chromium may have crashed)');
+    }
+  });
+  browser = launchedBrowser;
+}
 
-  const headers = {
-    'User-Agent': DEFAULT_USER_AGENT,
-    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-    'Accept-Language': 'en-US,en;q=0.9',
-    'Accept-Encoding': 'gzip, deflate, br',
-    'Connection': 'keep-alive',
-    'Upgrade-Insecure-Requests': '1',
-    'Sec-Fetch-Dest': 'document',
-    'Sec-Fetch-Mode': 'navigate',
-    'Sec-Fetch-Site': 'same-origin',
-    'Sec-Fetch-User': '?1',
-    'Cache-Control': 'no-cache',
-    'Pragma': 'no-cache',
-    'Referer': timerUrlString
-  };
-
-  if (cookieHeader) {
-    headers.Cookie = cookieHeader;
+/**
+ * Returns the account's client. With `{ browser: false }` Chromium is not
+ * launched; such a client is given the browser once a later call needs it.
+ */
+async function getClient(account, options = {}) {
+  if (options.browser !== false) {
+    await ensureBrowser();
   }
+  
+  let client = clients.get(account.name);
+  if (client && !client.browser && browser) {
+    client.attachBrowser(browser);
+  }
+  if (!client || (browser && client.browser !== browser)) {
+    logger.info(browser ? `Opening isolated browser context for account "${account.name}"...` : `Preparing HTTP client for account "${account.name}"...`);
+    client = createClient(account);
+    clients.set(account.name, client);
+  } else {
+    logger.info(`Reusing ${client.browser ? 'browser context' : 'HTTP client'} for account "${account.name}"`);
+  }
+  
+  return client;
+}
 
-  try {
-    const response = await axios.get(timerUrlString, {
-      timeout: TIMER_REQUEST_TIMEOUT,
-      headers,
-      validateStatus: (status) => status >= 200 && status < 500
-    });
-
-    const successTimestamp = new Date().toISOString();
+async function releaseClient(account) {
+  const client = clients.get(account.name);
+  if (client) {
+    clients.delete(account.name);
+    await client.close();
+  }
+}
 
-    if (response.status >= 200 && response.status < 300) {
-      console.log(`[${successTimestamp}] ✓ Timer extension request successful (status: ${response.status})`);
-      return { success: true, status: response.status, timestamp: successTimestamp };
+async function cleanup() {
+  logger.info('Cleaning up...');
+  stopDaemon();
+  
+  for (const client of clients.values()) {
+    await client.close();
+  }
+  clients.clear();
+  
+  if (notifier) {
+    await notifier.flush();
+  }
+  if (mailer) {
+    await mailer.flush();
+    if (cli.command !== 'daemon' && cli.command !== 'notify') {
+      // One-shot runs from cron or CI send the digest on the first run after it is due
+      await mailer.sendDigestIfDue();
     }
-
-    if (response.status === 401 || response.status === 403) {
-      console.warn(`[${successTimestamp}] ⚠ Timer request returned ${response.status} - Authentication may be required`);
-      return { success: false, status: response.status, authRequired: true, timestamp: successTimestamp };
+    mailer.close();
+  }
+  writeMetricsTextfile();
+  if (metricsServer) {
+    const closingServer = metricsServer;
+    metricsServer = null;
+    await new Promise(resolve => closingServer.close(resolve));
+  }
+  if (statusApiServer) {
+    const closingServer = statusApiServer;
+    statusApiServer = null;
+    dashboard.close();
+    await new Promise(resolve => closingServer.close(resolve));
+  }
+  
+  if (browser) {
+    const closingBrowser = browser;
+    browser = null;
+    logger.info('Closing browser...');
+    try {
+      await closingBrowser.close();
+    } catch (error) {
+      logger.warn(`Failed to close browser: ${error.message}`);
     }
+  }
+}
 
-    console.warn(`[${successTimestamp}] ⚠ Timer request returned unexpected status: ${response.status}`);
-    return { success: false, status: response.status, timestamp: successTimestamp };
-  } catch (error) {
-    const errorTimestamp = new Date().toISOString();
-    const message = error && error.message ? error.message : 'Unknown error';
-
-    if (error && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT')) {
-      console.error(`[${errorTimestamp}] ✗ Timer request timed out: ${message}`);
-    } else if (error && error.response) {
-      console.error(`[${errorTimestamp}] ✗ Timer request failed with status ${error.response.status}: ${message}`);
-    } else if (error && error.request) {
-      console.error(`[${errorTimestamp}] ✗ Timer request failed - no response received: ${message}`);
+function printRunSummary(results) {
+  logger.info('\n=== Keepalive Summary ===');
+  if (diagnostics) {
+    diagnostics.recordResults(results);
+  }
+
+  for (const result of results) {
+    const serverLogger = logger.child({ account: result.account, serverId: result.serverId });
+    const httpNote = result.http
+      ? ` | auto-timer: ${result.http.success ? '✓' : `✗ ${result.http.outcome || 'error'}`}${result.http.status ? ` (status: ${result.http.status})` : ''}`
+      : '';
+
+    const viaNote = result.via === 'http' ? ' via HTTP' : '';
+
+    if (result.status === 'success' && result.clickSkipped) {
+      serverLogger.info(`✓ no click needed${viaNote} (remaining: ${formatDuration(result.timer.remainingSeconds)}, threshold: ${formatDuration(config.values.clickThresholdSeconds)})${httpNote}`);
+    } else if (result.status === 'success') {
+      const verifiedNote = result.verified === false ? ', unverified' : '';
+      const remainingNote = result.timer ? `, remaining: ${formatDuration(result.timer.remainingSeconds)}` : '';
+      serverLogger.info(`✓ extended${viaNote} (attempts: ${result.attempts}${verifiedNote}${remainingNote})${httpNote}`);
+    } else if (result.status === 'disabled') {
+      serverLogger.info('- disabled');
+    } else if (result.status === 'skipped') {
+      serverLogger.warn(`⚠ skipped - ${result.reason}${httpNote}`);
     } else {
-      console.error(`[${errorTimestamp}] ✗ Timer request error: ${message}`);
+      serverLogger.error(`✗ failed - ${result.reason}${httpNote}`);
     }
+  }
+}
 
-    if (attempt < maxAttempts) {
-      const backoffMs = 2000 + (attempt - 1) * 1000 + Math.random() * 1000;
-      console.log(`Retrying in ${Math.round(backoffMs)}ms... (attempt ${attempt + 1}/${maxAttempts})`);
-      await new Promise(resolve => setTimeout(resolve, backoffMs));
-      return sendTimerRequest(serverId, attempt + 1);
+/**
+ * Reads each server's countdown with the saved session, before any login. A
+ * server with at least `thresholdSeconds` left is marked as done, so an
+ * account whose servers all have time left needs no login at all.
+ */
+async function markServersWithTimeLeft(client, servers, accountResults, thresholdSeconds) {
+  for (const [index, server] of servers.entries()) {
+    let status;
+    try {
+      status = await client.getTimerStatus(server.id);
+    } catch (error) {
+      // The login that follows reports challenges and other failures properly
+      logger.info(`Could not read the timer of ${server.id} before login: ${error.message}`);
+      return;
+    }
+    
+    if (!status.sessionValid) {
+      return;
+    }
+    if (status.remainingSeconds !== null && status.remainingSeconds >= thresholdSeconds) {
+      logger.info(`${server.id}: ${formatDuration(status.remainingSeconds)} left, at or above the ${formatDuration(thresholdSeconds)} threshold; no click needed`);
+      Object.assign(accountResults[index], { status: 'success', clickSkipped: true, timer: status });
     }
-
-    return { success: false, error: message, timestamp: errorTimestamp };
   }
 }
 
-let autoTimerInterval = null;
+/**
+ * Keepalive mode `http`: tries each server over plain HTTP with the saved
+ * session. Servers it settles get a result; the rest keep no status and go
+ * through the browser flow.
+ */
+async function extendServersOverHttp(client, servers, accountResults, thresholdSeconds) {
+  for (const [index, server] of servers.entries()) {
+    const httpResult = await client.extendTimerHttp(server.id, { thresholdSeconds });
+    if (httpResult.fallback) {
+      continue;
+    }
+    
+    Object.assign(accountResults[index], {
+      status: 'success',
+      via: 'http',
+      clickSkipped: httpResult.clickSkipped,
+      attempts: httpResult.attempts,
+      verified: httpResult.verified,
+      evidence: httpResult.evidence,
+      timer: httpResult.timer
+    });
+  }
+}
 
-async function startAutoTimer(serverId) {
-  if (!config.TIMER_ENABLE) {
-    console.log('Auto-timer is disabled (TIMER_ENABLE=false)');
+async function runAccount(account, results) {
+  const enabledServers = account.servers.filter(server => server.enabled);
+  for (const server of account.servers.filter(server => !server.enabled)) {
+    results.push({ account: account.name, serverId: server.id, status: 'disabled' });
+  }
+  
+  if (enabledServers.length === 0) {
+    logger.info(`All servers for account "${account.name}" are disabled. Nothing to do.`);
     return;
   }
   
-  if (!serverId) {
-    console.warn('⚠ Auto-timer cannot start: Server ID not available');
+  const accountResults = enabledServers.map(server => ({ account: account.name, serverId: server.id }));
+  results.push(...accountResults);
+  
+  logger.info(`\n=== Account "${account.name}" ===`);
+  logger.info(`Resolved ${enabledServers.length} server(s): ${enabledServers.map(server => server.id).join(', ')}`);
+  
+  if (!account.email || !account.password) {
+    for (const result of accountResults) {
+      result.status = 'failed';
+      result.reason = 'Account profile is missing email or password';
+    }
+    logger.error(`Account "${account.name}" is missing email or password`);
     return;
   }
   
-  const intervalSeconds = config.TIMER_INTERVAL_SECONDS;
-  const intervalMs = config.TIMER_INTERVAL_MS;
+  let challengeMessage = null;
+  const thresholdSeconds = config.values.clickThresholdSeconds;
   
-  console.log(`\n=== Starting Auto-Timer ===`);
-  console.log(`Server ID: ${serverId}`);
-  console.log(`Interval: ${intervalSeconds} seconds (${intervalSeconds / 60} minutes)`);
-  console.log(`Timer endpoint: ${config.FALIX_BASE_URL}/timer?id=${serverId}`);
+  const httpMode = config.values.keepaliveMode === 'http';
+  
+  let client;
+  try {
+    client = await getClient(account, { browser: !httpMode });
+    if (httpMode) {
+      await extendServersOverHttp(client, enabledServers, accountResults, thresholdSeconds);
+    } else if (thresholdSeconds > 0 && !client.loggedIn) {
+      await markServersWithTimeLeft(client, enabledServers, accountResults, thresholdSeconds);
+    }
+    // Chromium is launched only for servers that still need the browser flow
+    if (accountResults.some(result => !result.status)) {
+      client = await getClient(account);
+      // In daemon mode the client survives between cycles; it logs in again only when the session expires
+      if (!client.loggedIn) {
+        await client.login();
+      }
+    }
+  } catch (error) {
+    const isChallenge = error instanceof CloudflareChallengeError;
+    for (const result of accountResults.filter(entry => !entry.status)) {
+      result.status = isChallenge ? 'skipped' : 'failed';
+      result.reason = isChallenge ? 'Cloudflare challenge' : `Login failed: ${error.message}`;
+    }
+    if (isChallenge) {
+      logger.info('\n=== Cloudflare challenge encountered ===');
+      logger.info(error.message);
+      logger.info(`Skipping account "${account.name}" so the scheduler can retry later.`);
+    } else {
+      logger.error(`Login failed for account "${account.name}":`, error.message);
+    }
+    await releaseClient(account);
+    return;
+  }
   
-  const executeTimerRequest = async () => {
+  for (const [index, server] of enabledServers.entries()) {
+    const result = accountResults[index];
+    
+    if (challengeMessage) {
+      if (!result.status) {
+        result.status = 'skipped';
+        result.reason = 'Cloudflare challenge encountered earlier in this run';
+      }
+      continue;
+    }
+    
+    logger.info(`\n=== Server ${server.id} ===`);
+    
+    if (config.values.timerEnable) {
+      logger.info(`Starting auto-timer (interval: ${server.intervalSeconds} seconds)`);
+      result.http = await client.startAutoTimer(server.id, server.intervalSeconds);
+    }
+    
+    // Already settled before login, or over HTTP
+    if (result.status) {
+      continue;
+    }
+    
     try {
-      const result = await sendTimerRequest(serverId);
-      if (result.success) {
-        console.log(`✓ Auto-timer successfully extended server time`);
-      } else if (result.authRequired) {
-        console.log(`⚠ Auto-timer failed: Authentication required. Browser-based keepalive will handle this.`);
+      // extendTimer() logs in again and retries once when the timer page redirects to /auth
+      const keepaliveResult = await client.extendTimer(server.id, { thresholdSeconds });
+      
+      if (keepaliveResult.success && keepaliveResult.clickSkipped) {
+        Object.assign(result, { status: 'success', clickSkipped: true, timer: keepaliveResult.timer });
+      } else if (keepaliveResult.success) {
+        result.status = 'success';
+        result.attempts = keepaliveResult.attempts;
+        result.verified = keepaliveResult.verified;
+        result.evidence = keepaliveResult.evidence;
+        result.timer = keepaliveResult.timer || null;
+        logger.info(`=== Browser-based keepalive completed successfully for ${server.id} ===`);
+        if (keepaliveResult.verified === false) {
+          logger.info(`Note: The click was executed but its effect could not be confirmed (${keepaliveResult.evidence.join('; ')})`);
+        }
       } else {
-        console.log(`✗ Auto-timer request failed - will retry on next interval`);
+        result.status = 'failed';
+        result.evidence = keepaliveResult.evidence;
+        result.reason = keepaliveResult.evidence
+          ? `Add time had no effect (${keepaliveResult.evidence.join('; ')})`
+          : 'Timer keepalive operation failed';
+        logger.error(`=== Browser-based keepalive failed for ${server.id} ===`);
       }
     } catch (error) {
-      console.error(`Auto-timer execution error: ${error.message}`);
+      if (error instanceof CloudflareChallengeError) {
+        challengeMessage = error.message;
+        result.status = 'skipped';
+        result.reason = 'Cloudflare challenge';
+        logger.info('\n=== Cloudflare challenge encountered ===');
+        logger.info(error.message);
+        logger.info(`Skipping remaining servers for account "${account.name}" so the scheduler can retry later.`);
+        continue;
+      }
+      result.status = 'failed';
+      result.reason = error.message;
+      logger.error(`Keepalive failed for server ${server.id}:`, error.message);
     }
-  };
-  
-  await executeTimerRequest();
-  
-  autoTimerInterval = setInterval(async () => {
-    await executeTimerRequest();
-  }, intervalMs);
+  }
   
-  console.log(`Auto-timer started - will run every ${intervalSeconds} seconds`);
-}
-
-function stopAutoTimer() {
-  if (autoTimerInterval) {
-    clearInterval(autoTimerInterval);
-    autoTimerInterval = null;
-    console.log('Auto-timer stopped');
+  if (!config.values.daemon) {
+    await releaseClient(account);
   }
 }
 
-async function withRetry(fn, options) {
-  const { retries, onFailedAttempt } = options;
-  for (let i = 0; i <= retries; i++) {
+async function runCycle(accounts) {
+  const results = [];
+  const cycleStart = Date.now();
+  
+  for (const account of accounts) {
     try {
-      return await fn();
+      await withLogContext({ account: account.name }, () => runAccount(account, results));
     } catch (error) {
-      if (error instanceof CloudflareChallengeError) {
-        throw error;
-      }
-
-      if (i < retries) {
-        if (onFailedAttempt) {
-          await onFailedAttempt({ attemptNumber: i + 1, retriesLeft: retries - i, message: error.message });
-        }
-      } else {
-        throw error;
+      // runAccount records per-server failures itself; this only guards against unexpected errors
+      logger.error(`Unexpected error while processing account "${account.name}":`, error.message);
+      for (const result of results.filter(entry => entry.account === account.name && !entry.status)) {
+        result.status = 'failed';
+        result.reason = error.message;
       }
+      await releaseClient(account);
     }
   }
-}
-
-puppeteer.use(StealthPlugin());
-
-const DEFAULT_BASE_URL = 'https://client.falixnodes.net';
-const normalizedBaseUrl = (process.env.FALIX_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
-
-function parseBooleanEnv(value, defaultValue = true) {
-  if (value === undefined || value === null) {
-    return defaultValue;
-  }
-
-  const normalized = String(value).trim().toLowerCase();
-  if (['true', '1', 'yes', 'y', 'on'].includes(normalized)) {
-    return true;
-  }
-  if (['false', '0', 'no', 'n', 'off'].includes(normalized)) {
-    return false;
+  
+  if (metrics) {
+    metrics.observePhase('cycle', (Date.now() - cycleStart) / 1000);
   }
-  return defaultValue;
+  return results;
 }
 
-function parsePositiveIntEnv(value, defaultValue) {
-  if (value === undefined || value === null) {
-    return defaultValue;
-  }
+// Commands whose logins, pings and clicks feed the metrics
+const METRICS_COMMANDS = ['run', 'extend', 'daemon', 'login', 'ping'];
+// Commands that can capture diagnostics, so their runs get a bundle
+const DIAGNOSTICS_COMMANDS = [...METRICS_COMMANDS, 'status', 'doctor'];
 
-  const parsed = Number.parseInt(value, 10);
-  if (Number.isFinite(parsed) && parsed > 0) {
-    return parsed;
+/**
+ * Replays the history ledger into `observer`, so metric counters and the
+ * status API carry on from earlier runs instead of starting empty.
+ */
+function replayHistory(observer, label) {
+  try {
+    const { records } = new HistoryLedger({ filePath: config.values.historyFile }).read();
+    for (const record of records) {
+      observer.observe(record);
+    }
+  } catch (error) {
+    logger.warn(`⚠ Could not replay run history into ${label}: ${error.message}`);
   }
-
-  return defaultValue;
 }
 
-const timerIntervalSeconds = parsePositiveIntEnv(process.env.TIMER_INTERVAL, TIMER_DEFAULT_INTERVAL_SECONDS);
-const clickIntervalMs = parsePositiveIntEnv(process.env.CLICK_INTERVAL_MS, 2400000);
-
-const config = {
-  FALIX_EMAIL: process.env.FALIX_EMAIL,
-  FALIX_PASSWORD: process.env.FALIX_PASSWORD,
-  FALIX_BASE_URL: normalizedBaseUrl,
-  FALIX_TIMER_ID: process.env.FALIX_TIMER_ID ? String(process.env.FALIX_TIMER_ID).trim() : null,
-  FALIX_SERVER_ID: process.env.FALIX_SERVER_ID ? String(process.env.FALIX_SERVER_ID).trim() : null,
-  TIMER_INTERVAL_SECONDS: timerIntervalSeconds,
-  TIMER_INTERVAL_MS: timerIntervalSeconds * 1000,
-  TIMER_ENABLE: parseBooleanEnv(process.env.TIMER_ENABLE, true),
-  CLICK_INTERVAL_MS: clickIntervalMs,
-  HEADLESS: parseBooleanEnv(process.env.HEADLESS, true)
-};
-
-if (!config.FALIX_EMAIL || !config.FALIX_PASSWORD) {
-  console.error('FALIX_EMAIL and FALIX_PASSWORD environment variables are required');
-  process.exit(1);
+/**
+ * Creates the redactor with every secret the configuration holds. Account
+ * credentials join it when a client resolves them, server IDs when the
+ * accounts are resolved.
+ */
+function setupRedactor() {
+  const { values } = config;
+  const secrets = [values.password, values.sessionKey, values.smtpPassword, values.statusApiToken];
+  for (const webhook of values.webhooks || []) {
+    secrets.push(webhook.url);
+  }
+  redactor = new Redactor({ secrets });
 }
 
-let browser;
-let page;
-let pageConfigured = false;
-let requestInterceptionConfigured = false;
-
-async function ensurePageConfigured() {
-  if (!page) {
-    throw new Error('Page is not initialized');
-  }
+/**
+ * Creates the diagnostic bundler. A one-shot command is one run; the daemon
+ * adds a run per cycle, and the process's own run keeps everything between.
+ */
+function setupDiagnostics() {
+  diagnostics = new DiagnosticBundler({
+    directory: config.values.diagnosticsDir,
+    runId: RUN_ID,
+    mode: config.values.diagnosticsBundle,
+    archive: config.values.diagnosticsArchive,
+    config: snapshotConfig(config),
+    redactor
+  });
+}
 
-  if (!pageConfigured) {
-    await page.setViewport(DEFAULT_VIEWPORT);
-    await page.setUserAgent(DEFAULT_USER_AGENT);
-    pageConfigured = true;
+async function finishDiagnostics(runId, outcome, extra) {
+  if (!diagnostics) {
     return;
   }
-
-  const viewport = page.viewport();
-  if (!viewport || viewport.width !== DEFAULT_VIEWPORT.width || viewport.height !== DEFAULT_VIEWPORT.height) {
-    await page.setViewport(DEFAULT_VIEWPORT);
-  }
-
-  const currentUserAgent = await page.evaluate(() => navigator.userAgent).catch(() => null);
-  if (currentUserAgent !== DEFAULT_USER_AGENT) {
-    await page.setUserAgent(DEFAULT_USER_AGENT);
+  try {
+    const bundlePath = await diagnostics.finish(runId, outcome, extra);
+    if (bundlePath) {
+      logger.info(`Diagnostic bundle written to ${bundlePath}`);
+    }
+  } catch (error) {
+    logger.warn(`⚠ Failed to write the diagnostic bundle of run ${runId}: ${error.message}`);
   }
 }
 
-function buildAllowedHosts() {
-  const hosts = new Set(['static.falixnodes.net']);
-  const addHost = (value) => {
-    if (!value) {
-      return;
-    }
-    try {
-      const url = new URL(value);
-      if (url.hostname) {
-        hosts.add(url.hostname);
-      }
-    } catch {
-      hosts.add(value);
-    }
-  };
-
-  addHost(config.FALIX_BASE_URL);
-  addHost(config.FALIX_CONSOLE_URL);
-  return hosts;
+function setupMetrics() {
+  metrics = new KeepaliveMetrics();
+  replayHistory(metrics, 'metrics');
 }
 
-function shouldBlockRequest(hostname, url, allowedHosts) {
-  if (!hostname) {
-    return false;
-  }
-
-  if (allowedHosts.has(hostname)) {
-    return false;
-  }
-
-  if (hostname.endsWith('.falixnodes.net')) {
-    return false;
-  }
-
-  if (/^data:/i.test(url) || /^blob:/i.test(url)) {
-    return false;
+async function startMetricsServer() {
+  if (!metrics || !config.values.metricsPort || metricsServer) {
+    return;
   }
-
-  if (BLOCKED_DOMAIN_PATTERNS.some(pattern => pattern.test(hostname) || pattern.test(url))) {
-    return true;
+  try {
+    metricsServer = await metrics.listen(config.values.metricsPort, config.values.metricsHost);
+    logger.info(`Serving Prometheus metrics at http://${config.values.metricsHost}:${config.values.metricsPort}/metrics`);
+  } catch (error) {
+    // The keepalive matters more than its metrics, so the daemon runs on without them
+    logger.warn(`⚠ Could not start the metrics endpoint on ${config.values.metricsHost}:${config.values.metricsPort}: ${error.message}`);
   }
-
-  return false;
 }
 
-async function setupRequestInterception() {
-  if (!page || requestInterceptionConfigured) {
+function writeMetricsTextfile() {
+  if (!metrics || !config.values.metricsTextfile) {
     return;
   }
-
-  const allowedHosts = buildAllowedHosts();
-
   try {
-    await page.setRequestInterception(true);
+    metrics.writeTextfile(config.values.metricsTextfile);
+    logger.info(`Metrics written to ${config.values.metricsTextfile}`);
   } catch (error) {
-    console.error('Failed to enable request interception:', error.message);
-    return;
+    logger.warn(`⚠ Failed to write metrics to ${config.values.metricsTextfile}: ${error.message}`);
   }
+}
 
-  page.on('request', (request) => {
-    const url = request.url();
-    let hostname = null;
-
-    try {
-      hostname = new URL(url).hostname;
-    } catch {
-      hostname = null;
-    }
-
-    if (shouldBlockRequest(hostname, url, allowedHosts)) {
-      request.abort().catch(() => {});
-      return;
-    }
+/**
+ * Creates the webhook notifier. Replaying the ledger restores failure streaks
+ * and the dedupe window, so one-shot runs do not repeat the last run's alerts.
+ */
+function setupNotifier() {
+  notifier = new WebhookNotifier({
+    webhooks: config.values.webhooks,
+    consecutiveFailures: config.values.notifyConsecutiveFailures,
+    dedupeSeconds: config.values.notifyDedupeSeconds,
+    logger
+  });
+  replayHistory({ observe: record => notifier.track(record) }, 'notifications');
+}
 
-    request.continue().catch(() => {});
+/**
+ * Creates the email notifier, replaying the ledger like the webhook notifier
+ * so timer-low alerts are not repeated for a server that is still low.
+ */
+function setupMailer() {
+  const { values } = config;
+  mailer = new EmailNotifier({
+    transport: {
+      host: values.smtpHost,
+      port: values.smtpPort,
+      secure: values.smtpSecure,
+      auth: values.smtpUser ? { user: values.smtpUser, pass: values.smtpPassword } : undefined
+    },
+    from: values.emailFrom || values.smtpUser,
+    to: values.emailTo,
+    lowRemainingSeconds: values.emailLowRemainingSeconds,
+    dedupeSeconds: values.notifyDedupeSeconds,
+    digestTime: values.emailDigest ? values.emailDigestTime : null,
+    getRecords: () => new HistoryLedger({ filePath: values.historyFile }).read().records,
+    stateFile: path.join(values.stateDir, 'email-digest.json'),
+    logger
   });
+  replayHistory({ observe: record => mailer.track(record) }, 'email alerts');
+}
 
-  requestInterceptionConfigured = true;
+function setupRunState() {
+  runState = new RunState();
+  replayHistory(runState, 'the status API');
+  dashboard = new Dashboard({
+    getHistory: readRecentHistory,
+    diagnosticsDir: config.values.diagnosticsDir,
+    logger
+  });
 }
 
-async function waitForLoginFormReady(timeout = LOGIN_FORM_TIMEOUT) {
-  if (!page) {
-    throw new Error('Page is not initialized');
-  }
+/**
+ * The newest `limit` ledger records, newest first, for the dashboard.
+ */
+function readRecentHistory(limit) {
+  const { records } = new HistoryLedger({ filePath: config.values.historyFile }).read();
+  return records.slice(-limit).reverse();
+}
 
-  console.log('Waiting for login form selectors...');
-  const deadline = Date.now() + timeout;
+function toIsoString(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
 
-  while (Date.now() < deadline) {
-    const emailElement = await findElementInFrames(EMAIL_SELECTOR_CANDIDATES);
-    const passwordElement = await findElementInFrames(PASSWORD_SELECTOR_CANDIDATES);
+/**
+ * The GET /status document: what the run state remembers per server and
+ * account, plus what the clients and the daemon have scheduled next.
+ */
+function buildStatus(accounts) {
+  const now = Date.now();
+  
+  return {
+    generatedAt: new Date(now).toISOString(),
+    mode: config.values.keepaliveMode,
+    daemon: {
+      running: daemonRunning,
+      cycle: daemonCycle,
+      cycleInProgress: daemonCycleInProgress,
+      nextCycleAt: toIsoString(daemonNextCycleAt)
+    },
+    accounts: accounts.map((account) => {
+      const client = clients.get(account.name);
+      const sessionExpiry = client ? client.getSessionExpiry() : null;
+      const sessionRefreshAt = client ? client.sessionRefreshAt : null;
+      
+      return {
+        name: account.name,
+        loggedIn: Boolean(client && client.loggedIn),
+        ...runState.describeAccount(account.name, now),
+        sessionExpiresAt: toIsoString(sessionExpiry),
+        sessionRefreshAt: toIsoString(sessionRefreshAt),
+        servers: account.servers.map((server) => {
+          const scheduled = [];
+          if (server.enabled && daemonNextCycleAt) {
+            scheduled.push({ action: 'keepalive cycle', at: daemonNextCycleAt });
+          }
+          const nextPing = client && client.autoTimerNextRuns ? client.autoTimerNextRuns.get(server.id) : null;
+          if (nextPing) {
+            scheduled.push({ action: 'auto-timer ping', at: nextPing });
+          }
+          if (sessionRefreshAt) {
+            scheduled.push({ action: 'session refresh', at: sessionRefreshAt });
+          }
+          scheduled.sort((a, b) => a.at - b.at);
+          
+          return {
+            serverId: server.id,
+            enabled: server.enabled,
+            ...runState.describeServer(account.name, server.id, now),
+            nextAction: scheduled.length > 0 ? { action: scheduled[0].action, at: toIsoString(scheduled[0].at) } : null
+          };
+        })
+      };
+    })
+  };
+}
 
-    if (emailElement && passwordElement) {
-      console.log('Login form selectors detected.');
-      return;
+/**
+ * POST /extend/:serverId: clicks Add time right away, whatever time is left.
+ * In HTTP mode the browserless click is tried first, as in a daemon cycle.
+ */
+async function extendFromApi(accounts, serverId) {
+  const account = accounts.find(entry => entry.servers.some(server => server.id === serverId));
+  if (!account) {
+    throw new ApiError(404, `Unknown server ${serverId}`);
+  }
+  
+  if (config.values.keepaliveMode === 'http') {
+    const httpClient = await getClient(account, { browser: false });
+    const httpResult = await httpClient.extendTimerHttp(serverId);
+    if (!httpResult.fallback) {
+      return { account: account.name, serverId, ...httpResult };
     }
-
-    const remaining = Math.max(250, Math.min(750, deadline - Date.now()));
-    await page.waitForTimeout(remaining);
+    logger.info(`HTTP keepalive unavailable for ${serverId} (${httpResult.reason}), using the browser`);
   }
-
-  throw new Error(`Login form selectors not detected within ${timeout}ms`);
+  
+  const client = await getClient(account);
+  return { account: account.name, serverId, via: 'browser', ...(await client.extendTimer(serverId)) };
 }
 
-async function waitForLoginFormDismissed(timeout = DEFAULT_NAVIGATION_TIMEOUT) {
-  if (!page) {
-    throw new Error('Page is not initialized');
+/**
+ * POST /login: logs in again from scratch, for one account or all of them.
+ */
+async function loginFromApi(accounts, accountName) {
+  const targets = accountName ? accounts.filter(account => account.name === accountName) : accounts;
+  if (targets.length === 0) {
+    throw new ApiError(404, `Unknown account ${accountName}`);
   }
-
-  console.log('Waiting for login form to disappear...');
-  const deadline = Date.now() + timeout;
-
-  while (Date.now() < deadline) {
-    const emailElement = await findElementInFrames(EMAIL_SELECTOR_CANDIDATES);
-    const passwordElement = await findElementInFrames(PASSWORD_SELECTOR_CANDIDATES);
-
-    if (!emailElement && !passwordElement) {
-      console.log('Login form no longer visible.');
-      return;
+  
+  const results = [];
+  for (const account of targets) {
+    const client = await getClient(account);
+    try {
+      await client.refreshSession('status API request');
+      results.push({ account: account.name, success: client.loggedIn });
+    } catch (error) {
+      results.push({ account: account.name, success: false, error: error.message });
     }
-
-    const remaining = Math.max(250, Math.min(750, deadline - Date.now()));
-    await page.waitForTimeout(remaining);
   }
-
-  throw new Error(`Login form still visible after ${timeout}ms`);
-}
-
-async function gotoWithRetry(url, options = {}) {
-  const { retries = 2, waitUntil = NAVIGATION_WAIT_UNTIL, timeout = DEFAULT_NAVIGATION_TIMEOUT, onFailedAttempt, ...rest } = options;
-  const navigationOptions = { waitUntil, timeout, ...rest };
-
-  return withRetry(async () => {
-    await ensurePageConfigured();
-    await setupRequestInterception();
-    const response = await page.goto(url, navigationOptions);
-
-    if (page.url() === 'about:blank') {
-      console.log(`Navigation to ${url} resulted in about:blank, attempting reload`);
-      await page.waitForTimeout(500);
-      const reloadResponse = await page.reload({ waitUntil, timeout });
-      if (page.url() === 'about:blank') {
-        throw new Error(`Navigation to ${url} remained on about:blank after reload`);
-      }
-      return reloadResponse;
-    }
-
-    return response;
-  }, {
-    retries,
-    onFailedAttempt: async (attemptInfo) => {
-      console.log(`Navigation to ${url} failed on attempt ${attemptInfo.attemptNumber}: ${attemptInfo.message}`);
-      if (onFailedAttempt) {
-        await onFailedAttempt(attemptInfo);
-      }
-    }
-  });
+  return { results };
 }
 
-async function initializeBrowser() {
-  console.log('Initializing browser...');
-  browser = await puppeteer.launch({
-    headless: config.HEADLESS ? "new" : false,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--no-first-run',
-      '--no-zygote',
-      '--single-process',
-      '--disable-gpu'
-    ]
+async function startStatusApi(accounts) {
+  if (!runState || !config.values.statusApiPort || statusApiServer) {
+    return;
+  }
+  
+  const api = new StatusApi({
+    token: config.values.statusApiToken,
+    getStatus: () => buildStatus(accounts),
+    extend: serverId => extendFromApi(accounts, serverId),
+    login: accountName => loginFromApi(accounts, accountName),
+    logger
   });
+  dashboard.mount(api);
   
-  page = await browser.newPage();
-  pageConfigured = false;
-  requestInterceptionConfigured = false;
-  await ensurePageConfigured();
+  const address = `${config.values.statusApiHost}:${config.values.statusApiPort}`;
   try {
-    await page.setBypassCSP(true);
+    statusApiServer = await api.listen(config.values.statusApiPort, config.values.statusApiHost);
+    logger.info(`Serving the status API at http://${address}/status and the dashboard at http://${address}/`);
+    if (!config.values.statusApiToken) {
+      logger.info('POST /extend and /login are disabled until STATUS_API_TOKEN is set');
+    }
   } catch (error) {
-    console.warn(`Unable to set bypass CSP: ${error.message}`);
+    logger.warn(`⚠ Could not start the status API on ${address}: ${error.message}`);
   }
-  page.setDefaultTimeout(DEFAULT_TIMEOUT);
-  page.setDefaultNavigationTimeout(DEFAULT_NAVIGATION_TIMEOUT);
-  await setupRequestInterception();
 }
 
-async function captureDiagnosticInfo(context) {
-  try {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const screenshotPath = `/tmp/falix-${context}-${timestamp}.png`;
-    const htmlPath = `/tmp/falix-${context}-${timestamp}.html`;
-    
-    await page.screenshot({ path: screenshotPath, fullPage: true });
-    const html = await page.content();
-    fs.writeFileSync(htmlPath, html);
-    
-    console.log(`Diagnostic info captured: ${screenshotPath}, ${htmlPath}`);
-    console.log(`Current URL: ${page.url()}`);
-    
-    // Log available frames
-    const frames = page.frames();
-    console.log(`Available frames: ${frames.length}`);
-    frames.forEach((frame, i) => {
-      console.log(`  Frame ${i}: ${frame.url()}`);
-    });
-    
-    return { screenshotPath, htmlPath };
-  } catch (error) {
-    console.error('Failed to capture diagnostic info:', error.message);
+// Lower bound between daemon cycles, so a timer that cannot be extended does not cause a busy loop
+const MIN_DAEMON_DELAY_MS = 60000;
+
+let daemonRunning = false;
+let daemonSleepTimer = null;
+let daemonWake = null;
+// Read by the status API
+let daemonCycle = 0;
+let daemonCycleInProgress = false;
+let daemonNextCycleAt = null;
+
+function sleepUntilNextCycle(ms) {
+  return new Promise((resolve) => {
+    daemonWake = resolve;
+    daemonSleepTimer = setTimeout(resolve, ms);
+  });
+}
+
+function stopDaemon() {
+  daemonRunning = false;
+  if (daemonSleepTimer) {
+    clearTimeout(daemonSleepTimer);
+    daemonSleepTimer = null;
+  }
+  if (daemonWake) {
+    daemonWake();
+    daemonWake = null;
   }
 }
 
-async function waitForSelectorWithFallbacks(selectors, options = {}) {
-  const timeout = options.timeout || 45000;
+/**
+ * With a threshold, the next cycle starts clickLeadSeconds before the
+ * earliest known expiry. Servers without a countdown reading fall back to the
+ * fixed click interval.
+ */
+function nextCycleDelay(results, cycleStart) {
+  const intervalDelay = Math.max(0, config.values.clickIntervalMs - (Date.now() - cycleStart));
+  const active = results.filter(result => result.status !== 'disabled');
   
-  for (const selector of selectors) {
-    try {
-      console.log(`Trying selector: ${selector}`);
-      await page.waitForSelector(selector, { timeout: Math.min(timeout / selectors.length, 10000) });
-      console.log(`Found element with selector: ${selector}`);
-      return selector;
-    } catch (error) {
-      console.log(`Selector ${selector} not found: ${error.message}`);
-    }
+  if (config.values.clickThresholdSeconds === 0 || active.length === 0) {
+    return intervalDelay;
   }
-  throw new Error(`None of the selectors were found: ${selectors.join(', ')}`);
+  
+  const delays = active.map(result => (result.timer && result.timer.expiresAt
+    ? Date.parse(result.timer.expiresAt) - config.values.clickLeadSeconds * 1000 - Date.now()
+    : intervalDelay));
+  return Math.max(MIN_DAEMON_DELAY_MS, Math.min(...delays));
 }
 
-async function findElementInFrames(selectors) {
-  const frames = page.frames();
+async function runDaemon(accounts) {
+  logger.info('\n=== Starting Daemon Mode ===');
+  if (config.values.clickThresholdSeconds > 0) {
+    logger.info(`Waking ${config.values.clickLeadSeconds} seconds before the earliest timer expiry; every ${config.values.clickIntervalMs / 60000} minutes when a countdown cannot be read`);
+  } else {
+    logger.info(`Repeating keepalive every ${config.values.clickIntervalMs}ms (${config.values.clickIntervalMs / 60000} minutes) until stopped`);
+  }
   
-  // Try main page first
-  for (const selector of selectors) {
-    try {
-      const element = await page.$(selector);
-      if (element) return { frame: page, selector };
-    } catch (error) {
-      // Continue
-    }
+  daemonRunning = true;
+  await startMetricsServer();
+  await startStatusApi(accounts);
+  if (mailer) {
+    mailer.scheduleDigest();
   }
   
-  // Try all frames
-  for (const frame of frames) {
-    for (const selector of selectors) {
+  while (daemonRunning) {
+    daemonCycle += 1;
+    const cycle = daemonCycle;
+    const cycleStart = Date.now();
+    daemonCycleInProgress = true;
+    daemonNextCycleAt = null;
+    
+    let results = [];
+    let cycleFailed = false;
+    // Each cycle is a run of its own in the logs and the diagnostic bundles
+    await withLogContext({ runId: `${RUN_ID}-${cycle}` }, async () => {
+      logger.info(`\n=== Daemon cycle ${cycle} started at ${new Date(cycleStart).toISOString()} ===`);
       try {
-        const element = await frame.$(selector);
-        if (element) return { frame, selector };
+        if (config.values.keepaliveMode !== 'http') {
+          await ensureBrowser();
+        }
+        results = await runCycle(accounts);
+        printRunSummary(results);
       } catch (error) {
-        // Continue
+        cycleFailed = true;
+        logger.error(`Daemon cycle ${cycle} failed: ${error.message}`);
       }
+    });
+    daemonCycleInProgress = false;
+    await finishDiagnostics(`${RUN_ID}-${cycle}`, cycleFailed || results.some(result => result.status === 'failed') ? 'failed' : 'success', { command: 'daemon', cycle });
+    writeMetricsTextfile();
+    
+    if (!daemonRunning) {
+      break;
     }
+    
+    const waitMs = nextCycleDelay(results, cycleStart);
+    daemonNextCycleAt = Date.now() + waitMs;
+    logger.info(`Next daemon cycle in ${Math.round(waitMs / 1000)} seconds (${new Date(Date.now() + waitMs).toISOString()})`);
+    await sleepUntilNextCycle(waitMs);
   }
   
-  return null;
+  logger.info('Daemon mode stopped');
 }
 
-async function scrollIntoViewAndCheck(frame, selector) {
-  try {
-    const isVisibleAndEnabled = await frame.evaluate((sel) => {
-      const element = document.querySelector(sel);
-      if (!element) return { visible: false, enabled: false };
-      
-      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      
-      const style = window.getComputedStyle(element);
-      const rect = element.getBoundingClientRect();
-      const isVisible = style.display !== 'none' && 
-                       style.visibility !== 'hidden' && 
-                       style.opacity !== '0' &&
-                       rect.width > 0 && 
-                       rect.height > 0;
-      
-      const isEnabled = !element.disabled && !element.hasAttribute('disabled');
-      
-      return { visible: isVisible, enabled: isEnabled };
-    }, selector);
-    
-    return isVisibleAndEnabled;
-  } catch (error) {
-    console.log(`Failed to check visibility for ${selector}: ${error.message}`);
-    return { visible: false, enabled: false };
-  }
+const EXIT_CODE_PRIORITY = [EXIT_CODES.FAILURE, EXIT_CODES.AUTH_REQUIRED, EXIT_CODES.CHALLENGE, EXIT_CODES.SUCCESS];
+
+function mergeExitCodes(current, next) {
+  return EXIT_CODE_PRIORITY.indexOf(next) < EXIT_CODE_PRIORITY.indexOf(current) ? next : current;
 }
 
-async function detectChallengeOrBlock() {
-  try {
-    const challengeDetected = await page.evaluate(() => {
-      const recaptchaSelectors = [
-        'iframe[src*="recaptcha"]',
-        '.g-recaptcha',
-        '[data-sitekey]'
-      ];
-      
-      const turnstileSelectors = [
-        'iframe[src*="turnstile"]',
-        '.cf-turnstile',
-        '[data-turnstile-sitekey]'
-      ];
-      
-      for (const selector of [...recaptchaSelectors, ...turnstileSelectors]) {
-        if (document.querySelector(selector)) {
-          return { detected: true, type: selector };
-        }
-      }
-      
-      return { detected: false, type: null };
-    });
-    
-    return challengeDetected;
-  } catch (error) {
-    return { detected: false, type: null };
+function exitCodeForError(error) {
+  if (error instanceof UsageError || error instanceof ConfigError || error instanceof CredentialError) {
+    return EXIT_CODES.USAGE;
+  }
+  if (error instanceof SessionExpiredError || error instanceof LoginRejectedError) {
+    return EXIT_CODES.AUTH_REQUIRED;
+  }
+  if (error instanceof CloudflareChallengeError) {
+    return EXIT_CODES.CHALLENGE;
   }
+  return EXIT_CODES.FAILURE;
 }
 
-async function waitForPostSubmitOutcome(timeout = 60000) {
-  console.log('Waiting for post-submit outcome...');
-  
-  const startUrl = page.url();
-  console.log(`Starting URL: ${startUrl}`);
-  
-  try {
-    const result = await Promise.race([
-      page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout }).then(() => ({ type: 'navigation' })).catch(() => null),
-      
-      page.waitForFunction(
-        (url) => {
-          const currentUrl = window.location.href;
-          return !/\/auth(\/|$)/.test(currentUrl) && currentUrl !== url;
-        },
-        { timeout },
-        startUrl
-      ).then(() => ({ type: 'url-change' })).catch(() => null),
-      
-      page.waitForSelector('[role="alert"], .error, .toast, [data-testid*="error"], .alert-danger, .notification-error', { timeout })
-        .then(() => ({ type: 'error' }))
-        .catch(() => null)
-    ]);
-    
-    if (!result) {
-      console.log('Post-submit wait timed out without clear outcome');
-      return { success: false, reason: 'timeout' };
-    }
-    
-    const finalUrl = page.url();
-    console.log(`Post-submit outcome: ${result.type}, final URL: ${finalUrl}`);
-    
-    if (result.type === 'error') {
-      const errorText = await page.evaluate(() => {
-        const errorEl = document.querySelector('[role="alert"], .error, .toast, [data-testid*="error"], .alert-danger, .notification-error');
-        return errorEl ? errorEl.textContent.trim() : 'Unknown error';
-      }).catch(() => 'Unknown error');
-      
-      console.log(`Error message detected: ${errorText}`);
-      return { success: false, reason: 'error-message', details: errorText };
-    }
-    
-    if (!/\/auth(\/|$)/.test(finalUrl)) {
-      console.log('Successfully left auth page');
-      return { success: true, reason: result.type };
-    }
-    
-    console.log('Still on auth page after navigation');
-    return { success: false, reason: 'still-on-auth' };
-    
-  } catch (error) {
-    console.log(`Post-submit wait error: ${error.message}`);
-    return { success: false, reason: 'exception', details: error.message };
+function exitCodeForResults(results, challengeExitCode) {
+  if (results.some(result => result.status === 'failed')) {
+    return EXIT_CODES.FAILURE;
+  }
+  if (results.some(result => result.status === 'skipped')) {
+    return challengeExitCode;
   }
+  return EXIT_CODES.SUCCESS;
 }
 
-async function submitLoginForm(emailElement, passwordElement, submitElement) {
-  console.log('Preparing to submit login form...');
-  
-  await randomDelay(800, 1500);
-  await captureDiagnosticInfo('pre-submit');
+async function commandRun() {
+  const accounts = await resolveAccounts();
   
-  console.log('Scrolling email field into view...');
-  const emailCheck = await scrollIntoViewAndCheck(emailElement.frame, emailElement.selector);
-  if (!emailCheck.visible || !emailCheck.enabled) {
-    console.warn(`Email field visibility: ${emailCheck.visible}, enabled: ${emailCheck.enabled}`);
-  }
-  await randomDelay(300, 600);
+  logger.info(`Account profiles: ${accounts.map(account => account.name).join(', ')}`);
+  logger.info(`Auto-timer: ${config.values.timerEnable ? 'enabled' : 'disabled'}`);
   
-  console.log('Scrolling password field into view...');
-  const passwordCheck = await scrollIntoViewAndCheck(passwordElement.frame, passwordElement.selector);
-  if (!passwordCheck.visible || !passwordCheck.enabled) {
-    console.warn(`Password field visibility: ${passwordCheck.visible}, enabled: ${passwordCheck.enabled}`);
+  if (config.values.daemon) {
+    await runDaemon(accounts);
+    return EXIT_CODES.SUCCESS;
   }
-  await randomDelay(300, 600);
   
-  if (submitElement) {
-    console.log('Scrolling submit button into view...');
-    const submitCheck = await scrollIntoViewAndCheck(submitElement.frame, submitElement.selector);
-    if (!submitCheck.visible || !submitCheck.enabled) {
-      console.warn(`Submit button visibility: ${submitCheck.visible}, enabled: ${submitCheck.enabled}`);
-    }
-    await randomDelay(300, 600);
+  if (config.values.keepaliveMode === 'http') {
+    logger.info('\n=== Starting HTTP Keepalive (browser as fallback) ===');
+  } else {
+    logger.info('\n=== Starting Browser-Based Keepalive ===');
+    await ensureBrowser();
   }
   
-  console.log('Typing credentials with delays...');
-  await moveMouseAndClick(emailElement.frame, emailElement.selector).catch(() => {});
-  await randomDelay(200, 400);
+  const results = await runCycle(accounts);
+  printRunSummary(results);
   
-  await emailElement.frame.type(emailElement.selector, config.FALIX_EMAIL, { delay: 50 + Math.random() * 30 });
-  await randomDelay(400, 800);
-  
-  await moveMouseAndClick(passwordElement.frame, passwordElement.selector).catch(() => {});
-  await randomDelay(200, 400);
-  
-  await passwordElement.frame.type(passwordElement.selector, config.FALIX_PASSWORD, { delay: 50 + Math.random() * 30 });
-  await randomDelay(500, 1000);
-  
-  const challenge = await detectChallengeOrBlock();
-  if (challenge.detected) {
-    console.log(`Challenge or block detected: ${challenge.type}`);
-    await captureDiagnosticInfo('challenge-detected');
-    throw new CloudflareChallengeError(`Challenge detected: ${challenge.type}. Manual intervention required.`);
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    logger.error(`Keepalive failed for ${failed.length} server(s): ${failed.map(result => `${result.account}/${result.serverId}`).join(', ')}`);
   }
   
-  console.log('Attempting to submit form...');
-  let submitSuccess = false;
+  // Scheduled runs treat a Cloudflare skip as success so the workflow stays green; `extend` reports it
+  return exitCodeForResults(results, cli.command === 'extend' ? EXIT_CODES.CHALLENGE : EXIT_CODES.SUCCESS);
+}
+
+async function commandLogin() {
+  const accounts = await resolveAccounts();
+  let exitCode = EXIT_CODES.SUCCESS;
   
-  if (submitElement) {
-    try {
-      console.log('Attempting click on submit button with mouse movement...');
-      const mouseClickSuccess = await moveMouseAndClick(submitElement.frame, submitElement.selector);
-      
-      if (mouseClickSuccess) {
-        submitSuccess = true;
-        console.log('Submit button clicked successfully with mouse movement');
-      } else {
-        console.log('Mouse click failed, trying regular click...');
-        await submitElement.frame.click(submitElement.selector);
-        submitSuccess = true;
-        console.log('Submit button clicked with regular click');
-      }
-    } catch (clickError) {
-      console.log(`Click failed: ${clickError.message}, trying page.evaluate...`);
-      
-      try {
-        submitSuccess = await submitElement.frame.evaluate((sel) => {
-          const element = document.querySelector(sel);
-          if (element && typeof element.click === 'function') {
-            element.click();
-            return true;
-          }
-          return false;
-        }, submitElement.selector);
-        
-        if (submitSuccess) {
-          console.log('Submit button clicked via page.evaluate');
-        }
-      } catch (evalError) {
-        console.log(`page.evaluate click failed: ${evalError.message}`);
-      }
+  for (const account of accounts) {
+    if (!account.email || !account.password) {
+      logger.error(`✗ Account "${account.name}" is missing email or password`);
+      exitCode = mergeExitCodes(exitCode, EXIT_CODES.FAILURE);
+      continue;
     }
-  }
-  
-  if (!submitSuccess) {
-    console.log('Submit button click failed or not available, pressing Enter on password field...');
+    
     try {
-      await passwordElement.frame.focus(passwordElement.selector);
-      await randomDelay(200, 400);
-      await passwordElement.frame.keyboard.press('Enter');
-      submitSuccess = true;
-      console.log('Pressed Enter on password field');
-    } catch (enterError) {
-      console.log(`Enter press failed: ${enterError.message}`);
-      throw new Error('Failed to submit form via click or Enter');
+      const client = await getClient(account);
+      await client.login();
+      // login() returns early when saved cookies are still valid, so always persist the current jar
+      await client.saveSession();
+      logger.info(`✓ Session refreshed for account "${account.name}"`);
+    } catch (error) {
+      logger.error(`✗ Login failed for account "${account.name}": ${error.message}`);
+      exitCode = mergeExitCodes(exitCode, exitCodeForError(error));
+    } finally {
+      await releaseClient(account);
     }
   }
   
-  await randomDelay(1000, 2000);
-  
-  return submitSuccess;
+  return exitCode;
 }
 
-async function handleRedirects() {
-  console.log('Checking for redirects...');
-  
-  // Wait a bit to see if we get redirected
-  await page.waitForTimeout(2000);
+async function commandPing() {
+  const accounts = await resolveAccounts();
+  let exitCode = EXIT_CODES.SUCCESS;
   
-  const currentUrl = page.url();
-  console.log(`Current URL after potential redirect: ${currentUrl}`);
-  
-  // Handle common redirect patterns
-  if (currentUrl.includes('/auth') && !currentUrl.includes('/login')) {
-    console.log('Detected redirect to auth page, looking for login options...');
-    
-    // Try to find login links or buttons
-    const loginSelectors = [
-      'a[href*="login"]',
-      'a[href*="signin"]',
-      '.login-btn',
-      '.signin-btn'
-    ];
-    
-    // Also try to find buttons by text content using evaluate
-    const loginButtonFound = await page.evaluate(() => {
-      const buttons = document.querySelectorAll('button, .btn, a');
-      for (const btn of buttons) {
-        const text = btn.textContent.toLowerCase();
-        if (text.includes('log in') || text.includes('sign in') || text.includes('login')) {
-          btn.click();
-          return true;
-        }
-      }
-      return false;
-    });
+  for (const account of accounts) {
+    // No browser is needed: pingTimer() only sends the saved cookies over HTTP
+    const client = createClient(account);
     
-    if (loginButtonFound) {
-      await randomDelay(400, 800);
-      await waitForLoginFormReady();
-      console.log('Clicked login button by text content');
-      return true;
-    }
-    
-    for (const selector of loginSelectors) {
-      try {
-        await page.waitForSelector(selector, { timeout: 5000 });
-        const mouseSuccess = await moveMouseAndClick(page, selector);
-        if (mouseSuccess) {
-          await randomDelay(300, 600);
-          await waitForLoginFormReady();
-          console.log(`Clicked login element: ${selector}`);
-          return true;
-        }
-      } catch (error) {
-        console.log(`Redirect handler attempt for ${selector} failed: ${error.message}`);
+    for (const server of account.servers.filter(entry => entry.enabled)) {
+      const result = await client.pingTimer(server.id);
+      const serverLogger = logger.child({ account: account.name, serverId: server.id });
+      
+      if (result.success) {
+        serverLogger.info(`✓ timer request accepted (status: ${result.status})`);
+      } else if (result.authRequired) {
+        serverLogger.warn(`⚠ authentication required (${result.reason})`);
+        exitCode = mergeExitCodes(exitCode, EXIT_CODES.AUTH_REQUIRED);
+      } else if (result.challenged) {
+        serverLogger.warn(`⚠ ${result.reason}`);
+        exitCode = mergeExitCodes(exitCode, EXIT_CODES.CHALLENGE);
+      } else {
+        serverLogger.error(`✗ timer request failed (${result.reason || result.error})`);
+        exitCode = mergeExitCodes(exitCode, EXIT_CODES.FAILURE);
       }
     }
   }
   
-  return false;
+  return exitCode;
 }
 
-async function login() {
-  const loginUrl = `${config.FALIX_BASE_URL}/auth/login`;
+function describeTimerStatus(status) {
+  if (status.remainingSeconds === null) {
+    return `remaining: unknown${status.timerText ? ` ("${status.timerText}")` : ''}`;
+  }
+  const maxNote = status.maxSeconds ? ` of ${formatDuration(status.maxSeconds)}` : '';
+  return `remaining: ${formatDuration(status.remainingSeconds)}${maxNote} | expires: ${status.expiresAt}`;
+}
 
-  return withRetry(async () => {
-    console.log('Attempting to login...');
-    
+async function commandStatus() {
+  const accounts = await resolveAccounts();
+  const json = Boolean(cli.options.json);
+  const statuses = [];
+  let exitCode = EXIT_CODES.SUCCESS;
+  
+  for (const account of accounts) {
     try {
-      const savedCookies = loadCookies();
-      if (savedCookies && savedCookies.length > 0) {
-        console.log('Trying to use saved session cookies...');
+      const client = await getClient(account);
+      
+      for (const server of account.servers.filter(entry => entry.enabled)) {
+        const label = `[${account.name}] ${server.id}`;
         try {
-          await page.setCookie(...savedCookies);
-          console.log('Cookies loaded, navigating to keep-alive endpoint...');
-          
-          const timerUrl = `${config.FALIX_BASE_URL}/timer?id=${config.FALIX_TIMER_ID}`;
-          try {
-            await gotoWithRetry(timerUrl, { waitUntil: NAVIGATION_WAIT_UNTIL, timeout: DEFAULT_NAVIGATION_TIMEOUT });
-            const currentUrl = page.url();
-            
-            if (!currentUrl.includes('/auth')) {
-              console.log('Session is still valid, skipping login');
-              return;
-            }
-          } catch (error) {
-            console.log('Cookie session expired or invalid, proceeding with login');
+          const status = await client.getTimerStatus(server.id);
+          statuses.push({ account: account.name, ...status });
+          if (status.sessionValid) {
+            console.log(`${label}: session valid | ${describeTimerStatus(status)}`);
+          } else {
+            console.log(`${label}: session invalid (run \`login\` to refresh it)`);
+            exitCode = mergeExitCodes(exitCode, EXIT_CODES.AUTH_REQUIRED);
           }
         } catch (error) {
-          console.log(`Failed to apply saved cookies: ${error.message}`);
+          statuses.push({ account: account.name, serverId: server.id, error: error.message });
+          if (error instanceof CloudflareChallengeError) {
+            console.log(`${label}: ⚠ Cloudflare challenge, status unavailable`);
+          } else {
+            console.log(`${label}: ✗ ${error.message}`);
+          }
+          exitCode = mergeExitCodes(exitCode, exitCodeForError(error));
         }
       }
-      
-      await randomDelay(1000, 2000);
-      console.log('Navigating to login page...');
-      await gotoWithRetry(loginUrl, { waitUntil: NAVIGATION_WAIT_UNTIL, timeout: DEFAULT_NAVIGATION_TIMEOUT });
-      await ensureNoCloudflareChallenge('login navigation');
-
-      try {
-        await page.waitForSelector(LOGIN_EMAIL_SELECTOR, { timeout: LOGIN_FORM_TIMEOUT });
-      } catch (selectorError) {
-        console.log(`Primary login selector wait did not resolve: ${selectorError.message}`);
-      }
-
-      let loginFormReady = false;
-      try {
-        await waitForLoginFormReady();
-        loginFormReady = true;
-      } catch (readinessError) {
-        console.log(`Login form not ready immediately: ${readinessError.message}`);
-      }
+    } finally {
+      await releaseClient(account);
+    }
+  }
+  
+  if (json) {
+    process.stdout.write(`${JSON.stringify(statuses, null, 2)}\n`);
+  }
+  
+  return exitCode;
+}
 
-      const redirectHandled = await handleRedirects();
+const DEFAULT_HISTORY_LIMIT = 20;
 
-      if (!loginFormReady || redirectHandled) {
-        await waitForLoginFormReady();
-      }
+function describeHistoryRecord(record) {
+  const symbol = { success: '✓', skipped: '-', challenged: '⚠' }[record.result] || '✗';
+  const parts = [`${record.event} via ${record.method}`, `${symbol} ${record.result}`];
+  if (record.attempts) {
+    parts.push(`attempts: ${record.attempts}`);
+  }
+  parts.push(`${(record.durationMs / 1000).toFixed(1)}s`);
+  if (record.remainingSeconds !== null && record.remainingSeconds !== undefined) {
+    parts.push(`remaining: ${formatDuration(record.remainingSeconds)}`);
+  }
+  if (record.reason) {
+    parts.push(record.reason);
+  }
+  return `${record.timestamp} [${record.account || '-'}] ${record.serverId || '-'}: ${parts.join(' | ')}`;
+}
 
-      await ensureNoCloudflareChallenge('post-redirect');
+async function commandHistory() {
+  const ledger = new HistoryLedger({ filePath: config.values.historyFile });
+  const { records: allRecords, skippedLines } = ledger.read();
+  const limit = cliOptions.limit ? Number(cliOptions.limit) : DEFAULT_HISTORY_LIMIT;
+  
+  const records = allRecords
+    .filter(record => !cliOptions.account || cliOptions.account.includes(record.account))
+    .filter(record => !cliOptions.server || cliOptions.server.includes(record.serverId));
+  const summary = summarizeHistory(records);
+  const recent = records.slice(-limit);
+  
+  if (skippedLines > 0) {
+    console.warn(`⚠ Skipped ${skippedLines} unreadable line(s) in ${ledger.filePath}`);
+  }
+  
+  if (cliOptions.json) {
+    process.stdout.write(`${JSON.stringify({ file: ledger.filePath, summary, records: recent }, null, 2)}\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+  
+  console.log(`\n=== Run History (${ledger.filePath}) ===`);
+  if (records.length === 0) {
+    console.log('No runs recorded yet');
+    return EXIT_CODES.SUCCESS;
+  }
+  
+  for (const record of recent) {
+    console.log(describeHistoryRecord(record));
+  }
+  
+  const rate = summary.successRate === null ? 'n/a' : `${(summary.successRate * 100).toFixed(1)}%`;
+  console.log(`\nRecords: ${summary.records} since ${summary.since}${recent.length < records.length ? ` (showing the last ${recent.length})` : ''}`);
+  console.log(`Success rate: ${rate} (${summary.succeeded}/${summary.attempts} pings and clicks; ${summary.skippedClicks} click(s) skipped with enough time left)`);
+  console.log(`Logins: ${summary.logins} (${summary.failedLogins} failed)`);
+  if (summary.longestGap) {
+    const gap = summary.longestGap;
+    console.log(`Longest gap without a successful extension: ${formatDuration(gap.seconds)} (${gap.serverId}, ${gap.from} -> ${gap.ongoing ? 'now' : gap.to})`);
+  }
+  
+  return EXIT_CODES.SUCCESS;
+}
 
-      const emailElement = await findElementInFrames(EMAIL_SELECTOR_CANDIDATES);
-      const passwordElement = await findElementInFrames(PASSWORD_SELECTOR_CANDIDATES);
-      let submitElement = await findElementInFrames(SUBMIT_SELECTOR_CANDIDATES);
-      
-      if (!emailElement) {
-        throw new Error('Email input field not found');
-      }
-      if (!passwordElement) {
-        throw new Error('Password input field not found');
-      }
-      
-      if (!submitElement) {
-        console.log('Submit button not found with selectors, trying text content...');
-        const submitButtonFound = await emailElement.frame.evaluate(() => {
-          const buttons = document.querySelectorAll('button, .btn, input[type="submit"], input[type="button"]');
-          for (const btn of buttons) {
-            const text = (btn.innerText || btn.textContent || btn.value || '').toLowerCase();
-            if (text.includes('log in') || text.includes('sign in') || text.includes('login') || 
-                text.includes('submit') || text.includes('continue')) {
-              return true;
-            }
-          }
-          return false;
-        });
-        
-        if (submitButtonFound) {
-          submitElement = {
-            frame: emailElement.frame,
-            selector: 'button, .btn, input[type="submit"], input[type="button"]'
-          };
-        } else {
-          console.log('Submit button not found - will use Enter key fallback');
-        }
-      }
-      
-      console.log(`Found email field with selector: ${emailElement.selector}`);
-      console.log(`Found password field with selector: ${passwordElement.selector}`);
-      if (submitElement) {
-        console.log(`Found submit button with selector: ${submitElement.selector}`);
-      } else {
-        console.log('No submit button found, will rely on Enter key');
-      }
-      
-      const maxSubmitAttempts = 3;
-      let submitAttempt = 0;
-      let loginSuccess = false;
-      
-      while (submitAttempt < maxSubmitAttempts && !loginSuccess) {
-        submitAttempt++;
-        console.log(`Login submit attempt ${submitAttempt} of ${maxSubmitAttempts}...`);
-        
-        try {
-          await submitLoginForm(emailElement, passwordElement, submitElement);
-          
-          const outcome = await waitForPostSubmitOutcome(60000);
-          
-          if (outcome.success) {
-            console.log(`Login successful after ${submitAttempt} attempt(s)`);
-            loginSuccess = true;
-            break;
-          } else {
-            console.log(`Login attempt ${submitAttempt} failed: ${outcome.reason}`);
-            if (outcome.details) {
-              console.log(`Details: ${outcome.details}`);
-            }
-            
-            await captureDiagnosticInfo(`post-submit-attempt-${submitAttempt}`);
-            
-            if (submitAttempt < maxSubmitAttempts) {
-              const backoffMs = 1000 * submitAttempt;
-              console.log(`Waiting ${backoffMs}ms before retry...`);
-              await page.waitForTimeout(backoffMs);
-              
-              const currentUrl = page.url();
-              if (/\/auth(\/|$)/.test(currentUrl)) {
-                console.log('Still on auth page, reloading...');
-                await page.reload({ waitUntil: NAVIGATION_WAIT_UNTIL, timeout: DEFAULT_NAVIGATION_TIMEOUT });
-                await page.waitForTimeout(500);
-              }
-            }
-          }
-        } catch (submitError) {
-          console.log(`Submit attempt ${submitAttempt} threw error: ${submitError.message}`);
-          await captureDiagnosticInfo(`submit-error-attempt-${submitAttempt}`);
-          
-          if (submitAttempt >= maxSubmitAttempts) {
-            throw submitError;
-          }
-          
-          const backoffMs = 1000 * submitAttempt;
-          await page.waitForTimeout(backoffMs);
-        }
-      }
-      
-      if (!loginSuccess) {
-        throw new Error(`Failed to login after ${maxSubmitAttempts} submit attempts`);
+async function commandDoctor() {
+  let exitCode = EXIT_CODES.SUCCESS;
+  const report = (status, message) => {
+    const symbol = { pass: '✓', warn: '⚠', fail: '✗' }[status];
+    console.log(`${symbol} ${message}`);
+    if (status === 'fail') {
+      exitCode = mergeExitCodes(exitCode, EXIT_CODES.FAILURE);
+    }
+  };
+  
+  console.log('\n=== Configuration ===');
+  // loadConfig() already rejected invalid files and keys before any command ran
+  if (config.fileLoaded) {
+    report('pass', `Config file is valid: ${config.filePath}`);
+  } else {
+    report('warn', `No config file at ${config.filePath} (optional)`);
+  }
+  for (const warning of config.warnings) {
+    report('warn', warning);
+  }
+  report('pass', `Base URL: ${config.values.baseUrl}`);
+  if (config.values.sessionKey) {
+    report('pass', `Session encryption key from ${config.sources.sessionKey}`);
+  } else if (fs.existsSync(config.values.sessionKeyFile)) {
+    const keyFileMode = fs.statSync(config.values.sessionKeyFile).mode & 0o777;
+    report(keyFileMode & 0o077 ? 'warn' : 'pass', `Session encryption key file ${config.values.sessionKeyFile} (mode ${keyFileMode.toString(8)})`);
+  } else {
+    report('warn', `No session key yet; one is generated at ${config.values.sessionKeyFile} on the first login (set FALIX_SESSION_KEY to keep sessions across machines)`);
+  }
+  
+  let accounts = [];
+  try {
+    accounts = await resolveAccounts();
+    report('pass', `Resolved ${accounts.length} account profile(s)`);
+  } catch (error) {
+    report('fail', error.message);
+  }
+  
+  for (const account of accounts) {
+    const enabledCount = account.servers.filter(server => server.enabled).length;
+    const savedCookies = createClient(account).loadCookies();
+    report(account.email && account.password ? 'pass' : 'fail', `[${account.name}] credentials ${account.email && account.password ? `configured (password from ${account.password.source})` : 'missing email or password'}`);
+    report(enabledCount > 0 ? 'pass' : 'warn', `[${account.name}] ${enabledCount} of ${account.servers.length} server(s) enabled`);
+    report(savedCookies && savedCookies.length > 0 ? 'pass' : 'warn', `[${account.name}] saved cookies: ${savedCookies ? savedCookies.length : 'none'} (${account.cookiesFile})`);
+  }
+  
+  console.log('\n=== Browser ===');
+  try {
+    await ensureBrowser();
+    report('pass', `Chromium launched (${await browser.version()})`);
+  } catch (error) {
+    report('fail', `Chromium failed to launch: ${error.message}`);
+    return exitCode;
+  }
+  
+  if (accounts.length === 0) {
+    return exitCode;
+  }
+  
+  console.log('\n=== Selectors ===');
+  try {
+    const loginForm = await (await getClient(accounts[0])).checkLoginForm();
+    report(loginForm.email ? 'pass' : 'fail', `Login email field ${loginForm.email ? `found (${loginForm.email.selector})` : 'not found'}`);
+    report(loginForm.password ? 'pass' : 'fail', `Login password field ${loginForm.password ? `found (${loginForm.password.selector})` : 'not found'}`);
+    report(loginForm.submit ? 'pass' : 'warn', `Login submit button ${loginForm.submit ? `found (${loginForm.submit.selector})` : 'not found (Enter key fallback will be used)'}`);
+  } catch (error) {
+    if (error instanceof CloudflareChallengeError) {
+      report('warn', 'Cloudflare challenge on login page; selector checks skipped');
+      return mergeExitCodes(exitCode, EXIT_CODES.CHALLENGE);
+    }
+    report('fail', `Login page check failed: ${error.message}`);
+  } finally {
+    await releaseClient(accounts[0]);
+  }
+  
+  for (const account of accounts) {
+    const probeServer = account.servers.find(server => server.enabled);
+    if (!probeServer) {
+      continue;
+    }
+    
+    try {
+      const client = await getClient(account);
+      const status = await client.getTimerStatus(probeServer.id);
+      if (!status.sessionValid) {
+        report('warn', `[${account.name}] no valid saved session; Add time selector check skipped`);
+        continue;
       }
-      
-      await ensureNoCloudflareChallenge('post-login');
-      
-      console.log('Login completed successfully');
-      
-      await randomDelay(500, 1000);
-      const cookies = await page.cookies();
-      saveCookies(cookies);
-      
+      const buttonFound = await client.findAddTimeButton();
+      report(buttonFound ? 'pass' : 'fail', `[${account.name}] Add time button ${buttonFound ? 'found' : 'not found'} on timer page for ${probeServer.id}`);
+      report(status.timerText ? 'pass' : 'warn', `[${account.name}] timer display ${status.timerText ? `found: ${status.timerText}` : 'not found'}`);
     } catch (error) {
       if (error instanceof CloudflareChallengeError) {
-        throw error;
-      }
-      console.error(`Login attempt failed: ${error.message}`);
-      await captureDiagnosticInfo('login-failure');
-      throw error;
-    }
-  }, {
-    retries: 3,
-    onFailedAttempt: async (error) => {
-      console.log(`Login attempt ${error.attemptNumber} failed. ${error.retriesLeft} retries left.`);
-      if (error.attemptNumber > 1) {
-        await page.reload({ waitUntil: NAVIGATION_WAIT_UNTIL, timeout: DEFAULT_NAVIGATION_TIMEOUT });
-        await page.waitForTimeout(500);
+        report('warn', `[${account.name}] Cloudflare challenge on timer page; Add time selector check skipped`);
+        exitCode = mergeExitCodes(exitCode, EXIT_CODES.CHALLENGE);
+      } else {
+        report('fail', `[${account.name}] timer page check failed: ${error.message}`);
       }
+    } finally {
+      await releaseClient(account);
     }
-  });
+  }
+  
+  return exitCode;
 }
 
-async function ensureNoCloudflareChallenge(context) {
-  if (!page) {
-    return;
+function findProfileEntry(accounts, name) {
+  if (Array.isArray(accounts)) {
+    return accounts.find(entry => entry && entry.name === name) || null;
   }
+  return accounts && accounts[name] ? accounts[name] : null;
+}
 
-  const currentUrl = page.url();
-  const challengeUrlIndicators = [
-    '/cdn-cgi/challenge',
-    '/cdn-cgi/challenge-platform',
-    '/cf-challenge',
-    '/cdn-cgi/l/chk_jschl',
-    '/cdn-cgi/s/chk_jschl',
-    'challenges.cloudflare.com'
-  ];
+function withProfileEntry(accounts, name, entry) {
+  if (Array.isArray(accounts)) {
+    const others = accounts.filter(existing => !existing || existing.name !== name);
+    return [...others, { name, ...entry }];
+  }
+  return { ...(accounts || {}), [name]: entry };
+}
 
-  let detectionDetail = challengeUrlIndicators.find(indicator => currentUrl.includes(indicator));
-  if (detectionDetail) {
-    detectionDetail = `URL indicator: ${detectionDetail}`;
-  } else {
+async function askValid(prompter, question, defaultValue, validate) {
+  for (;;) {
+    const answer = await prompter.ask(question, defaultValue);
     try {
-      const indicator = await page.evaluate((selectors) => {
-        for (const selector of selectors) {
-          if (document.querySelector(selector)) {
-            return selector;
-          }
-        }
-
-        const bodyText = document.body ? (document.body.innerText || document.body.textContent || '').toLowerCase() : '';
-        if (bodyText.includes('checking your browser before accessing')) {
-          return 'checking-browser-text';
-        }
-
-        return null;
-      }, [
-        '.cf-browser-verification',
-        '#cf-challenge-running',
-        '.cf-im-under-attack',
-        'form[action*="/cdn-cgi/challenge"]',
-        'body.cf-challenge',
-        '[data-translate="checking_browser"]'
-      ]);
-
-      if (indicator) {
-        detectionDetail = indicator === 'checking-browser-text'
-          ? 'Text indicator: checking your browser before accessing'
-          : `Selector indicator: ${indicator}`;
-      }
+      return validate(answer);
     } catch (error) {
-      // Ignore errors when detecting challenge indicators
+      // Schema issues are prefixed with the file and key, which mean nothing to someone typing an answer
+      console.log(`✗ ${error instanceof ConfigError ? error.issues.map(issue => issue.replace(/^.*?: /, '')).join('; ') : error.message}`);
     }
   }
-
-  if (detectionDetail) {
-    await captureDiagnosticInfo('cloudflare-challenge');
-    throw new CloudflareChallengeError(`Cloudflare challenge detected during ${context}. ${detectionDetail} Skipping run so scheduler can retry later.`);
-  }
 }
 
-async function findAddTimeButton() {
-  const buttonElement = await page.evaluate(() => {
-    const buttonTextMatchers = ['add time', '添加时间'];
-    const allButtons = document.querySelectorAll('button, .btn, a[role="button"], input[type="button"], input[type="submit"]');
+async function trialLogin(account, baseUrl) {
+  console.log('\n=== Trial run ===');
+  let ok = true;
+  
+  let client = null;
+  try {
+    await ensureBrowser();
+    client = createClient(account, { baseUrl });
+    await client.login();
+    console.log(`✓ Logged in as ${account.email}`);
     
-    for (const btn of allButtons) {
-      const text = (btn.innerText || btn.textContent || btn.value || '').toLowerCase().trim();
-      if (buttonTextMatchers.some(matcher => text.includes(matcher))) {
-        return true;
+    for (const server of account.servers) {
+      const status = await client.getTimerStatus(server.id);
+      if (status.sessionValid) {
+        console.log(`✓ Timer page for ${server.id} loaded (remaining: ${formatDuration(status.remainingSeconds)})`);
+      } else {
+        console.log(`✗ Timer page for ${server.id} redirected to login`);
+        ok = false;
       }
     }
-    
-    const selectorCandidates = [
-      '[data-testid*="add-time"]',
-      '[data-testid*="addtime"]',
-      '.add-time',
-      '.add-time-btn',
-      'button[class*="add-time" i]',
-      'button[class*="addtime" i]'
-    ];
-    
-    for (const selector of selectorCandidates) {
-      if (document.querySelector(selector)) {
-        return true;
-      }
+  } catch (error) {
+    ok = false;
+    if (error instanceof CloudflareChallengeError) {
+      console.log('⚠ Cloudflare challenge encountered; the settings could not be verified');
+    } else {
+      console.log(`✗ ${error.message}`);
     }
-    
-    return false;
-  });
+  } finally {
+    if (client) {
+      await client.close();
+    }
+  }
   
-  return buttonElement;
+  return ok;
 }
 
-async function clickAddTimeButton() {
-  console.log('Attempting to click Add time button with human-like behavior...');
-  
-  await scrollPage(Math.random() * 150 + 100);
-  await randomDelay(300, 600);
+async function commandInit() {
+  if (!isInteractive()) {
+    throw new UsageError('init needs an interactive terminal');
+  }
+  if (cliOptions.account && cliOptions.account.length > 1) {
+    throw new UsageError('init sets up one account profile at a time');
+  }
   
-  const selectorCandidates = [
-    '[data-testid*="add-time"]',
-    '[data-testid*="addtime"]',
-    '.add-time',
-    '.add-time-btn',
-    'button[class*="add-time" i]',
-    'button[class*="addtime" i]'
-  ];
+  const profileName = cliOptions.account ? cliOptions.account[0] : null;
+  const fileData = config.fileLoaded ? readConfigFile(config.filePath) : {};
+  const existing = (profileName ? findProfileEntry(fileData.accounts, profileName) : fileData) || {};
+  const existingServers = existing.servers || [existing.serverId || existing.FALIX_SERVER_ID].filter(Boolean);
+  const existingIntervals = new Map(existingServers
+    .filter(entry => entry && typeof entry === 'object')
+    .map(entry => [String(entry.id), entry]));
   
-  for (const selector of selectorCandidates) {
-    try {
-      const element = await page.$(selector);
-      if (element) {
-        console.log(`Found add-time button with selector: ${selector}`);
-        const success = await moveMouseAndClick(page, selector);
-        if (success) {
-          console.log(`Add time button clicked successfully using ${selector}`);
-          return true;
-        }
-      }
-    } catch (error) {
-      console.log(`Attempt to click ${selector} failed: ${error.message}`);
-    }
+  console.log('\n=== Falix Keepalive Setup ===');
+  console.log(`Answers are saved to ${config.filePath}${profileName ? ` (account profile "${profileName}")` : ''}.`);
+  console.log('Press Enter to keep the value in brackets.');
+  if (!profileName && fileData.accounts) {
+    console.log('⚠ The config file defines account profiles, which take precedence over the top-level account. Use `init --account <name>` to edit a profile.');
   }
   
-  const clicked = await page.evaluate(() => {
-    const buttonTextMatchers = ['add time', '添加时间'];
-    const allButtons = document.querySelectorAll('button, .btn, a[role="button"], input[type="button"], input[type="submit"]');
+  const prompter = createPrompter();
+  let answers;
+  try {
+    const email = await askValid(prompter, 'Account email', existing.email || (profileName ? null : config.values.email), (value) => {
+      validateConfigData({ email: value });
+      return value;
+    });
     
-    for (const btn of allButtons) {
-      const text = (btn.innerText || btn.textContent || btn.value || '').toLowerCase().trim();
-      if (buttonTextMatchers.some(matcher => text.includes(matcher))) {
-        if (typeof btn.click === 'function') {
-          btn.click();
-          return { success: true, method: 'text-match' };
-        }
-      }
+    const currentPassword = existing.password || (profileName ? null : config.values.password);
+    let password = '';
+    while (!password) {
+      password = await prompter.askHidden(currentPassword ? 'Password (leave empty to keep the current one)' : 'Password');
+      password = password || currentPassword || '';
     }
     
-    return { success: false, method: null };
-  });
-  
-  if (clicked.success) {
-    console.log(`Add time button clicked successfully using ${clicked.method}`);
-    return true;
-  }
-  
-  console.log('Add time button not found or could not be clicked');
-  return false;
-}
-
-async function verifyAddTimeSuccess() {
-  console.log('Verifying Add time button click success...');
-  await randomDelay(1500, 2500);
-  
-  const verification = await page.evaluate(() => {
-    const toastSelectors = [
-      '.toast',
-      '.notification',
-      '.alert',
-      '.success',
-      '.message',
-      '[class*="toast"]',
-      '[class*="notification"]',
-      '[role="alert"]',
-      '[class*="snackbar"]'
-    ];
-    
-    let toastFound = false;
-    let toastText = '';
+    const baseUrl = await askValid(prompter, 'Falix base URL', fileData.baseUrl || config.values.baseUrl, (value) => {
+      validateConfigData({ baseUrl: value });
+      return value.replace(/\/+$/, '');
+    });
     
-    for (const selector of toastSelectors) {
-      const elements = document.querySelectorAll(selector);
-      for (const el of elements) {
-        if (el.offsetParent !== null) {
-          const text = (el.innerText || el.textContent || '').toLowerCase();
-          if (text.includes('success') || text.includes('added') || text.includes('time') || text.includes('成功')) {
-            toastFound = true;
-            toastText = (el.innerText || el.textContent || '').trim();
-            break;
-          }
-        }
+    const serverIds = await askValid(prompter, 'Server IDs (comma-separated)', existingServers.map(entry => (typeof entry === 'object' ? entry.id : entry)).join(','), (value) => {
+      const ids = [...new Set(value.split(',').map(id => id.trim()).filter(Boolean))];
+      if (ids.length === 0) {
+        throw new Error('Enter at least one server ID');
       }
-      if (toastFound) break;
+      return ids;
+    });
+    
+    const servers = [];
+    for (const id of serverIds) {
+      const previous = existingIntervals.get(id) || {};
+      const interval = await askValid(prompter, `Auto-timer interval for ${id} in seconds`, previous.interval || config.values.timerInterval, (value) => {
+        validateConfigData({ timerInterval: value });
+        return Number(value);
+      });
+      servers.push({ ...previous, id, interval });
     }
     
-    const buttonTextMatchers = ['add time', '添加时间'];
-    const allButtons = document.querySelectorAll('button, .btn, a[role="button"], input[type="button"], input[type="submit"]');
-    let buttonDisabled = false;
-    let buttonChanged = false;
+    answers = { email, password, baseUrl, servers };
     
-    for (const btn of allButtons) {
-      const text = (btn.innerText || btn.textContent || btn.value || '').toLowerCase().trim();
-      if (buttonTextMatchers.some(matcher => text.includes(matcher))) {
-        if (btn.disabled || btn.hasAttribute('disabled') || btn.classList.contains('disabled')) {
-          buttonDisabled = true;
-        }
-        const btnText = (btn.innerText || btn.textContent || '').toLowerCase();
-        if (btnText.includes('added') || btnText.includes('已添加') || btnText.includes('success')) {
-          buttonChanged = true;
-        }
-      }
-    }
+    const account = {
+      name: profileName || 'default',
+      email,
+      password,
+      cookiesFile: profileName ? profileCookiesFile({ ...existing, name: profileName }, config.values) : config.values.cookiesFile,
+      servers: servers.map(server => ({ id: server.id, intervalSeconds: server.interval, enabled: true }))
+    };
     
-    const timerElements = document.querySelectorAll('[class*="timer"], [class*="countdown"], [class*="time"], [id*="timer"], [id*="countdown"]');
-    let timerText = '';
-    for (const el of timerElements) {
-      const text = (el.innerText || el.textContent || '').trim();
-      if (text && /\d+/.test(text)) {
-        timerText = text;
-        break;
-      }
+    if (!(await trialLogin(account, baseUrl)) && !(await prompter.confirm('Save the configuration anyway?', false))) {
+      console.log('Nothing was saved.');
+      return EXIT_CODES.FAILURE;
     }
     
-    return {
-      toastFound,
-      toastText,
-      buttonDisabled,
-      buttonChanged,
-      timerText,
-      bodyText: (document.body.innerText || document.body.textContent || '').toLowerCase().substring(0, 1000)
-    };
-  });
-  
-  if (verification.toastFound) {
-    console.log(`Success verified via toast: ${verification.toastText}`);
-    return true;
+    answers.savePassword = await prompter.confirm('Store the password in the config file? It is saved in plain text', Boolean(existing.password));
+  } finally {
+    prompter.close();
   }
   
-  if (verification.buttonDisabled) {
-    console.log('Success verified: Add time button is now disabled');
-    return true;
+  const entry = { email: answers.email, servers: answers.servers };
+  if (answers.savePassword) {
+    entry.password = answers.password;
   }
   
-  if (verification.buttonChanged) {
-    console.log('Success verified: Add time button text changed to success state');
-    return true;
+  // Only the keys the wizard asked about change; everything else in the file is kept
+  const updates = { baseUrl: answers.baseUrl };
+  if (profileName) {
+    const { serverId, FALIX_SERVER_ID, password, ...kept } = existing;
+    updates.accounts = withProfileEntry(fileData.accounts, profileName, { ...kept, ...entry });
+  } else {
+    Object.assign(updates, { ...entry, serverId: undefined, FALIX_SERVER_ID: undefined });
+    if (!answers.savePassword) {
+      updates.password = undefined;
+    }
   }
   
-  if (verification.timerText) {
-    console.log(`Timer display found: ${verification.timerText}`);
-    return true;
+  mergeConfigFile(config.filePath, updates, { mode: 0o600 });
+  console.log(`\n✓ Configuration saved to ${config.filePath}`);
+  if (!answers.savePassword) {
+    console.log('Provide the password through FALIX_PASSWORD (or the account profile) when running the keepalive.');
   }
+  console.log('Run `npm run keepalive` to start.');
   
-  if (verification.bodyText.includes('success') || verification.bodyText.includes('added')) {
-    console.log('Success indicated in page content');
-    return true;
+  return EXIT_CODES.SUCCESS;
+}
+
+async function commandNotify() {
+  if (!notifier && !mailer) {
+    throw new ConfigError('No notifications configured: set NOTIFY_WEBHOOKS or SMTP_HOST, or "webhooks" or "smtpHost" in the config file');
   }
   
-  console.log('Could not verify success definitively, assuming success if no error occurred');
-  return true;
+  const delivered = [];
+  if (notifier) {
+    logger.info(`Sending a test notification to ${notifier.webhooks.length} webhook(s)...`);
+    delivered.push(...await notifier.send({
+      event: 'test',
+      timestamp: new Date().toISOString(),
+      title: 'Test notification',
+      message: 'Webhook notifications from the Falix keepalive are working'
+    }));
+  }
+  if (mailer) {
+    logger.info(`Sending a test email to ${mailer.to.join(', ')}...`);
+    delivered.push(await mailer.send({
+      subject: '[Falix keepalive] Test email',
+      text: 'Email alerts from the Falix keepalive are working.\n'
+    }));
+  }
+  return delivered.every(Boolean) ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+function commandConfig() {
+  console.log(formatConfig(config));
+  return EXIT_CODES.SUCCESS;
 }
 
-async function performTimerKeepalive() {
-  const timerUrl = `${config.FALIX_BASE_URL}/timer?id=${config.FALIX_TIMER_ID}`;
-  console.log(`Navigating to timer page: ${timerUrl}`);
+const COMMAND_HANDLERS = {
+  run: commandRun,
+  extend: commandRun,
+  daemon: commandRun,
+  login: commandLogin,
+  ping: commandPing,
+  status: commandStatus,
+  history: commandHistory,
+  notify: commandNotify,
+  doctor: commandDoctor,
+  init: commandInit
+};
+
+async function main() {
+  if (cliError) {
+    console.error(`Error: ${cliError.message}\n`);
+    console.error(CLI_USAGE);
+    return EXIT_CODES.USAGE;
+  }
+  
+  if (cli.command === 'help') {
+    console.log(CLI_USAGE);
+    return EXIT_CODES.SUCCESS;
+  }
+  
+  if (cliOptions.json) {
+    // Progress output moves to stderr so stdout carries nothing but the JSON document
+    console.log = console.error;
+  }
   
   try {
-    await gotoWithRetry(timerUrl, { waitUntil: NAVIGATION_WAIT_UNTIL, timeout: DEFAULT_NAVIGATION_TIMEOUT });
-    await ensureNoCloudflareChallenge('timer page navigation');
-    await randomDelay(1500, 2500);
-    
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] Timer page loaded, searching for Add time button...`);
-    
-    await scrollPage(150 + Math.random() * 200);
-    await randomDelay(300, 600);
-    
-    const buttonFound = await findAddTimeButton();
-    if (!buttonFound) {
-      console.error('Add time button not found on timer page');
-      await captureDiagnosticInfo('add-time-button-not-found');
-      throw new Error('Add time button not found');
-    }
-    
-    const retryConfig = {
-      maxAttempts: 3,
-      backoffMs: 2000
-    };
-    
-    let clicked = false;
-    let verified = false;
-    
-    for (let attempt = 1; attempt <= retryConfig.maxAttempts; attempt++) {
-      console.log(`Click attempt ${attempt}/${retryConfig.maxAttempts}...`);
-      
-      await randomDelay(200, 400);
-      clicked = await clickAddTimeButton();
-      
-      if (!clicked) {
-        console.log(`Failed to click on attempt ${attempt}`);
-        if (attempt < retryConfig.maxAttempts) {
-          const backoffMs = retryConfig.backoffMs + Math.random() * 1000;
-          console.log(`Waiting ${Math.round(backoffMs)}ms before retry...`);
-          await randomDelay(backoffMs, backoffMs + 500);
-          continue;
-        }
-        break;
-      }
-      
-      verified = await verifyAddTimeSuccess();
-      
-      if (verified) {
-        const successTimestamp = new Date().toISOString();
-        console.log(`[${successTimestamp}] Add time click verified successfully on attempt ${attempt}`);
-        await randomDelay(500, 1000);
-        return { success: true, attempts: attempt };
-      }
-      
-      console.log(`Verification failed on attempt ${attempt}`);
-      if (attempt < retryConfig.maxAttempts) {
-        const backoffMs = retryConfig.backoffMs + Math.random() * 1000;
-        console.log(`Waiting ${Math.round(backoffMs)}ms before retry...`);
-        await randomDelay(backoffMs, backoffMs + 500);
-      }
-    }
-    
-    if (!clicked) {
-      throw new Error('Failed to click Add time button after all retry attempts');
-    }
-    
-    if (!verified) {
-      console.log('Warning: Could not verify success, but click was executed');
-      return { success: true, attempts: retryConfig.maxAttempts, verified: false };
-    }
-    
-    return { success: true, attempts: retryConfig.maxAttempts };
-    
+    config = loadConfig({ configFile: cliOptions.config, flags: cli.flags });
   } catch (error) {
-    if (error instanceof CloudflareChallengeError) {
-      throw error;
-    }
-    console.error('Error performing timer keepalive:', error.message);
-    await captureDiagnosticInfo('timer-keepalive-error');
-    throw error;
+    console.error(`Configuration error: ${error.message}`);
+    return exitCodeForError(error);
   }
-}
-
-async function cleanup() {
-  console.log('Cleaning up...');
-  stopAutoTimer();
-  if (browser) {
-    await randomDelay(800, 1500);
-    console.log('Closing browser...');
-    await browser.close();
+  
+  if (config.values.redact) {
+    setupRedactor();
+  }
+  if (config.values.diagnosticsBundle !== 'off' && DIAGNOSTICS_COMMANDS.includes(cli.command)) {
+    setupDiagnostics();
+  }
+  logger = new Logger({
+    level: config.values.logLevel,
+    format: config.values.logFormat,
+    fields: { runId: RUN_ID },
+    redactor,
+    transcript: diagnostics ? line => diagnostics.appendLog(line) : null
+  });
+  for (const warning of config.warnings) {
+    logger.warn(`⚠ ${warning}`);
+  }
+  
+  if ((config.values.metricsPort || config.values.metricsTextfile) && METRICS_COMMANDS.includes(cli.command)) {
+    setupMetrics();
+  }
+  if (config.values.statusApiPort && METRICS_COMMANDS.includes(cli.command)) {
+    setupRunState();
+  }
+  if (config.values.webhooks && [...METRICS_COMMANDS, 'notify'].includes(cli.command)) {
+    setupNotifier();
+  }
+  if (config.values.smtpHost && [...METRICS_COMMANDS, 'notify'].includes(cli.command)) {
+    setupMailer();
+  }
+  
+  if (cli.command === 'config') {
+    return commandConfig();
   }
-}
-
-async function main() {
-  let serverId = null;
   
+  let exitCode = EXIT_CODES.FAILURE;
   try {
-    console.log('\n=== Starting Falix Keepalive Service ===');
-    console.log(`Base URL: ${config.FALIX_BASE_URL}`);
-    console.log(`Click interval: ${config.CLICK_INTERVAL_MS}ms (${config.CLICK_INTERVAL_MS / 60000} minutes)`);
-    
-    serverId = await getServerIdWithFallback();
-    
-    if (!serverId) {
-      throw new Error('Falix Server ID is required. Set FALIX_SERVER_ID or create a falix.config.json file.');
-    }
-    
-    config.FALIX_SERVER_ID = serverId;
-    config.FALIX_TIMER_ID = serverId;
-    
-    console.log(`Resolved Server ID: ${serverId}`);
-    console.log(`Timer ID: ${config.FALIX_TIMER_ID}`);
-    console.log(`Auto-timer: ${config.TIMER_ENABLE ? `enabled (interval: ${config.TIMER_INTERVAL_SECONDS} seconds)` : 'disabled'}`);
-    
-    console.log('\n=== Starting Browser-Based Keepalive ===');
-    await initializeBrowser();
-    await login();
-    
-    if (config.TIMER_ENABLE) {
-      console.log('\n=== Starting Auto-Timer Service ===');
-      await startAutoTimer(serverId);
-    } else {
-      console.log('\nAuto-timer disabled. Skipping HTTP timer requests.');
+    if (cli.command !== 'init') {
+      logger.info(`\n=== Starting Falix Keepalive Service (${cli.command}) ===`);
+      logger.info(`Base URL: ${config.values.baseUrl}`);
+      logger.info(`Click interval: ${config.values.clickIntervalMs}ms (${config.values.clickIntervalMs / 60000} minutes)`);
     }
     
-    const result = await performTimerKeepalive();
-    
-    if (result.success) {
-      console.log('\n=== Browser-based keepalive completed successfully ===');
-      if (result.verified === false) {
-        console.log('Note: Success could not be fully verified, but click was executed');
-      }
-    } else {
-      console.error('\n=== Browser-based keepalive failed ===');
-      throw new Error('Timer keepalive operation failed');
-    }
+    exitCode = await COMMAND_HANDLERS[cli.command]();
+    return exitCode;
   } catch (error) {
-    if (error instanceof CloudflareChallengeError) {
-      console.log('\n=== Cloudflare challenge encountered ===');
-      console.log(error.message);
-      console.log('Skipping run so the scheduler can retry later.');
-      return;
+    exitCode = exitCodeForError(error);
+    if (exitCode === EXIT_CODES.USAGE) {
+      logger.error(`Configuration error: ${error.message}`);
+    } else {
+      logger.error('Fatal error in keepalive workflow:', error);
     }
-    console.error('Fatal error in keepalive workflow:', error);
-    throw error;
+    return exitCode;
   } finally {
     await cleanup();
+    await finishDiagnostics(RUN_ID, exitCode === EXIT_CODES.SUCCESS ? 'success' : 'failed', { command: cli.command, exitCode });
   }
 }
 
-process.on('SIGINT', async () => {
-  console.log('\nReceived SIGINT, cleaning up...');
-  stopAutoTimer();
-  await cleanup();
-  process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-  console.log('\nReceived SIGTERM, cleaning up...');
-  stopAutoTimer();
-  await cleanup();
-  process.exit(0);
-});
-
-main().catch(error => {
-  console.error('Unhandled error:', error);
-  process.exit(1);
-});
+function handleShutdownSignal(signal) {
+  if (daemonRunning) {
+    // main() performs the single cleanup once the current cycle returns
+    logger.info(`\nReceived ${signal}, stopping daemon after the current cycle...`);
+    stopDaemon();
+    return;
+  }
+  
+  logger.info(`\nReceived ${signal}, cleaning up...`);
+  cleanup()
+    .then(() => finishDiagnostics(RUN_ID, 'interrupted', { command: cli.command }))
+    .finally(() => process.exit(0));
+}
+
+if (require.main === module) {
+  process.on('SIGINT', () => handleShutdownSignal('SIGINT'));
+  process.on('SIGTERM', () => handleShutdownSignal('SIGTERM'));
+
+  main().then((exitCode) => {
+    process.exit(exitCode);
+  }).catch(error => {
+    logger.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
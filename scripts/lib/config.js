@@ -0,0 +1,1004 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { ConfigError } = require('./errors');
+const { createCredential, STDIN_PATH } = require('./credentials');
+const {
+  DEFAULT_BASE_URL,
+  DEFAULT_NAVIGATION_TIMEOUT,
+  DEFAULT_TIMEOUT,
+  LOGIN_FORM_TIMEOUT,
+  POST_SUBMIT_TIMEOUT,
+  TIMER_REQUEST_TIMEOUT,
+  DEFAULT_VIEWPORT,
+  DEFAULT_USER_AGENT,
+  SESSION_REFRESH_MARGIN_SECONDS,
+  TIMER_DEFAULT_INTERVAL_SECONDS
+} = require('./falix-client');
+const { DEFAULT_STATE_DIR } = require('./session-store');
+const { NOTIFICATION_EVENTS, WEBHOOK_FORMATS } = require('./notifier');
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+const { BUNDLE_MODES } = require('./diagnostics');
+
+const CONFIG_FILE_NAMES = ['falix.config.json', 'falix.config.yaml', 'falix.config.yml'];
+const DEFAULT_CONFIG_DIR = path.join(__dirname, '..', '..');
+const TRUE_VALUES = ['true', '1', 'yes', 'y', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'n', 'off'];
+const SERVER_ENTRY_KEYS = ['id', 'interval', 'enabled'];
+const ACCOUNT_ENTRY_KEYS = ['name', 'email', 'emailFile', 'emailCommand', 'password', 'passwordFile', 'passwordCommand', 'cookiesFile', 'servers'];
+const ACCOUNT_STRING_FIELDS = ['name', 'email', 'emailCommand', 'passwordCommand', 'cookiesFile'];
+const WEBHOOK_ENTRY_KEYS = ['url', 'format', 'events'];
+
+// Alternative sources of one credential; only one of them may be in effect
+const CREDENTIAL_SOURCES = {
+  email: ['email', 'emailFile', 'emailCommand'],
+  password: ['password', 'passwordFile', 'passwordCommand']
+};
+const MASK = '********';
+
+// Layers from lowest to highest precedence
+const LAYERS = ['default', 'file', 'env', 'flag'];
+
+// Defaults that depend on other settings, filled in after layering
+const DERIVED_DEFAULTS = {
+  cookiesFile: values => path.join(values.stateDir, 'cookies.json'),
+  sessionKeyFile: values => path.join(values.stateDir, 'session.key'),
+  historyFile: values => path.join(values.stateDir, 'history.jsonl')
+};
+
+/**
+ * Every setting the keepalive understands. Each key can come from the config
+ * file (under its own name), from `env`, from a CLI flag, or from `default`.
+ */
+const CONFIG_SCHEMA = {
+  baseUrl: { type: 'url', env: 'FALIX_BASE_URL', flag: '--base-url', default: DEFAULT_BASE_URL, description: 'Falix client base URL' },
+  email: { type: 'string', env: 'FALIX_EMAIL', flag: '--email', description: 'Account email' },
+  emailFile: { type: 'credentialFile', env: 'FALIX_EMAIL_FILE', description: 'File holding the account email (- for stdin)' },
+  emailCommand: { type: 'string', env: 'FALIX_EMAIL_COMMAND', description: 'Command that prints the account email' },
+  password: { type: 'secret', env: 'FALIX_PASSWORD', secret: true, description: 'Account password' },
+  passwordFile: { type: 'credentialFile', env: 'FALIX_PASSWORD_FILE', flag: '--password-stdin', description: 'File holding the account password (- for stdin)' },
+  passwordCommand: { type: 'string', env: 'FALIX_PASSWORD_COMMAND', description: 'Command that prints the account password' },
+  serverId: { type: 'string', env: ['FALIX_SERVER_ID', 'FALIX_TIMER_ID'], aliases: ['FALIX_SERVER_ID'], description: 'Single server to keep alive' },
+  servers: { type: 'servers', env: 'FALIX_SERVERS', flag: '--server', description: 'Servers to keep alive' },
+  accounts: { type: 'accounts', env: 'FALIX_ACCOUNTS', secret: true, description: 'Account profiles keyed by name' },
+  timerInterval: { type: 'positiveInteger', env: 'TIMER_INTERVAL', flag: '--interval', default: TIMER_DEFAULT_INTERVAL_SECONDS, description: 'Auto-timer interval in seconds' },
+  timerEnable: { type: 'boolean', env: 'TIMER_ENABLE', flag: '--no-timer', default: true, description: 'Run the HTTP auto-timer' },
+  clickIntervalMs: { type: 'positiveInteger', env: 'CLICK_INTERVAL_MS', flag: '--click-interval', default: 2400000, description: 'Daemon cycle interval in milliseconds' },
+  clickThresholdSeconds: { type: 'nonNegativeInteger', env: 'CLICK_THRESHOLD_SECONDS', flag: '--force', default: 5400, description: 'Click Add time only below this much remaining time (0 = always)' },
+  clickLeadSeconds: { type: 'positiveInteger', env: 'CLICK_LEAD_SECONDS', default: 600, description: 'How long before expiry the daemon wakes up to click' },
+  keepaliveMode: { type: 'string', values: ['browser', 'http'], env: 'KEEPALIVE_MODE', flag: '--http', default: 'browser', description: 'browser, or http to try Add time over plain HTTP before launching Chromium' },
+  headless: { type: 'boolean', env: 'HEADLESS', flag: '--headed', default: true, description: 'Run Chromium headless' },
+  daemon: { type: 'boolean', env: 'DAEMON', default: false, description: 'Keep running between cycles' },
+  logLevel: { type: 'string', values: LOG_LEVELS, env: 'LOG_LEVEL', flag: '--log-level', default: 'info', description: 'Least severe log lines to print: debug adds selector probing' },
+  logFormat: { type: 'string', values: LOG_FORMATS, env: 'LOG_FORMAT', flag: '--log-format', default: 'human', description: 'human, or json for one JSON object per log line' },
+  redact: { type: 'boolean', env: 'FALIX_REDACT', flag: '--no-redact', default: true, description: 'Mask credentials, emails and tokens in log lines and diagnostic files (false for local debugging)' },
+  stateDir: { type: 'path', env: 'FALIX_STATE_DIR', default: DEFAULT_STATE_DIR, description: 'Directory for sessions and other state' },
+  cookiesFile: { type: 'path', env: 'FALIX_COOKIES_FILE', description: 'Encrypted session file of the default account (default: <stateDir>/cookies.json)' },
+  sessionKey: { type: 'secret', env: 'FALIX_SESSION_KEY', secret: true, description: 'Passphrase for session encryption' },
+  sessionKeyFile: { type: 'path', env: 'FALIX_SESSION_KEY_FILE', description: 'File holding the session passphrase (default: <stateDir>/session.key)' },
+  sessionRefresh: { type: 'boolean', env: 'SESSION_REFRESH', default: true, description: 'Log in again before the session cookies expire' },
+  sessionRefreshMarginSeconds: { type: 'positiveInteger', env: 'SESSION_REFRESH_MARGIN_SECONDS', default: SESSION_REFRESH_MARGIN_SECONDS, description: 'How long before session expiry to log in again' },
+  historyFile: { type: 'path', env: 'FALIX_HISTORY_FILE', description: 'JSONL ledger of logins, pings and clicks (default: <stateDir>/history.jsonl)' },
+  metricsPort: { type: 'port', env: 'METRICS_PORT', description: 'Serve Prometheus metrics on this port at /metrics in daemon mode' },
+  metricsHost: { type: 'string', env: 'METRICS_HOST', default: '127.0.0.1', description: 'Address the metrics endpoint listens on' },
+  metricsTextfile: { type: 'path', env: 'METRICS_TEXTFILE', description: 'Write Prometheus metrics to this file for the node_exporter textfile collector' },
+  webhooks: { type: 'webhooks', env: 'NOTIFY_WEBHOOKS', secret: true, description: 'Webhooks notified of failures: [format=]url entries or a JSON list' },
+  notifyConsecutiveFailures: { type: 'positiveInteger', env: 'NOTIFY_CONSECUTIVE_FAILURES', default: 3, description: 'Notify when a server fails this many times in a row' },
+  notifyDedupeSeconds: { type: 'nonNegativeInteger', env: 'NOTIFY_DEDUPE_SECONDS', default: 3600, description: 'Send the same notification at most once in this window (0 = always)' },
+  smtpHost: { type: 'string', env: 'SMTP_HOST', description: 'SMTP server for email alerts (unset = no email)' },
+  smtpPort: { type: 'port', env: 'SMTP_PORT', default: 587, description: 'SMTP server port' },
+  smtpSecure: { type: 'boolean', env: 'SMTP_SECURE', default: false, description: 'Use TLS from the start (usually port 465); otherwise STARTTLS when the server offers it' },
+  smtpUser: { type: 'string', env: 'SMTP_USER', description: 'SMTP login (unset = no authentication)' },
+  smtpPassword: { type: 'secret', env: 'SMTP_PASSWORD', secret: true, description: 'SMTP password' },
+  emailFrom: { type: 'string', env: 'EMAIL_FROM', description: 'Sender address (default: smtpUser)' },
+  emailTo: { type: 'emailList', env: 'EMAIL_TO', description: 'Recipients of email alerts, comma-separated' },
+  emailLowRemainingSeconds: { type: 'positiveInteger', env: 'EMAIL_LOW_REMAINING_SECONDS', default: 1800, description: 'Email when a server has less than this much time left' },
+  emailDigest: { type: 'boolean', env: 'EMAIL_DIGEST', default: false, description: 'Send a daily digest of extensions and failures' },
+  emailDigestTime: { type: 'timeOfDay', env: 'EMAIL_DIGEST_TIME', default: '08:00', description: 'When the daily digest is due (HH:MM, local time)' },
+  statusApiPort: { type: 'port', env: 'STATUS_API_PORT', description: 'Serve the status API (/healthz, /status) on this port in daemon mode' },
+  statusApiHost: { type: 'string', env: 'STATUS_API_HOST', default: '127.0.0.1', description: 'Address the status API listens on' },
+  statusApiToken: { type: 'secret', env: 'STATUS_API_TOKEN', secret: true, description: 'Bearer token for POST /extend/:serverId and POST /login (unset = disabled)' },
+  diagnosticsDir: { type: 'path', env: 'FALIX_DIAGNOSTICS_DIR', default: '/tmp', description: 'Directory for diagnostic bundles (or loose failure screenshots and HTML)' },
+  diagnosticsBundle: { type: 'string', values: BUNDLE_MODES, env: 'DIAGNOSTICS_BUNDLE', default: 'failure', description: 'When a run writes a diagnostic bundle: failure (failed runs and runs that took screenshots), always, or off for loose files' },
+  diagnosticsArchive: { type: 'boolean', env: 'DIAGNOSTICS_ARCHIVE', default: false, description: 'Pack each diagnostic bundle into a .tar.gz' },
+  navigationTimeoutMs: { type: 'positiveInteger', env: 'NAVIGATION_TIMEOUT_MS', default: DEFAULT_NAVIGATION_TIMEOUT, description: 'Page navigation timeout' },
+  defaultTimeoutMs: { type: 'positiveInteger', env: 'DEFAULT_TIMEOUT_MS', default: DEFAULT_TIMEOUT, description: 'Default Puppeteer wait timeout' },
+  loginFormTimeoutMs: { type: 'positiveInteger', env: 'LOGIN_FORM_TIMEOUT_MS', default: LOGIN_FORM_TIMEOUT, description: 'Wait for the login form to render' },
+  postSubmitTimeoutMs: { type: 'positiveInteger', env: 'POST_SUBMIT_TIMEOUT_MS', default: POST_SUBMIT_TIMEOUT, description: 'Wait for the login submit outcome' },
+  timerRequestTimeoutMs: { type: 'positiveInteger', env: 'TIMER_REQUEST_TIMEOUT_MS', default: TIMER_REQUEST_TIMEOUT, description: 'HTTP timeout of the auto-timer request' },
+  viewport: { type: 'viewport', env: 'VIEWPORT', default: DEFAULT_VIEWPORT, description: 'Browser viewport (WIDTHxHEIGHT in env)' },
+  userAgent: { type: 'string', env: 'USER_AGENT', default: DEFAULT_USER_AGENT, description: 'Browser user agent' }
+};
+
+function describeValue(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+  if (typeof value === 'string') {
+    return `"${value}"`;
+  }
+  if (typeof value === 'object') {
+    return 'an object';
+  }
+  return String(value);
+}
+
+function parseString(value) {
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`expected a string, got ${describeValue(value)}`);
+  }
+  const trimmed = value.trim();
+  if (!trimmed) {
+    throw new Error('must not be empty');
+  }
+  return trimmed;
+}
+
+function parseUrl(value) {
+  const url = parseString(value);
+  try {
+    new URL(url);
+  } catch {
+    throw new Error(`expected a URL, got ${describeValue(value)}`);
+  }
+  return url.replace(/\/+$/, '');
+}
+
+function parsePositiveInteger(value) {
+  const parsed = typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? Number(value) : value;
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`expected a positive integer, got ${describeValue(value)}`);
+  }
+  return parsed;
+}
+
+function parseNonNegativeInteger(value) {
+  const parsed = typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? Number(value) : value;
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`expected a non-negative integer, got ${describeValue(value)}`);
+  }
+  return parsed;
+}
+
+function parsePort(value) {
+  const parsed = parsePositiveInteger(value);
+  if (parsed > 65535) {
+    throw new Error(`expected a port number (1-65535), got ${describeValue(value)}`);
+  }
+  return parsed;
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : null;
+  if (TRUE_VALUES.includes(normalized)) {
+    return true;
+  }
+  if (FALSE_VALUES.includes(normalized)) {
+    return false;
+  }
+  throw new Error(`expected true or false, got ${describeValue(value)}`);
+}
+
+function parseViewport(value) {
+  let source = value;
+  if (typeof value === 'string') {
+    const match = value.trim().match(/^(\d+)\s*x\s*(\d+)$/i);
+    if (!match) {
+      throw new Error(`expected WIDTHxHEIGHT, got ${describeValue(value)}`);
+    }
+    source = { width: match[1], height: match[2] };
+  }
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error(`expected { width, height }, got ${describeValue(value)}`);
+  }
+  const unknown = Object.keys(source).filter(key => !['width', 'height'].includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`unknown key(s) ${unknown.map(key => `"${key}"`).join(', ')} (expected width and height)`);
+  }
+  return {
+    width: parsePositiveInteger(source.width),
+    height: parsePositiveInteger(source.height)
+  };
+}
+
+function parseServerEntry(entry, label, issues) {
+  if (typeof entry === 'string' || typeof entry === 'number') {
+    try {
+      return { id: parseString(entry) };
+    } catch (error) {
+      issues.push(`${label}: ${error.message}`);
+      return null;
+    }
+  }
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    issues.push(`${label}: expected a server ID or { id, interval, enabled }, got ${describeValue(entry)}`);
+    return null;
+  }
+
+  let valid = true;
+  const checkField = (key, parser) => {
+    if (entry[key] === undefined) {
+      return undefined;
+    }
+    try {
+      return parser(entry[key]);
+    } catch (error) {
+      issues.push(`${label}.${key}: ${error.message}`);
+      valid = false;
+      return undefined;
+    }
+  };
+
+  for (const key of Object.keys(entry).filter(key => !SERVER_ENTRY_KEYS.includes(key))) {
+    issues.push(`${label}: unknown key "${key}"${suggestKey(key, SERVER_ENTRY_KEYS)}`);
+    valid = false;
+  }
+  if (entry.id === undefined) {
+    issues.push(`${label}: missing required key "id"`);
+    valid = false;
+  }
+
+  const server = {
+    id: checkField('id', parseString),
+    interval: checkField('interval', parsePositiveInteger),
+    enabled: checkField('enabled', parseBoolean)
+  };
+  return valid ? server : null;
+}
+
+function parseServerList(entries, label, issues) {
+  const servers = [];
+  const seen = new Set();
+
+  entries.forEach((entry, index) => {
+    const server = parseServerEntry(entry, `${label}[${index}]`, issues);
+    if (!server) {
+      return;
+    }
+    if (seen.has(server.id)) {
+      issues.push(`${label}[${index}]: duplicate server "${server.id}"`);
+      return;
+    }
+    seen.add(server.id);
+    servers.push(server);
+  });
+
+  return servers;
+}
+
+function splitCompactServerList(value) {
+  // Compact form: "id[:interval[:enabled]]" entries separated by commas
+  return value
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [id, interval, enabled] = part.split(':').map(token => token.trim());
+      const entry = { id };
+      if (interval) {
+        entry.interval = interval;
+      }
+      if (enabled) {
+        entry.enabled = enabled;
+      }
+      return entry;
+    });
+}
+
+function parseServers(value, label, issues) {
+  let entries = value;
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        entries = JSON.parse(trimmed);
+      } catch (error) {
+        issues.push(`${label}: invalid JSON (${error.message})`);
+        return undefined;
+      }
+    } else {
+      entries = splitCompactServerList(trimmed);
+    }
+  }
+
+  if (!Array.isArray(entries)) {
+    issues.push(`${label}: expected a list of servers, got ${describeValue(value)}`);
+    return undefined;
+  }
+
+  const servers = parseServerList(entries, label, issues);
+  if (entries.length > 0 && servers.length === 0) {
+    return undefined;
+  }
+  if (servers.length === 0) {
+    issues.push(`${label}: must list at least one server`);
+    return undefined;
+  }
+  return servers;
+}
+
+function parseAccounts(value, label, issues) {
+  let entries = value;
+
+  if (typeof value === 'string') {
+    try {
+      entries = JSON.parse(value);
+    } catch (error) {
+      issues.push(`${label}: invalid JSON (${error.message})`);
+      return undefined;
+    }
+  }
+
+  if (!entries || typeof entries !== 'object') {
+    issues.push(`${label}: expected an object or array of account profiles, got ${describeValue(entries)}`);
+    return undefined;
+  }
+
+  const list = Array.isArray(entries)
+    ? entries.map((entry, index) => ({ key: `${label}[${index}]`, fallbackName: `account-${index + 1}`, entry }))
+    : Object.entries(entries).map(([name, entry]) => ({ key: `${label}.${name}`, fallbackName: name, entry }));
+
+  const accounts = [];
+  const seen = new Set();
+
+  for (const { key, fallbackName, entry } of list) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      issues.push(`${key}: expected an account profile object, got ${describeValue(entry)}`);
+      continue;
+    }
+
+    let valid = true;
+    for (const unknownKey of Object.keys(entry).filter(entryKey => !ACCOUNT_ENTRY_KEYS.includes(entryKey))) {
+      issues.push(`${key}: unknown key "${unknownKey}"${suggestKey(unknownKey, ACCOUNT_ENTRY_KEYS)}`);
+      valid = false;
+    }
+
+    const account = { name: fallbackName };
+    for (const field of ACCOUNT_ENTRY_KEYS.filter(entryKey => entryKey !== 'servers')) {
+      if (entry[field] === undefined) {
+        continue;
+      }
+      try {
+        if (field === 'password') {
+          account[field] = parseSecret(entry[field]);
+        } else if (ACCOUNT_STRING_FIELDS.includes(field)) {
+          account[field] = parseString(entry[field]);
+        } else {
+          account[field] = parseCredentialFile(entry[field]);
+        }
+      } catch (error) {
+        issues.push(`${key}.${field}: ${error.message}`);
+        valid = false;
+      }
+    }
+
+    for (const fields of Object.values(CREDENTIAL_SOURCES)) {
+      const set = fields.filter(field => entry[field] !== undefined);
+      if (set.length > 1) {
+        issues.push(`${key}: ${set.map(field => `"${field}"`).join(' and ')} are mutually exclusive`);
+        valid = false;
+      }
+    }
+
+    if (entry.servers === undefined) {
+      issues.push(`${key}: missing required key "servers"`);
+      valid = false;
+    } else {
+      account.servers = parseServers(entry.servers, `${key}.servers`, issues);
+      valid = valid && Boolean(account.servers);
+    }
+
+    if (!valid) {
+      continue;
+    }
+    if (seen.has(account.name)) {
+      issues.push(`${key}: duplicate account profile "${account.name}"`);
+      continue;
+    }
+    seen.add(account.name);
+    accounts.push(account);
+  }
+
+  if (list.length === 0) {
+    issues.push(`${label}: must define at least one account profile`);
+  }
+  return accounts;
+}
+
+function parseWebhookEntry(entry) {
+  const source = typeof entry === 'string' ? splitCompactWebhook(entry) : entry;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error(`expected a webhook URL or object, got ${describeValue(entry)}`);
+  }
+  const unknownKey = Object.keys(source).find(key => !WEBHOOK_ENTRY_KEYS.includes(key));
+  if (unknownKey) {
+    throw new Error(`unknown key "${unknownKey}"${suggestKey(unknownKey, WEBHOOK_ENTRY_KEYS)}`);
+  }
+  if (source.url === undefined) {
+    throw new Error('missing required key "url"');
+  }
+
+  const webhook = { url: parseUrl(source.url) };
+  if (!/^https?:$/.test(new URL(webhook.url).protocol)) {
+    throw new Error(`expected an http(s) URL, got ${describeValue(source.url)}`);
+  }
+  if (source.format !== undefined) {
+    if (!WEBHOOK_FORMATS.includes(source.format)) {
+      throw new Error(`format: expected one of ${WEBHOOK_FORMATS.join(', ')}, got ${describeValue(source.format)}`);
+    }
+    webhook.format = source.format;
+  }
+  if (source.events !== undefined) {
+    const events = Array.isArray(source.events) ? source.events : [source.events];
+    const unknownEvent = events.find(event => !NOTIFICATION_EVENTS.includes(event));
+    if (unknownEvent !== undefined) {
+      throw new Error(`events: expected some of ${NOTIFICATION_EVENTS.join(', ')}, got ${describeValue(unknownEvent)}`);
+    }
+    webhook.events = events;
+  }
+  return webhook;
+}
+
+// `discord=https://...` picks the format; a bare URL leaves it to detection
+function splitCompactWebhook(entry) {
+  const match = entry.trim().match(/^([a-z]+)=(.+)$/);
+  return match && WEBHOOK_FORMATS.includes(match[1]) ? { format: match[1], url: match[2] } : { url: entry.trim() };
+}
+
+function parseWebhooks(value, label, issues) {
+  let entries = value;
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        entries = JSON.parse(trimmed);
+      } catch (error) {
+        issues.push(`${label}: invalid JSON (${error.message})`);
+        return undefined;
+      }
+    } else {
+      entries = trimmed.split(/[\s,]+/).filter(Boolean);
+    }
+  }
+
+  if (!Array.isArray(entries)) {
+    issues.push(`${label}: expected a list of webhooks, got ${describeValue(value)}`);
+    return undefined;
+  }
+
+  const webhooks = [];
+  entries.forEach((entry, index) => {
+    try {
+      webhooks.push(parseWebhookEntry(entry));
+    } catch (error) {
+      issues.push(`${label}[${index}]: ${error.message}`);
+    }
+  });
+  return webhooks.length === entries.length && webhooks.length > 0 ? webhooks : undefined;
+}
+
+// `-` stands for stdin and is kept as is; anything else is a path
+function parseCredentialFile(value) {
+  const filePath = parseString(value);
+  return filePath === STDIN_PATH ? filePath : path.resolve(filePath);
+}
+
+function parseEmailList(value) {
+  const entries = Array.isArray(value) ? value : parseString(value).split(',');
+  const addresses = entries.map(entry => parseString(entry).trim()).filter(Boolean);
+  const invalid = addresses.find(address => !/^[^\s@]+@[^\s@]+$/.test(address.replace(/^.*<(.+)>$/, '$1')));
+  if (addresses.length === 0 || invalid !== undefined) {
+    throw new Error(`expected comma-separated email addresses, got ${describeValue(invalid ?? value)}`);
+  }
+  return addresses;
+}
+
+function parseTimeOfDay(value) {
+  const match = parseString(value).trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!match) {
+    throw new Error(`expected a time of day as HH:MM, got ${describeValue(value)}`);
+  }
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function parseSecret(value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new Error('expected a non-empty string');
+  }
+  return value;
+}
+
+const TYPE_PARSERS = {
+  string: parseString,
+  secret: parseSecret,
+  url: parseUrl,
+  path: value => path.resolve(parseString(value)),
+  credentialFile: parseCredentialFile,
+  positiveInteger: parsePositiveInteger,
+  nonNegativeInteger: parseNonNegativeInteger,
+  port: parsePort,
+  boolean: parseBoolean,
+  viewport: parseViewport,
+  emailList: parseEmailList,
+  timeOfDay: parseTimeOfDay
+};
+
+function parseValue(key, value, label, issues) {
+  const spec = CONFIG_SCHEMA[key];
+
+  if (spec.type === 'servers') {
+    return parseServers(value, label, issues);
+  }
+  if (spec.type === 'accounts') {
+    return parseAccounts(value, label, issues);
+  }
+  if (spec.type === 'webhooks') {
+    return parseWebhooks(value, label, issues);
+  }
+
+  try {
+    const parsed = TYPE_PARSERS[spec.type](value);
+    if (spec.values && !spec.values.includes(parsed)) {
+      throw new Error(`expected one of ${spec.values.join(', ')}, got ${describeValue(value)}`);
+    }
+    return parsed;
+  } catch (error) {
+    issues.push(`${label}: ${error.message}`);
+    return undefined;
+  }
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestKey(key, candidates) {
+  const normalized = key.toLowerCase().replace(/[^a-z0-9]/g, '');
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(normalized, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best && bestDistance <= 3 ? ` (did you mean "${best}"?)` : '';
+}
+
+function findConfigFile(explicitPath, searchDir) {
+  if (explicitPath) {
+    const resolved = path.resolve(explicitPath);
+    if (!fs.existsSync(resolved)) {
+      throw new ConfigError(`Config file not found: ${resolved}`);
+    }
+    return resolved;
+  }
+
+  for (const name of CONFIG_FILE_NAMES) {
+    const candidate = path.join(searchDir, name);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+function isYamlFile(filePath) {
+  return /\.ya?ml$/i.test(filePath);
+}
+
+function readConfigFile(filePath) {
+  let data;
+  try {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    data = isYamlFile(filePath) ? YAML.parse(content) : JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError(`Failed to parse config file ${filePath}: ${error.message}`);
+  }
+
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError(`Config file ${filePath} must contain an object at the top level`);
+  }
+  return data;
+}
+
+function writeConfigFile(filePath, data, options = {}) {
+  const content = isYamlFile(filePath) ? YAML.stringify(data) : `${JSON.stringify(data, null, 2)}\n`;
+  fs.writeFileSync(filePath, content, options.mode ? { mode: options.mode } : undefined);
+}
+
+function parseFileData(fileData, fileName, issues, warnings) {
+  const knownKeys = Object.keys(CONFIG_SCHEMA);
+  const values = {};
+
+  for (const [rawKey, rawValue] of Object.entries(fileData)) {
+    const aliasOf = knownKeys.find(key => (CONFIG_SCHEMA[key].aliases || []).includes(rawKey));
+    const key = aliasOf || rawKey;
+
+    if (!CONFIG_SCHEMA[key]) {
+      issues.push(`${fileName}: unknown key "${rawKey}"${suggestKey(rawKey, knownKeys)}`);
+      continue;
+    }
+    if (aliasOf) {
+      warnings.push(`${fileName}: "${rawKey}" is deprecated, use "${key}"`);
+      if (fileData[key] !== undefined) {
+        continue;
+      }
+    }
+
+    const value = parseValue(key, rawValue, `${fileName} ${rawKey}`, issues);
+    if (value !== undefined) {
+      values[key] = value;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Checks config file contents against the schema without loading anything
+ * else. Throws a ConfigError listing every problem.
+ */
+function validateConfigData(data, fileName = CONFIG_FILE_NAMES[0]) {
+  const issues = [];
+  parseFileData(data, fileName, issues, []);
+  if (issues.length > 0) {
+    throw new ConfigError('Invalid configuration', issues);
+  }
+}
+
+/**
+ * Applies top-level key updates to a config file, keeping every other key.
+ * A value of undefined removes the key. YAML files keep their comments.
+ * Returns the merged data.
+ */
+function mergeConfigFile(filePath, updates, options = {}) {
+  const exists = fs.existsSync(filePath);
+  const yaml = isYamlFile(filePath);
+  const document = yaml && exists ? YAML.parseDocument(fs.readFileSync(filePath, 'utf-8')) : null;
+  const data = exists ? readConfigFile(filePath) : {};
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (value === undefined) {
+      delete data[key];
+      if (document) {
+        document.delete(key);
+      }
+    } else {
+      data[key] = value;
+      if (document) {
+        document.set(key, value);
+      }
+    }
+  }
+
+  validateConfigData(data, path.basename(filePath));
+
+  const content = document ? String(document) : null;
+  if (content) {
+    fs.writeFileSync(filePath, content, options.mode ? { mode: options.mode } : undefined);
+  } else {
+    writeConfigFile(filePath, data, options);
+  }
+  if (options.mode) {
+    // writeFileSync only applies the mode when it creates the file
+    fs.chmodSync(filePath, options.mode);
+  }
+  return data;
+}
+
+function envValue(env, names) {
+  for (const name of [].concat(names)) {
+    if (env[name] !== undefined && String(env[name]).trim() !== '') {
+      return { name, value: env[name] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolves the effective configuration. Precedence, highest first: CLI flags,
+ * environment variables, the config file, schema defaults.
+ *
+ * Options:
+ * - flags: values from the command line, keyed by schema key
+ * - env: environment to read (default: process.env)
+ * - configFile: explicit config file path (otherwise FALIX_CONFIG, then
+ *   falix.config.json/.yaml/.yml in searchDir)
+ * - searchDir: where to look for a config file (default: repository root)
+ *
+ * Returns { values, sources, filePath, warnings } and throws a ConfigError
+ * listing every invalid or unknown key.
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const flags = options.flags || {};
+  const searchDir = options.searchDir || DEFAULT_CONFIG_DIR;
+  const explicitFile = options.configFile || (envValue(env, 'FALIX_CONFIG') || {}).value;
+  const filePath = findConfigFile(explicitFile, searchDir);
+  const defaultFilePath = filePath || path.join(searchDir, CONFIG_FILE_NAMES[0]);
+
+  const issues = [];
+  const warnings = [];
+  const layers = { default: {}, file: {}, env: {}, flag: {} };
+  const fileName = path.basename(defaultFilePath);
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (spec.default !== undefined) {
+      layers.default[key] = { value: spec.default, source: 'default' };
+    }
+  }
+
+  if (filePath) {
+    const fileValues = parseFileData(readConfigFile(filePath), fileName, issues, warnings);
+    for (const [key, value] of Object.entries(fileValues)) {
+      layers.file[key] = { value, source: fileName };
+    }
+  }
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const found = spec.env ? envValue(env, spec.env) : null;
+    if (found) {
+      const value = parseValue(key, found.value, `env ${found.name}`, issues);
+      if (value !== undefined) {
+        layers.env[key] = { value, source: `env ${found.name}` };
+      }
+    }
+
+    if (flags[key] !== undefined) {
+      const flagName = spec.flag || key;
+      const value = parseValue(key, flags[key], flagName, issues);
+      if (value !== undefined) {
+        layers.flag[key] = { value, source: flagName };
+      }
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new ConfigError('Invalid configuration', issues);
+  }
+
+  const values = {};
+  const sources = {};
+  const ranks = {};
+
+  for (const [rank, layer] of LAYERS.entries()) {
+    for (const [key, entry] of Object.entries(layers[layer])) {
+      values[key] = entry.value;
+      sources[key] = entry.source;
+      ranks[key] = rank;
+    }
+  }
+
+  for (const [key, derive] of Object.entries(DERIVED_DEFAULTS)) {
+    if (values[key] === undefined) {
+      values[key] = derive(values);
+      sources[key] = 'default';
+    }
+  }
+
+  // A single server ID set in a higher layer overrides a lower-layer server list
+  if (values.servers && values.serverId !== undefined && ranks.serverId > ranks.servers) {
+    delete values.servers;
+    delete sources.servers;
+  }
+
+  // A credential source set in a higher layer replaces the other sources of that credential
+  for (const fields of Object.values(CREDENTIAL_SOURCES)) {
+    const set = fields.filter(field => values[field] !== undefined);
+    const topRank = Math.max(...set.map(field => ranks[field]));
+    for (const field of set.filter(field => ranks[field] < topRank)) {
+      delete values[field];
+      delete sources[field];
+    }
+
+    const remaining = set.filter(field => values[field] !== undefined);
+    if (remaining.length > 1) {
+      issues.push(`${remaining.map(field => sources[field]).join(' and ')} are mutually exclusive`);
+    }
+  }
+
+  // The daemon wakes clickLeadSeconds before expiry; with a larger lead it would find the timer above the threshold and skip
+  if (values.clickThresholdSeconds > 0 && values.clickLeadSeconds >= values.clickThresholdSeconds) {
+    issues.push(`clickLeadSeconds (${values.clickLeadSeconds}, ${sources.clickLeadSeconds}) must be smaller than clickThresholdSeconds (${values.clickThresholdSeconds}, ${sources.clickThresholdSeconds})`);
+  }
+
+  if (values.smtpHost && !values.emailTo) {
+    issues.push(`emailTo (EMAIL_TO) is required when smtpHost is set (${sources.smtpHost})`);
+  }
+  if (values.smtpHost && !values.emailFrom && !values.smtpUser) {
+    issues.push(`emailFrom (EMAIL_FROM) is required when smtpHost is set without smtpUser (${sources.smtpHost})`);
+  }
+
+  if (issues.length > 0) {
+    throw new ConfigError('Invalid configuration', issues);
+  }
+
+  return { values, sources, filePath: defaultFilePath, fileLoaded: Boolean(filePath), warnings };
+}
+
+/**
+ * Session file of an account profile: its own cookiesFile, or a per-profile
+ * file in the state directory.
+ */
+function profileCookiesFile(profile, values) {
+  if (profile.cookiesFile) {
+    return path.resolve(profile.cookiesFile);
+  }
+  // Account names end up in cookie file paths, so keep them filesystem-safe
+  const safeName = profile.name.replace(/[^a-z0-9_-]+/gi, '-');
+  return path.join(values.stateDir, `cookies-${safeName}.json`);
+}
+
+// Email stays a plain string when given directly; config print and the diagnostic bundle mask it (see maskEmail)
+function toCredentials(source) {
+  return {
+    email: source.email || createCredential({ file: source.emailFile, command: source.emailCommand }),
+    password: createCredential({ value: source.password, file: source.passwordFile, command: source.passwordCommand })
+  };
+}
+
+function checkStdinUse(accounts) {
+  const readers = [];
+  for (const account of accounts) {
+    for (const field of ['email', 'password']) {
+      if (account[field] && account[field].source === 'stdin') {
+        readers.push(`${account.name} ${field}`);
+      }
+    }
+  }
+  if (readers.length > 1) {
+    throw new ConfigError(`Only one credential can be read from stdin, but ${readers.join(' and ')} both use it`);
+  }
+  return accounts;
+}
+
+function toServer(entry, values) {
+  return {
+    id: entry.id,
+    intervalSeconds: entry.interval ?? values.timerInterval,
+    enabled: entry.enabled ?? true
+  };
+}
+
+/**
+ * Expands the loaded configuration into account profiles with defaults
+ * applied. Without `accounts`, a single "default" profile is built from
+ * email/password and servers/serverId (its server list may be empty).
+ * Passwords, and emails from files or commands, become Credential objects
+ * that are read on first use.
+ */
+function buildAccounts(config) {
+  const { values } = config;
+
+  if (!values.accounts) {
+    const entries = values.servers || (values.serverId ? [{ id: values.serverId }] : []);
+    return checkStdinUse([{
+      name: 'default',
+      ...toCredentials(values),
+      cookiesFile: values.cookiesFile,
+      servers: entries.map(entry => toServer(entry, values))
+    }]);
+  }
+
+  const cookieFiles = new Map();
+
+  return checkStdinUse(values.accounts.map((profile) => {
+    const cookiesFile = profileCookiesFile(profile, values);
+
+    // Two profiles sharing a cookie file would load each other's session
+    if (cookieFiles.has(cookiesFile)) {
+      throw new ConfigError(`Account profiles "${cookieFiles.get(cookiesFile)}" and "${profile.name}" resolve to the same cookie file ${cookiesFile}; rename one or set cookiesFile explicitly`);
+    }
+    cookieFiles.set(cookiesFile, profile.name);
+
+    return {
+      name: profile.name,
+      ...toCredentials(profile),
+      cookiesFile,
+      servers: profile.servers.map(entry => toServer(entry, values))
+    };
+  }));
+}
+
+// Keeps the first character and the domain, e.g. j***@example.com, so accounts can still be told apart
+function maskEmail(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const at = value.lastIndexOf('@');
+  return at > 0 ? `${value[0]}***${value.slice(at)}` : MASK;
+}
+
+function maskValue(key, value) {
+  if (key === 'accounts') {
+    return value.map(account => ({
+      ...account,
+      ...(account.email ? { email: maskEmail(account.email) } : {}),
+      ...(account.password ? { password: MASK } : {})
+    }));
+  }
+  if (key === 'email') {
+    return maskEmail(value);
+  }
+  if (key === 'webhooks') {
+    // Webhook URLs embed their credentials, so only the host is shown
+    return value.map(webhook => ({ ...webhook, url: `${new URL(webhook.url).origin}/${MASK}` }));
+  }
+  return CONFIG_SCHEMA[key].secret ? MASK : value;
+}
+
+/**
+ * The effective configuration as an object of `{ value, source }` per key,
+ * masked like formatConfig().
+ */
+function snapshotConfig(config) {
+  const values = {};
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    if (config.values[key] !== undefined) {
+      values[key] = { value: maskValue(key, config.values[key]), source: config.sources[key] };
+    }
+  }
+  return { filePath: config.filePath, fileLoaded: config.fileLoaded, values };
+}
+
+/**
+ * Renders the effective configuration, one key per line with its source.
+ * Secrets are masked.
+ */
+function formatConfig(config) {
+  const lines = [`# Config file: ${config.filePath}${config.fileLoaded ? '' : ' (not found)'}`];
+  const width = Math.max(...Object.keys(CONFIG_SCHEMA).map(key => key.length));
+
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    const hasValue = config.values[key] !== undefined;
+    const value = hasValue ? maskValue(key, config.values[key]) : '(unset)';
+    const rendered = typeof value === 'string' ? value : JSON.stringify(value);
+    lines.push(`${key.padEnd(width)}  ${rendered}${hasValue ? `  [${config.sources[key]}]` : ''}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  CONFIG_FILE_NAMES,
+  loadConfig,
+  buildAccounts,
+  profileCookiesFile,
+  formatConfig,
+  snapshotConfig,
+  readConfigFile,
+  writeConfigFile,
+  validateConfigData,
+  mergeConfigFile
+};
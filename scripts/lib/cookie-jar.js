@@ -0,0 +1,217 @@
+// Cookies are kept in Puppeteer's page.cookies() shape so the same list can be
+// handed to page.setCookie() and to HTTP requests. A leading dot on `domain`
+// marks a domain cookie; without it the cookie is host-only.
+
+const SECURE_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+function cookieKey(cookie) {
+  return `${cookie.name}\u0000${cookie.domain}\u0000${cookie.path}`;
+}
+
+function isExpired(cookie, now) {
+  return typeof cookie.expires === 'number' && cookie.expires > 0 && cookie.expires * 1000 <= now;
+}
+
+function domainMatches(hostname, cookieDomain) {
+  const host = hostname.toLowerCase();
+  const domain = cookieDomain.toLowerCase();
+
+  if (!domain.startsWith('.')) {
+    return host === domain;
+  }
+
+  const bare = domain.slice(1);
+  return host === bare || host.endsWith(domain);
+}
+
+// RFC 6265 section 5.1.4
+function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) {
+    return true;
+  }
+  if (!requestPath.startsWith(cookiePath)) {
+    return false;
+  }
+  return cookiePath.endsWith('/') || requestPath.charAt(cookiePath.length) === '/';
+}
+
+// RFC 6265 section 5.1.4, default-path algorithm
+function defaultPath(requestPath) {
+  if (!requestPath.startsWith('/')) {
+    return '/';
+  }
+  const lastSlash = requestPath.lastIndexOf('/');
+  return lastSlash <= 0 ? '/' : requestPath.slice(0, lastSlash);
+}
+
+function parseSetCookie(header, requestUrl, now) {
+  const [pair, ...attributes] = header.split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) {
+    return null;
+  }
+
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    domain: requestUrl.hostname.toLowerCase(),
+    path: defaultPath(requestUrl.pathname),
+    expires: -1,
+    httpOnly: false,
+    secure: false,
+    session: true
+  };
+  let maxAge = null;
+
+  for (const attribute of attributes) {
+    const [rawName, ...rest] = attribute.split('=');
+    const name = rawName.trim().toLowerCase();
+    const value = rest.join('=').trim();
+
+    if (name === 'domain' && value) {
+      const domain = `.${value.replace(/^\./, '').toLowerCase()}`;
+      // A server may only set cookies for its own domain or a parent of it
+      if (!domainMatches(requestUrl.hostname, domain)) {
+        return null;
+      }
+      cookie.domain = domain;
+    } else if (name === 'path' && value.startsWith('/')) {
+      cookie.path = value;
+    } else if (name === 'expires') {
+      const timestamp = Date.parse(value);
+      if (!Number.isNaN(timestamp)) {
+        cookie.expires = timestamp / 1000;
+      }
+    } else if (name === 'max-age' && /^-?\d+$/.test(value)) {
+      maxAge = Number(value);
+    } else if (name === 'secure') {
+      cookie.secure = true;
+    } else if (name === 'httponly') {
+      cookie.httpOnly = true;
+    } else if (name === 'samesite' && value) {
+      cookie.sameSite = value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+    }
+  }
+
+  // Max-Age wins over Expires; zero or negative means "already expired"
+  if (maxAge !== null) {
+    cookie.expires = maxAge <= 0 ? 1 : now / 1000 + maxAge;
+  }
+  cookie.session = cookie.expires === -1;
+
+  return cookie;
+}
+
+/**
+ * Minimal RFC 6265 cookie store: domain and path matching, secure-only
+ * cookies, expiry pruning and Set-Cookie handling.
+ */
+class CookieJar {
+  constructor(cookies = []) {
+    this.cookies = new Map();
+    for (const cookie of cookies) {
+      if (cookie && cookie.name && cookie.domain) {
+        this.upsert(cookie);
+      }
+    }
+  }
+
+  get size() {
+    return this.cookies.size;
+  }
+
+  upsert(cookie) {
+    this.cookies.set(cookieKey(cookie), { path: '/', ...cookie });
+  }
+
+  prune(now = Date.now()) {
+    let removed = 0;
+    for (const [key, cookie] of this.cookies) {
+      if (isExpired(cookie, now)) {
+        this.cookies.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Cookies that a request to `url` would carry, most specific path first.
+   */
+  cookiesFor(url, now = Date.now()) {
+    const target = new URL(url);
+    const secureChannel = target.protocol === 'https:' || SECURE_HOSTS.has(target.hostname);
+
+    return [...this.cookies.values()]
+      .filter(cookie => !isExpired(cookie, now))
+      .filter(cookie => domainMatches(target.hostname, cookie.domain))
+      .filter(cookie => pathMatches(target.pathname || '/', cookie.path || '/'))
+      .filter(cookie => !cookie.secure || secureChannel)
+      .sort((a, b) => (b.path || '/').length - (a.path || '/').length);
+  }
+
+  getCookieHeader(url, now = Date.now()) {
+    const cookies = this.cookiesFor(url, now);
+    return cookies.length > 0 ? cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ') : null;
+  }
+
+  /**
+   * Applies one Set-Cookie header received from `requestUrl`. Returns true
+   * when the jar changed.
+   */
+  setCookie(header, requestUrl, now = Date.now()) {
+    const cookie = parseSetCookie(header, new URL(requestUrl), now);
+    if (!cookie) {
+      return false;
+    }
+
+    const key = cookieKey(cookie);
+    if (isExpired(cookie, now)) {
+      return this.cookies.delete(key);
+    }
+
+    const existing = this.cookies.get(key);
+    if (existing && existing.value === cookie.value && existing.expires === cookie.expires) {
+      return false;
+    }
+    this.cookies.set(key, cookie);
+    return true;
+  }
+
+  /**
+   * Applies every Set-Cookie header of an HTTP response. Returns the number
+   * of cookies added, updated or deleted.
+   */
+  storeResponseCookies(headers, requestUrl, now = Date.now()) {
+    const setCookie = headers && headers['set-cookie'];
+    if (!setCookie) {
+      return 0;
+    }
+    return [].concat(setCookie).filter(header => this.setCookie(header, requestUrl, now)).length;
+  }
+
+  /**
+   * Treats `cookies` as the complete set visible at `url` (for example
+   * page.cookies() from a browser tab): cookies in scope that are missing from
+   * the list are dropped, cookies outside that scope are kept.
+   */
+  replaceFor(url, cookies) {
+    const target = new URL(url);
+    for (const [key, cookie] of this.cookies) {
+      if (domainMatches(target.hostname, cookie.domain) && pathMatches(target.pathname || '/', cookie.path || '/')) {
+        this.cookies.delete(key);
+      }
+    }
+    for (const cookie of cookies) {
+      this.upsert(cookie);
+    }
+  }
+
+  toJSON() {
+    return [...this.cookies.values()];
+  }
+}
+
+module.exports = {
+  CookieJar
+};
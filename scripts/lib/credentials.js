@@ -0,0 +1,132 @@
+const { exec } = require('child_process');
+const fs = require('fs');
+const util = require('util');
+const { CredentialError } = require('./errors');
+
+const COMMAND_TIMEOUT = 30000;
+// Value of a *_FILE setting that reads the secret from standard input instead
+const STDIN_PATH = '-';
+
+let stdinContent = null;
+
+// Standard input can only be consumed once, so every stdin credential shares one read
+function readStdin() {
+  if (!stdinContent) {
+    stdinContent = new Promise((resolve, reject) => {
+      if (process.stdin.isTTY) {
+        reject(new CredentialError('stdin is a terminal; pipe the secret in, e.g. `printf %s "$PASSWORD" | npm run keepalive`'));
+        return;
+      }
+      const chunks = [];
+      process.stdin.on('data', chunk => chunks.push(chunk));
+      process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+      process.stdin.on('error', reject);
+    });
+  }
+  return stdinContent;
+}
+
+// Secret files and helper output usually end with a newline that is not part of the secret
+function stripTrailingNewline(value) {
+  return value.replace(/\r?\n$/, '');
+}
+
+/**
+ * A secret that is read only when resolve() is first called. Printing,
+ * logging or serializing a Credential shows where it comes from, never the
+ * value.
+ */
+class Credential {
+  constructor(source, read) {
+    this.source = source;
+    this.read = read;
+    this.pending = null;
+  }
+
+  static fromValue(value) {
+    return new Credential('value', async () => value);
+  }
+
+  static fromFile(filePath) {
+    if (filePath === STDIN_PATH) {
+      return new Credential('stdin', async () => stripTrailingNewline(await readStdin()));
+    }
+    return new Credential(`file ${filePath}`, async () => {
+      try {
+        return stripTrailingNewline(await fs.promises.readFile(filePath, 'utf-8'));
+      } catch (error) {
+        throw new CredentialError(`Cannot read secret file ${filePath}: ${error.code || error.message}`);
+      }
+    });
+  }
+
+  static fromCommand(command) {
+    return new Credential(`command \`${command}\``, () => new Promise((resolve, reject) => {
+      exec(command, { timeout: COMMAND_TIMEOUT, windowsHide: true }, (error, stdout) => {
+        // stdout may hold the secret, so it never goes into the error message
+        if (error) {
+          const reason = error.killed ? `timed out after ${COMMAND_TIMEOUT}ms` : `exited with code ${error.code}`;
+          reject(new CredentialError(`Credential helper \`${command}\` ${reason}`));
+          return;
+        }
+        resolve(stripTrailingNewline(stdout));
+      });
+    }));
+  }
+
+  async resolve() {
+    if (!this.pending) {
+      this.pending = this.read().then((value) => {
+        if (!value) {
+          throw new CredentialError(`Credential from ${this.source} is empty`);
+        }
+        return value;
+      });
+      // Let a failed read be retried on the next login instead of caching the failure
+      this.pending.catch(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  toString() {
+    return `[credential from ${this.source}]`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+
+  [util.inspect.custom]() {
+    return this.toString();
+  }
+}
+
+/**
+ * Builds a Credential from the first configured source: a literal value, a
+ * file (`-` for stdin) or a helper command. Returns null when none is set.
+ */
+function createCredential({ value, file, command }) {
+  if (value) {
+    return Credential.fromValue(value);
+  }
+  if (file) {
+    return Credential.fromFile(file);
+  }
+  if (command) {
+    return Credential.fromCommand(command);
+  }
+  return null;
+}
+
+async function resolveCredential(credential) {
+  return credential instanceof Credential ? credential.resolve() : credential;
+}
+
+module.exports = {
+  Credential,
+  createCredential,
+  resolveCredential,
+  STDIN_PATH
+};
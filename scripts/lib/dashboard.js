@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('./status-api');
+const { BUNDLE_DIR_PATTERN } = require('./diagnostics');
+
+const PAGE_PATH = path.join(__dirname, 'dashboard.html');
+// Written by FalixClient#captureDiagnosticInfo as falix-<context>-<timestamp>.png
+const SCREENSHOT_PATTERN = /^falix-(.+)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.png$/;
+const DEFAULT_HISTORY_LIMIT = 25;
+const DEFAULT_REFRESH_INTERVAL_MS = 30000;
+
+/**
+ * The newest diagnostic screenshot in `directory` or in one of the diagnostic
+ * bundles in it, or null when there is none. `bundle` names the bundle
+ * directory, or is null for a loose file.
+ */
+function findLatestScreenshot(directory) {
+  let entries;
+  try {
+    entries = fs.readdirSync(directory, { withFileTypes: true });
+  } catch (error) {
+    return null;
+  }
+
+  const candidates = [];
+  for (const entry of entries) {
+    if (entry.isDirectory() && BUNDLE_DIR_PATTERN.test(entry.name)) {
+      try {
+        candidates.push(...fs.readdirSync(path.join(directory, entry.name)).map(name => ({ bundle: entry.name, name })));
+      } catch (error) {
+        // A bundle being archived can disappear while it is listed
+      }
+    } else {
+      candidates.push({ bundle: null, name: entry.name });
+    }
+  }
+
+  let latest = null;
+  for (const { bundle, name } of candidates) {
+    const match = SCREENSHOT_PATTERN.exec(name);
+    if (!match) {
+      continue;
+    }
+    // The file name carries the capture time with ':' and '.' swapped for '-'
+    const [date, time] = match[2].split('T');
+    const [hours, minutes, seconds, millis] = time.replace('Z', '').split('-');
+    const capturedAt = `${date}T${hours}:${minutes}:${seconds}.${millis}Z`;
+    if (!latest || capturedAt > latest.capturedAt) {
+      latest = { name, bundle, context: match[1], capturedAt };
+    }
+  }
+  return latest;
+}
+
+/**
+ * Web dashboard served next to the status API: server countdowns, recent
+ * history, the latest diagnostic screenshot, and buttons that call the API's
+ * own POST endpoints with the token entered on the page. GET /events pushes
+ * updates over Server-Sent Events whenever a login, ping or click is recorded,
+ * so the dashboard is also a record observer (see FalixClient `observers`).
+ *
+ * Options:
+ * - getStatus(): the GET /status document (default: the mounting StatusApi's)
+ * - getHistory(limit): the newest `limit` history records, newest first
+ * - diagnosticsDir: where captureDiagnosticInfo() writes its screenshots,
+ *   loose or in diagnostic bundles
+ * - refreshIntervalMs: how often to push the status without new records (default: 30000)
+ * - logger: object with log/warn/error methods (default: console)
+ */
+class Dashboard {
+  constructor(options = {}) {
+    this.getStatus = options.getStatus || null;
+    this.getHistory = options.getHistory || (() => []);
+    this.diagnosticsDir = options.diagnosticsDir || null;
+    this.refreshIntervalMs = options.refreshIntervalMs || DEFAULT_REFRESH_INTERVAL_MS;
+    this.logger = options.logger || console;
+    this.streams = new Set();
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Adds the dashboard routes to a StatusApi.
+   */
+  mount(api) {
+    if (!this.getStatus) {
+      this.getStatus = () => api.getStatus();
+    }
+    api.route('GET', '/', ({ res }) => {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(fs.readFileSync(PAGE_PATH));
+    });
+    api.route('GET', '/history', ({ query }) => this.getHistory(Number(query.get('limit')) || DEFAULT_HISTORY_LIMIT));
+    api.route('GET', '/screenshot/:name', ({ res, params }) => this.sendScreenshot(res, null, params.name));
+    api.route('GET', '/screenshot/:bundle/:name', ({ res, params }) => this.sendScreenshot(res, params.bundle, params.name));
+    api.route('GET', '/events', ({ req, res }) => this.openStream(req, res));
+  }
+
+  snapshot() {
+    return {
+      status: this.getStatus(),
+      history: this.getHistory(DEFAULT_HISTORY_LIMIT),
+      screenshot: this.diagnosticsDir ? findLatestScreenshot(this.diagnosticsDir) : null
+    };
+  }
+
+  sendScreenshot(res, bundle, name) {
+    if (!this.diagnosticsDir || !SCREENSHOT_PATTERN.test(name) || (bundle !== null && !BUNDLE_DIR_PATTERN.test(bundle))) {
+      throw new ApiError(404, `No screenshot named ${name}`);
+    }
+    let image;
+    try {
+      image = fs.readFileSync(path.join(this.diagnosticsDir, bundle || '', name));
+    } catch (error) {
+      throw new ApiError(404, `No screenshot named ${name}`);
+    }
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'no-store' });
+    res.end(image);
+  }
+
+  openStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive'
+    });
+    this.streams.add(res);
+    req.on('close', () => {
+      this.streams.delete(res);
+      if (this.streams.size === 0) {
+        this.stopRefresh();
+      }
+    });
+
+    this.write(res, this.snapshot());
+    // Schedules move on without new records (a cycle starts, a refresh is planned), so push those too
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => this.broadcast(), this.refreshIntervalMs);
+    }
+  }
+
+  write(res, snapshot) {
+    res.write(`event: snapshot\ndata: ${JSON.stringify(snapshot)}\n\n`);
+  }
+
+  broadcast() {
+    if (this.streams.size === 0) {
+      return;
+    }
+    let snapshot;
+    try {
+      snapshot = this.snapshot();
+    } catch (error) {
+      this.logger.warn(`Dashboard update failed: ${error.message}`);
+      return;
+    }
+    for (const res of this.streams) {
+      this.write(res, snapshot);
+    }
+  }
+
+  observe() {
+    // Deferred, so observers registered after the dashboard have seen the record too
+    setImmediate(() => this.broadcast());
+  }
+
+  stopRefresh() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Ends every open event stream, which a server needs before it can close.
+   */
+  close() {
+    this.stopRefresh();
+    for (const res of this.streams) {
+      res.end();
+    }
+    this.streams.clear();
+  }
+}
+
+module.exports = {
+  Dashboard,
+  findLatestScreenshot
+};
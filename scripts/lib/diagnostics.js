@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+const { currentLogContext } = require('./logger');
+
+const execFileAsync = util.promisify(execFile);
+
+const BUNDLE_MODES = ['failure', 'always', 'off'];
+const BUNDLE_PREFIX = 'falix-run-';
+const BUNDLE_DIR_PATTERN = /^falix-run-[\w-]+$/;
+const LOG_FILE = 'run.log';
+const CONFIG_FILE = 'config.json';
+const MANIFEST_FILE = 'manifest.json';
+// A daemon's own run lasts as long as the process, so its log keeps only the newest lines.
+// It is trimmed once it is a tenth over the cap, so trimming stays rare.
+const MAX_LOG_LINES = 20000;
+const LOG_TRIM_THRESHOLD = MAX_LOG_LINES + MAX_LOG_LINES / 10;
+
+function errorMessage(error) {
+  if (!error) {
+    return null;
+  }
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Collects what one run leaves behind into a bundle directory
+ * `<directory>/falix-run-<runId>`: the diagnostic screenshots and HTML, the
+ * full log (debug lines included), a masked config snapshot, the time spent
+ * in each phase, and a manifest.json that ties every capture to the step,
+ * phase, server and error it belongs to.
+ *
+ * Runs are told apart by the `runId` log context field, so the daemon cycles
+ * the CLI runs under withLogContext({ runId }) each get a bundle of their own.
+ * Screenshots and HTML are written into the bundle as they are captured; the
+ * rest is written by finish().
+ *
+ * Options:
+ * - directory: where bundles are created (default: /tmp)
+ * - runId: the run of lines and captures outside any runId context
+ * - mode: failure writes a bundle only for failed runs and runs that captured
+ *   something, always for every run (default: failure)
+ * - archive: pack each bundle into `<bundle>.tar.gz` with the system tar and
+ *   remove the directory (default: false)
+ * - config: the configuration snapshot to include, already masked
+ * - redactor: a Redactor for error messages and the config snapshot (default: none)
+ */
+class DiagnosticBundler {
+  constructor(options = {}) {
+    this.directory = options.directory || '/tmp';
+    this.runId = options.runId;
+    this.mode = options.mode || 'failure';
+    this.archive = Boolean(options.archive);
+    this.config = options.config || null;
+    this.redactor = options.redactor || null;
+    this.runs = new Map();
+    this.finished = new Set();
+  }
+
+  redact(text) {
+    return this.redactor ? this.redactor.redactText(text) : text;
+  }
+
+  /**
+   * The state of the current run. Lines and captures of a run that already
+   * finished, such as an auto-timer started in an earlier daemon cycle, go to
+   * the process's own run.
+   */
+  currentRun() {
+    let runId = currentLogContext().runId || this.runId;
+    if (this.finished.has(runId)) {
+      runId = this.runId;
+    }
+    if (!this.runs.has(runId)) {
+      this.runs.set(runId, {
+        runId,
+        startedAt: new Date(),
+        log: [],
+        droppedLogLines: 0,
+        phases: [],
+        errors: [],
+        captures: [],
+        results: []
+      });
+    }
+    return this.runs.get(runId);
+  }
+
+  bundlePath(runId) {
+    return path.join(this.directory, `${BUNDLE_PREFIX}${runId}`);
+  }
+
+  /**
+   * Where a diagnostic file of the current run goes; creates the bundle directory.
+   */
+  artifactPath(fileName) {
+    const directory = this.bundlePath(this.currentRun().runId);
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+    return path.join(directory, fileName);
+  }
+
+  appendLog(line) {
+    const run = this.currentRun();
+    run.log.push(line);
+    if (run.log.length > LOG_TRIM_THRESHOLD) {
+      const dropped = run.log.length - MAX_LOG_LINES;
+      run.log.splice(0, dropped);
+      run.droppedLogLines += dropped;
+    }
+  }
+
+  /**
+   * Records one capture: `files` maps a kind (screenshot, html) to the path
+   * artifactPath() returned, `error` is the error or message that prompted it.
+   */
+  addCapture({ step, files, url = null, frames = [], error = null, account = null }) {
+    const context = currentLogContext();
+    const run = this.currentRun();
+    const directory = this.bundlePath(run.runId);
+    run.captures.push({
+      step,
+      phase: context.phase || null,
+      account: account || context.account || null,
+      serverId: context.serverId || null,
+      capturedAt: new Date(),
+      url,
+      frames,
+      error: error ? this.redact(errorMessage(error)) : null,
+      files: Object.fromEntries(Object.entries(files).map(([kind, file]) => [kind, path.relative(directory, file)]))
+    });
+  }
+
+  /**
+   * Records how long a phase took. A phase that failed also lends its error
+   * to the captures taken during it that had none of their own.
+   */
+  recordPhase({ phase, startedAt, error = null, account = null }) {
+    const context = currentLogContext();
+    const run = this.currentRun();
+    const entry = {
+      phase,
+      account: account || context.account || null,
+      serverId: context.serverId || null,
+      startedAt: new Date(startedAt),
+      durationMs: Date.now() - startedAt,
+      result: error ? 'failed' : 'ok'
+    };
+    run.phases.push(entry);
+
+    if (error) {
+      const message = this.redact(errorMessage(error));
+      entry.error = message;
+      run.errors.push({ phase, account: entry.account, serverId: entry.serverId, at: new Date(), message });
+      for (const capture of run.captures) {
+        if (!capture.error && capture.phase === phase && capture.serverId === entry.serverId && capture.capturedAt >= entry.startedAt) {
+          capture.error = message;
+        }
+      }
+    }
+  }
+
+  /**
+   * Records the per-server outcome of the current run, as listed in the run summary.
+   */
+  recordResults(results) {
+    this.currentRun().results.push(...results.map(result => ({
+      account: result.account,
+      serverId: result.serverId,
+      status: result.status,
+      reason: result.reason ? this.redact(result.reason) : null
+    })));
+  }
+
+  buildManifest(run, outcome, extra) {
+    const phaseTotals = {};
+    for (const entry of run.phases) {
+      phaseTotals[entry.phase] = (phaseTotals[entry.phase] || 0) + entry.durationMs;
+    }
+    const lastCapture = run.captures[run.captures.length - 1];
+
+    return {
+      runId: run.runId,
+      startedAt: run.startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      outcome,
+      ...extra,
+      finalUrl: lastCapture ? lastCapture.url : null,
+      frames: lastCapture ? lastCapture.frames : [],
+      log: LOG_FILE,
+      config: this.config ? CONFIG_FILE : null,
+      results: run.results,
+      errors: run.errors,
+      phaseTotals,
+      phases: run.phases.map(entry => ({ ...entry, startedAt: entry.startedAt.toISOString() })),
+      captures: run.captures.map(capture => ({ ...capture, capturedAt: capture.capturedAt.toISOString() }))
+    };
+  }
+
+  /**
+   * Ends a run: writes its log, config snapshot and manifest into the bundle
+   * and archives it when configured. Resolves with the bundle's path, or null
+   * when the mode skips this run. `outcome` is success, failed or interrupted;
+   * `extra` adds fields such as the exit code to the manifest.
+   */
+  async finish(runId, outcome, extra = {}) {
+    const run = this.runs.get(runId);
+    this.runs.delete(runId);
+    this.finished.add(runId);
+    if (!run || this.mode === 'off' || (this.mode === 'failure' && outcome === 'success' && run.captures.length === 0)) {
+      return null;
+    }
+
+    const directory = this.bundlePath(runId);
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+    const log = run.droppedLogLines > 0 ? [`(${run.droppedLogLines} earlier lines dropped)`, ...run.log] : run.log;
+    fs.writeFileSync(path.join(directory, LOG_FILE), `${log.join('\n')}\n`, { mode: 0o600 });
+    if (this.config) {
+      fs.writeFileSync(path.join(directory, CONFIG_FILE), `${this.redact(JSON.stringify(this.config, null, 2))}\n`, { mode: 0o600 });
+    }
+    fs.writeFileSync(path.join(directory, MANIFEST_FILE), `${JSON.stringify(this.buildManifest(run, outcome, extra), null, 2)}\n`, { mode: 0o600 });
+
+    if (!this.archive) {
+      return directory;
+    }
+    const archivePath = `${directory}.tar.gz`;
+    await execFileAsync('tar', ['-czf', archivePath, '-C', this.directory, path.basename(directory)]);
+    fs.rmSync(directory, { recursive: true, force: true });
+    return archivePath;
+  }
+}
+
+module.exports = {
+  DiagnosticBundler,
+  BUNDLE_MODES,
+  BUNDLE_DIR_PATTERN
+};
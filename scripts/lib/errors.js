@@ -0,0 +1,44 @@
+class CloudflareChallengeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CloudflareChallengeError';
+  }
+}
+
+class SessionExpiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionExpiredError';
+  }
+}
+
+class CredentialError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CredentialError';
+  }
+}
+
+// The login form answered with an error about the email or password
+class LoginRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LoginRejectedError';
+  }
+}
+
+class ConfigError extends Error {
+  constructor(message, issues = []) {
+    super(issues.length > 0 ? `${message}:\n${issues.map(issue => `  - ${issue}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+module.exports = {
+  ConfigError,
+  CredentialError,
+  CloudflareChallengeError,
+  LoginRejectedError,
+  SessionExpiredError
+};
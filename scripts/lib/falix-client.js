@@ -0,0 +1,2275 @@
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { CloudflareChallengeError, CredentialError, LoginRejectedError, SessionExpiredError } = require('./errors');
+const { SessionStore, DEFAULT_STATE_DIR } = require('./session-store');
+const { HistoryLedger } = require('./history');
+const { CookieJar } = require('./cookie-jar');
+const { resolveCredential } = require('./credentials');
+const { readingFromTexts, formatDuration } = require('./timer-status');
+const { classifyTimerResponse, findAddTimeAction } = require('./timer-page');
+const { withLogContext } = require('./logger');
+
+const NAVIGATION_WAIT_UNTIL = 'domcontentloaded';
+const DEFAULT_BASE_URL = 'https://client.falixnodes.net';
+const DEFAULT_NAVIGATION_TIMEOUT = 90000;
+const DEFAULT_TIMEOUT = 60000;
+const LOGIN_FORM_TIMEOUT = 45000;
+const POST_SUBMIT_TIMEOUT = 60000;
+const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const TIMER_DEFAULT_INTERVAL_SECONDS = 3600;
+const TIMER_REQUEST_TIMEOUT = 15000;
+const TIMER_MAX_REDIRECTS = 5;
+const SESSION_REFRESH_MARGIN_SECONDS = 600;
+// Cookies whose expiry stands for the login session; other cookies are only a fallback
+const SESSION_COOKIE_PATTERN = /sess|sid|auth|token|remember|login/i;
+// Login form errors that mean the email or password is wrong, as opposed to a captcha or rate limit message.
+// Only whole rejection phrases count: a re-shown form still says "Password" and "Forgot password?"
+const CREDENTIAL_REJECTION_PATTERN = /\b(?:incorrect|invalid|wrong|bad)\s+(?:e-?mail|password|credentials?|login|user(?:name)?)\b|\b(?:e-?mail|password|credentials?)\s+(?:is|are|was|were)\s+(?:incorrect|invalid|wrong)\b|\bdo(?:es)?\s+not\s+match\b/i;
+// setTimeout() cannot wait longer than this; later refreshes are re-planned in steps
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+// Floor between refreshes, so a server handing out short-lived cookies cannot cause a login loop
+const MIN_SESSION_REFRESH_DELAY_MS = 60000;
+// Countdowns shown in whole minutes ("2h 15m") are only accurate to a minute
+const VERIFY_TOLERANCE_SECONDS = 60;
+// Hides what was typed or prefilled in form fields while a redacted screenshot is taken
+const INPUT_MASK_STYLE_ID = 'falix-keepalive-input-mask';
+const INPUT_MASK_CSS = 'input:not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="checkbox"]):not([type="radio"]), textarea, select { color: transparent !important; text-shadow: none !important; background: #555 !important; }';
+const COOKIES_FILE = path.join(DEFAULT_STATE_DIR, 'cookies.json');
+const EMAIL_SELECTOR_CANDIDATES = [
+  'input[type="email"]',
+  'input[name="email"]',
+  'input[name="username"]',
+  '#email',
+  'input[placeholder*="email" i]',
+  'input[placeholder*="username" i]'
+];
+const PASSWORD_SELECTOR_CANDIDATES = [
+  'input[name="password"]',
+  'input[type="password"]',
+  '#password',
+  'input[placeholder*="password" i]'
+];
+const SUBMIT_SELECTOR_CANDIDATES = [
+  'button[type="submit"]',
+  'input[type="submit"]',
+  '[data-testid*="login"]',
+  '.btn-primary',
+  '.login-btn',
+  '.signin-btn'
+];
+const LOGIN_EMAIL_SELECTOR = EMAIL_SELECTOR_CANDIDATES.join(', ');
+const BLOCKED_DOMAIN_PATTERNS = [
+  /snigelweb\.com/i,
+  /prebid/i,
+  /onetag/i,
+  /rubiconproject\.com/i,
+  /adnxs\.com/i,
+  /pubmatic\.com/i,
+  /lijit\.com/i,
+  /triplelift\.com/i,
+  /doubleclick\.net/i,
+  /googlesyndication\.com/i,
+  /googletagmanager\.com/i,
+  /googletagservices\.com/i,
+  /google-analytics\.com/i
+];
+const BROWSER_LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--no-first-run',
+  '--no-zygote',
+  '--single-process',
+  '--disable-gpu'
+];
+
+puppeteer.use(StealthPlugin());
+
+async function randomDelay(minMs = 1000, maxMs = 3000) {
+  const delay = Math.random() * (maxMs - minMs) + minMs;
+  await new Promise(resolve => setTimeout(resolve, delay));
+  return delay;
+}
+
+async function withRetry(fn, options) {
+  const { retries, onFailedAttempt } = options;
+  for (let i = 0; i <= retries; i++) {
+    try {
+      return await fn();
+    } catch (error) {
+      // Retrying cannot fix a challenge page or a credential that cannot be read, and resubmitting rejected credentials risks a lockout
+      if (error instanceof CloudflareChallengeError || error instanceof CredentialError || error instanceof LoginRejectedError) {
+        throw error;
+      }
+
+      if (i < retries) {
+        if (onFailedAttempt) {
+          await onFailedAttempt({ attemptNumber: i + 1, retriesLeft: retries - i, message: error.message });
+        }
+      } else {
+        throw error;
+      }
+    }
+  }
+}
+
+function historyResultForError(error) {
+  if (error instanceof LoginRejectedError) {
+    return 'rejected';
+  }
+  return error instanceof CloudflareChallengeError ? 'challenged' : 'failed';
+}
+
+function historyResultForTimerRequest(result) {
+  if (result.success) {
+    return 'success';
+  }
+  if (result.challenged) {
+    return 'challenged';
+  }
+  return result.authRequired ? 'auth-required' : 'failed';
+}
+
+// axios parses JSON bodies; anything else arrives as the raw string
+function responseHtml(response) {
+  return typeof response.data === 'string' ? response.data : '';
+}
+
+// Flattens a countdown reading into the fields of getTimerStatus() results
+function timerStatusFields(countdown) {
+  return {
+    timerText: countdown ? countdown.text : null,
+    remainingSeconds: countdown ? countdown.remainingSeconds : null,
+    maxSeconds: countdown ? countdown.maxSeconds : null,
+    readAt: countdown ? countdown.readAt : new Date().toISOString(),
+    expiresAt: countdown ? countdown.expiresAt : null
+  };
+}
+
+/**
+ * Compares two countdown readings. A rise means the later reading shows more
+ * time than the earlier one minus the time that passed in between.
+ */
+function compareCountdowns(before, after) {
+  if (!before || !after) {
+    return { rose: false, description: `countdown ${before ? 'not readable after the click' : 'not readable before the click'}` };
+  }
+
+  const elapsedSeconds = Math.max(0, (Date.parse(after.readAt) - Date.parse(before.readAt)) / 1000);
+  const gainSeconds = Math.round(after.remainingSeconds - (before.remainingSeconds - elapsedSeconds));
+  return {
+    rose: gainSeconds > VERIFY_TOLERANCE_SECONDS,
+    gainSeconds,
+    description: `countdown ${formatDuration(before.remainingSeconds)} -> ${formatDuration(after.remainingSeconds)} (${gainSeconds >= 0 ? '+' : '-'}${formatDuration(Math.abs(gainSeconds))} net)`
+  };
+}
+
+function shouldBlockRequest(hostname, url, allowedHosts) {
+  if (!hostname) {
+    return false;
+  }
+
+  if (allowedHosts.has(hostname)) {
+    return false;
+  }
+
+  if (hostname.endsWith('.falixnodes.net')) {
+    return false;
+  }
+
+  if (/^data:/i.test(url) || /^blob:/i.test(url)) {
+    return false;
+  }
+
+  if (BLOCKED_DOMAIN_PATTERNS.some(pattern => pattern.test(hostname) || pattern.test(url))) {
+    return true;
+  }
+
+  return false;
+}
+
+async function launchBrowser(options = {}) {
+  return puppeteer.launch({
+    headless: options.headless === false ? false : 'new',
+    args: BROWSER_LAUNCH_ARGS
+  });
+}
+
+/**
+ * Drives one Falix account: an isolated incognito browser context for the
+ * Add time flow plus cookie-authenticated HTTP requests for the auto-timer
+ * and the browserless Add time path (extendTimerHttp).
+ *
+ * Options:
+ * - baseUrl: Falix client URL (default: https://client.falixnodes.net)
+ * - email / password: account credentials, needed only by login(); strings or
+ *   Credential objects, which are read on the first login that types them
+ * - cookiesFile: where the session cookies are persisted (AES-256-GCM encrypted)
+ * - sessionKey / sessionKeyFile: passphrase, or a file holding it, for the
+ *   cookie encryption; without either a key is generated next to cookiesFile
+ * - browser: an already launched Puppeteer browser to share between clients;
+ *   when omitted the client launches (and later closes) its own
+ * - headless: launch option for an owned browser (default: true)
+ * - probeServerId: server whose timer page login() uses to test saved cookies
+ * - timerIntervalSeconds: default auto-timer interval
+ * - diagnosticsDir: where screenshots and HTML are written on failures
+ * - diagnostics: a DiagnosticBundler that takes the screenshots and HTML into
+ *   the run's bundle, with the time spent in each phase (default: none, files
+ *   go to diagnosticsDir)
+ * - navigationTimeoutMs / defaultTimeoutMs: page.goto and page-level timeouts
+ * - loginFormTimeoutMs: how long to wait for the login form to render
+ * - postSubmitTimeoutMs: how long to wait for the outcome of a login submit
+ * - timerRequestTimeoutMs: HTTP timeout of the auto-timer request
+ * - sessionRefresh: log in again before the session cookies expire (default: true)
+ * - sessionRefreshMarginSeconds: how long before expiry to refresh (default: 600)
+ * - historyFile: JSONL ledger that every login, ping and click is appended to
+ *   (default: none)
+ * - accountName: account label written to the ledger records
+ * - metrics: a KeepaliveMetrics instance that sees the same records and the
+ *   duration of every login, navigate, click and verify phase
+ * - runState: a RunState instance that sees the same records, for the status API
+ * - observers: further objects with an observe(record) method, such as the dashboard
+ * - viewport / userAgent: browser fingerprint applied to every page
+ * - redactor: a Redactor that masks form fields in diagnostic screenshots and
+ *   secrets in diagnostic HTML; resolved credentials are added to it (default:
+ *   none, artifacts are saved as captured)
+ * - logger: object with log/debug/warn/error methods, such as a Logger (default: console)
+ */
+class FalixClient {
+  constructor(options = {}) {
+    this.options = {
+      baseUrl: String(options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+      email: options.email || null,
+      password: options.password || null,
+      cookiesFile: options.cookiesFile || COOKIES_FILE,
+      headless: options.headless !== false,
+      probeServerId: options.probeServerId || null,
+      timerIntervalSeconds: options.timerIntervalSeconds || TIMER_DEFAULT_INTERVAL_SECONDS,
+      diagnosticsDir: options.diagnosticsDir || '/tmp',
+      navigationTimeoutMs: options.navigationTimeoutMs || DEFAULT_NAVIGATION_TIMEOUT,
+      defaultTimeoutMs: options.defaultTimeoutMs || DEFAULT_TIMEOUT,
+      loginFormTimeoutMs: options.loginFormTimeoutMs || LOGIN_FORM_TIMEOUT,
+      postSubmitTimeoutMs: options.postSubmitTimeoutMs || POST_SUBMIT_TIMEOUT,
+      timerRequestTimeoutMs: options.timerRequestTimeoutMs || TIMER_REQUEST_TIMEOUT,
+      viewport: options.viewport || DEFAULT_VIEWPORT,
+      userAgent: options.userAgent || DEFAULT_USER_AGENT,
+      sessionRefresh: options.sessionRefresh !== false,
+      sessionRefreshMarginSeconds: options.sessionRefreshMarginSeconds ?? SESSION_REFRESH_MARGIN_SECONDS,
+      accountName: options.accountName || null
+    };
+    this.logger = options.logger || console;
+    this.redactor = options.redactor || null;
+    this.diagnostics = options.diagnostics || null;
+    this.metrics = options.metrics || null;
+    this.history = options.historyFile ? new HistoryLedger({ filePath: options.historyFile, logger: this.logger }) : null;
+    // Everything besides the ledger that wants each login, ping and click record
+    this.recordObservers = [options.metrics, options.runState, ...(options.observers || [])].filter(Boolean);
+    this.sessionStore = new SessionStore({
+      filePath: this.options.cookiesFile,
+      key: options.sessionKey,
+      keyFile: options.sessionKeyFile,
+      logger: this.logger
+    });
+    this.browser = options.browser || null;
+    this.ownsBrowser = !options.browser;
+    this.context = null;
+    this.page = null;
+    this.loggedIn = false;
+    this.autoTimers = new Map();
+    // When each auto-timer fires next, for status reporting
+    this.autoTimerNextRuns = new Map();
+    this.sessionRefreshTimer = null;
+    this.sessionRefreshAt = null;
+    this.refreshInFlight = null;
+    // Serializes everything that drives the page, so a scheduled refresh never interleaves with an Add time run
+    this.pageQueue = Promise.resolve();
+    this.configuredPages = new WeakSet();
+    this.interceptedPages = new WeakSet();
+  }
+
+  isOpen() {
+    return Boolean(this.page && !this.page.isClosed() && this.browser && this.browser.isConnected());
+  }
+
+  async open() {
+    if (this.isOpen()) {
+      return;
+    }
+
+    if (!this.browser || !this.browser.isConnected()) {
+      if (!this.ownsBrowser) {
+        throw new Error('Shared browser is no longer connected');
+      }
+      this.logger.log('Initializing browser...');
+      this.browser = await launchBrowser({ headless: this.options.headless });
+    }
+
+    this.logger.log('Opening isolated browser context...');
+    this.context = await this.browser.createIncognitoBrowserContext();
+    this.page = await this.context.newPage();
+    this.loggedIn = false;
+
+    await this.ensurePageConfigured();
+    try {
+      await this.page.setBypassCSP(true);
+    } catch (error) {
+      this.logger.warn(`Unable to set bypass CSP: ${error.message}`);
+    }
+    this.page.setDefaultTimeout(this.options.defaultTimeoutMs);
+    this.page.setDefaultNavigationTimeout(this.options.navigationTimeoutMs);
+    await this.setupRequestInterception();
+  }
+
+  /**
+   * Gives a client created without a browser a shared one to use, e.g. when
+   * an HTTP-only keepalive has to fall back to the browser flow.
+   */
+  attachBrowser(browser) {
+    if (this.context) {
+      throw new Error('Client already has a browser context');
+    }
+    this.browser = browser;
+    this.ownsBrowser = false;
+  }
+
+  runExclusive(task) {
+    const run = this.pageQueue.then(task, task);
+    this.pageQueue = run.catch(() => {});
+    return run;
+  }
+
+  canLogin() {
+    return Boolean(this.options.email && this.options.password);
+  }
+
+  async close() {
+    this.stopAutoTimer();
+    this.cancelSessionRefresh();
+
+    if (this.context) {
+      try {
+        await this.context.close();
+      } catch (error) {
+        this.logger.warn(`Failed to close browser context: ${error.message}`);
+      }
+    }
+    this.context = null;
+    this.page = null;
+    this.loggedIn = false;
+
+    if (this.ownsBrowser && this.browser) {
+      const closingBrowser = this.browser;
+      this.browser = null;
+      try {
+        await closingBrowser.close();
+      } catch (error) {
+        this.logger.warn(`Failed to close browser: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Persists cookies. With `pageUrl`, `cookies` is what the browser sees at
+   * that URL: it replaces the stored cookies in that scope and keeps the rest,
+   * such as cookies the HTTP auto-timer received for other paths.
+   */
+  saveCookies(cookies, pageUrl = null) {
+    try {
+      let jar;
+      if (pageUrl) {
+        jar = this.loadCookieJar({ quiet: true });
+        jar.replaceFor(pageUrl, cookies);
+      } else {
+        jar = new CookieJar(cookies);
+      }
+      this.sessionStore.save(jar.toJSON());
+      this.logger.log(`Cookies saved (encrypted) to ${this.options.cookiesFile}`);
+    } catch (error) {
+      this.logger.warn(`Failed to save cookies: ${error.message}`);
+    }
+  }
+
+  loadCookieJar(options = {}) {
+    // The store reports unreadable files itself and returns null, which makes login() start fresh
+    const jar = new CookieJar(this.sessionStore.load() || []);
+    const expired = jar.prune();
+    if (!options.quiet) {
+      this.logger.log(`Loaded ${jar.size} cookies from ${this.options.cookiesFile}${expired > 0 ? ` (${expired} expired dropped)` : ''}`);
+    }
+    return jar;
+  }
+
+  loadCookies() {
+    const jar = this.loadCookieJar();
+    return jar.size > 0 ? jar.toJSON() : null;
+  }
+
+  async saveSession() {
+    await this.open();
+    this.saveCookies(await this.page.cookies(), this.page.url());
+  }
+
+  /**
+   * Clicks Add time for a server. With `{ thresholdSeconds }` the click is
+   * skipped while the countdown shows at least that much time left; the
+   * result then has `clickSkipped: true`.
+   */
+  async extendTimer(serverId, options = {}) {
+    return this.runExclusive(() => this.recordClick(serverId, 'browser', async () => {
+      await this.open();
+      if (!this.loggedIn) {
+        await this.performLogin();
+      }
+
+      try {
+        return await this.performTimerKeepalive(serverId, options);
+      } catch (error) {
+        if (!(error instanceof SessionExpiredError)) {
+          throw error;
+        }
+        this.logger.log(`${error.message}. Logging in again...`);
+        await this.performLogin(serverId);
+        return this.performTimerKeepalive(serverId, options);
+      }
+    }));
+  }
+
+  /**
+   * Extends a timer without a browser: fetches the timer page with the saved
+   * cookies, sends what the Add time button would send, then fetches the page
+   * again and checks that the countdown rose. Takes `{ thresholdSeconds }`
+   * like extendTimer(); results carry `via: 'http'`.
+   *
+   * Whatever plain HTTP cannot settle (no saved session, a login or challenge
+   * page, no Add time control in the HTML, no visible rise) returns
+   * `{ success: false, fallback: true, reason }` so the caller can run the
+   * browser flow instead.
+   */
+  async extendTimerHttp(serverId, options = {}) {
+    return this.recordClick(serverId, 'http', () => this.performHttpKeepalive(serverId, options));
+  }
+
+  async performHttpKeepalive(serverId, options = {}) {
+    const timerUrl = `${this.options.baseUrl}/timer?id=${serverId}`;
+    const fallback = (reason) => {
+      this.logger.log(`HTTP keepalive for ${serverId} needs the browser: ${reason}`);
+      return { success: false, fallback: true, reason };
+    };
+
+    const jar = this.loadCookieJar({ quiet: true });
+    if (jar.cookiesFor(timerUrl).length === 0) {
+      return fallback('no saved session');
+    }
+
+    try {
+      const page = await this.runPhase('navigate', () => {
+        this.logger.log(`Fetching timer page over HTTP: ${timerUrl}`);
+        return this.fetchTimerPageHtml(timerUrl, jar);
+      });
+      if (page.problem) {
+        return fallback(page.problem);
+      }
+
+      const before = page.countdown;
+      if (options.thresholdSeconds && before && before.remainingSeconds >= options.thresholdSeconds) {
+        this.logger.log(`${formatDuration(before.remainingSeconds)} left, at or above the ${formatDuration(options.thresholdSeconds)} threshold; not clicking Add time`);
+        return { success: true, attempts: 0, clickSkipped: true, timer: before, via: 'http' };
+      }
+
+      const action = findAddTimeAction(page.html, page.url);
+      if (!action) {
+        return fallback('no Add time form or request URL in the page HTML');
+      }
+      // Without a reading there is nothing to verify against, and a blind request could add time twice
+      if (!before) {
+        return fallback('countdown not readable from the page HTML');
+      }
+
+      const response = await this.runPhase('click', () => {
+        this.logger.log(`Timer page fetched (remaining: ${formatDuration(before.remainingSeconds)}), sending Add time request: ${action.method} ${action.url}`);
+        return this.sendAddTimeRequest(action, page.url, jar);
+      });
+      if (response.status >= 400 || /\/auth(\/|$)/.test(new URL(response.finalUrl).pathname)) {
+        return fallback(`Add time request returned status ${response.status}${response.finalUrl !== action.url ? ` at ${response.finalUrl}` : ''}`);
+      }
+
+      await randomDelay(1000, 2000);
+      const after = await this.runPhase('verify', () => this.fetchTimerPageHtml(timerUrl, jar));
+      if (after.problem) {
+        return fallback(`re-reading the timer page: ${after.problem}`);
+      }
+
+      const comparison = compareCountdowns(before, after.countdown);
+      if (!comparison.rose) {
+        return fallback(`Add time request had no visible effect (${comparison.description})`);
+      }
+
+      this.logger.log(`✓ Add time verified over HTTP (${comparison.description})`);
+      return {
+        success: true,
+        attempts: 1,
+        verified: true,
+        verdict: 'verified',
+        evidence: [comparison.description],
+        timer: after.countdown,
+        via: 'http'
+      };
+    } catch (error) {
+      return fallback(`request failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * GETs the timer page and reads it as HTML. `problem` explains why the page
+   * is not a usable timer page (see classifyTimerResponse()).
+   */
+  async fetchTimerPageHtml(timerUrl, jar) {
+    const response = await this.getWithCookieJar(timerUrl, this.navigationHeaders(timerUrl), jar);
+    const html = responseHtml(response);
+    const classification = classifyTimerResponse({ status: response.status, finalUrl: response.finalUrl, headers: response.headers, html });
+
+    return {
+      html,
+      url: response.finalUrl,
+      problem: classification.outcome === 'success' ? null : `${classification.outcome}: ${classification.reason}`,
+      countdown: classification.countdown
+    };
+  }
+
+  async sendAddTimeRequest(action, pageUrl, jar) {
+    const headers = {
+      ...this.navigationHeaders(pageUrl),
+      'Origin': new URL(pageUrl).origin,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    };
+    // Laravel-style apps accept the token from the meta tag as a header, or the XSRF-TOKEN cookie echoed back
+    if (action.csrfToken) {
+      headers['X-CSRF-TOKEN'] = action.csrfToken;
+    }
+    const xsrfCookie = jar.cookiesFor(action.url).find(cookie => cookie.name === 'XSRF-TOKEN');
+    if (xsrfCookie) {
+      headers['X-XSRF-TOKEN'] = decodeURIComponent(xsrfCookie.value);
+    }
+    if (action.source === 'hx-post') {
+      headers['HX-Request'] = 'true';
+      headers['HX-Current-URL'] = pageUrl;
+    }
+
+    if (action.method === 'GET') {
+      const url = new URL(action.url);
+      for (const [name, value] of Object.entries(action.fields)) {
+        url.searchParams.set(name, value);
+      }
+      return this.requestWithCookieJar(url.toString(), { headers }, jar);
+    }
+    return this.requestWithCookieJar(action.url, { method: action.method, headers, data: new URLSearchParams(action.fields).toString() }, jar);
+  }
+
+  /**
+   * Runs one Add time attempt and appends its outcome to the history ledger.
+   * HTTP results that hand over to the browser are not recorded; the browser
+   * attempt that follows is.
+   */
+  async recordClick(serverId, method, task) {
+    const startedAt = Date.now();
+    try {
+      const result = await withLogContext({ serverId }, task);
+      if (!result.fallback) {
+        this.recordHistory({
+          startedAt,
+          serverId,
+          event: 'click',
+          method,
+          result: result.clickSkipped ? 'skipped' : (result.success ? 'success' : 'failed'),
+          attempts: result.attempts,
+          timer: result.timer,
+          verdict: result.verdict,
+          reason: result.success ? null : (result.evidence || []).join('; ')
+        });
+      }
+      return result;
+    } catch (error) {
+      this.recordHistory({ startedAt, serverId, event: 'click', method, result: historyResultForError(error), reason: error.message });
+      throw error;
+    }
+  }
+
+  recordHistory({ startedAt, serverId = null, event, method, result, attempts = null, timer = null, verdict, reason }) {
+    if (!this.history && this.recordObservers.length === 0) {
+      return;
+    }
+    const now = Date.now();
+    const record = {
+      timestamp: new Date(now).toISOString(),
+      account: this.options.accountName,
+      serverId,
+      event,
+      method,
+      result,
+      attempts,
+      durationMs: now - startedAt,
+      remainingSeconds: timer ? timer.remainingSeconds : null
+    };
+    if (verdict) {
+      record.verdict = verdict;
+    }
+    if (reason) {
+      record.reason = reason;
+    }
+    if (this.history) {
+      this.history.append(record);
+    }
+    for (const observer of this.recordObservers) {
+      observer.observe(record);
+    }
+  }
+
+  async pingTimer(serverId) {
+    return this.sendTimerRequest(serverId);
+  }
+
+  async getTimerStatus(serverId) {
+    return this.runExclusive(() => withLogContext({ serverId }, () => this.readTimerStatus(serverId)));
+  }
+
+  async readTimerStatus(serverId) {
+    await this.open();
+
+    if (!this.loggedIn) {
+      const savedCookies = this.loadCookies();
+      if (savedCookies && savedCookies.length > 0) {
+        await this.page.setCookie(...savedCookies);
+      }
+    }
+
+    try {
+      await this.openTimerPage(`${this.options.baseUrl}/timer?id=${serverId}`);
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        return { serverId, sessionValid: false, ...timerStatusFields(null) };
+      }
+      throw error;
+    }
+
+    const countdown = await this.readCountdown();
+    if (countdown) {
+      this.logger.log(`Timer for ${serverId}: ${formatDuration(countdown.remainingSeconds)} left${countdown.maxSeconds ? ` of ${formatDuration(countdown.maxSeconds)}` : ''}`);
+    }
+    return { serverId, sessionValid: true, ...timerStatusFields(countdown) };
+  }
+
+  async checkLoginForm() {
+    return this.runExclusive(() => this.inspectLoginForm());
+  }
+
+  async inspectLoginForm() {
+    await this.open();
+    await this.gotoWithRetry(`${this.options.baseUrl}/auth/login`, { waitUntil: NAVIGATION_WAIT_UNTIL, timeout: this.options.navigationTimeoutMs });
+    await this.ensureNoCloudflareChallenge('login form check');
+
+    return {
+      email: await this.findElementInFrames(EMAIL_SELECTOR_CANDIDATES),
+      password: await this.findElementInFrames(PASSWORD_SELECTOR_CANDIDATES),
+      submit: await this.findElementInFrames(SUBMIT_SELECTOR_CANDIDATES)
+    };
+  }
+
+  async moveMouseAndClick(frame, selector, options = {}) {
+    try {
+      const element = await frame.$(selector);
+      if (!element) {
+        throw new Error(`Element not found: ${selector}`);
+      }
+
+      const boundingBox = await element.boundingBox();
+      if (!boundingBox) {
+        throw new Error(`Cannot get bounding box for ${selector}`);
+      }
+
+      const x = boundingBox.x + boundingBox.width / 2;
+      const y = boundingBox.y + boundingBox.height / 2;
+
+      this.logger.debug(`Moving mouse to coordinates (${Math.round(x)}, ${Math.round(y)})...`);
+      await frame.mouse.move(x, y);
+
+      const pauseMs = 200 + Math.random() * 300;
+      await new Promise(resolve => setTimeout(resolve, pauseMs));
+
+      this.logger.debug(`Clicking element: ${selector}`);
+      await element.click(options);
+
+      return true;
+    } catch (error) {
+      this.logger.log(`moveMouseAndClick failed for ${selector}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async scrollPage(scrollAmount = 300) {
+    try {
+      await this.page.evaluate((amount) => {
+        window.scrollBy(0, amount);
+      }, scrollAmount);
+
+      const pauseMs = 300 + Math.random() * 400;
+      await new Promise(resolve => setTimeout(resolve, pauseMs));
+
+      return true;
+    } catch (error) {
+      this.logger.log(`Scroll failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Sends the auto-timer GET with the saved cookies, retrying network errors,
+   * and records the outcome in the history ledger.
+   */
+  async sendTimerRequest(serverId) {
+    const startedAt = Date.now();
+    const result = await withLogContext({ serverId }, () => this.requestTimer(serverId));
+    this.recordHistory({
+      startedAt,
+      serverId,
+      event: 'ping',
+      method: 'http',
+      result: historyResultForTimerRequest(result),
+      attempts: result.attempts,
+      timer: result.timer,
+      reason: result.success ? null : (result.reason || result.error)
+    });
+    return result;
+  }
+
+  async requestTimer(serverId, attempt = 1) {
+    const maxAttempts = 3;
+    const timerUrl = new URL('/timer', this.options.baseUrl);
+    timerUrl.searchParams.set('id', serverId);
+    const timerUrlString = timerUrl.toString();
+
+    this.logger.log(`Sending timer extension request to: ${timerUrlString} (attempt ${attempt}/${maxAttempts})`);
+
+    const jar = this.loadCookieJar();
+    const headers = this.navigationHeaders(timerUrlString);
+
+    try {
+      const response = await this.getWithCookieJar(timerUrlString, headers, jar);
+      const { outcome, reason, countdown } = classifyTimerResponse({
+        status: response.status,
+        finalUrl: response.finalUrl,
+        headers: response.headers,
+        html: responseHtml(response)
+      });
+
+      const responseTimestamp = new Date().toISOString();
+      const result = { success: outcome === 'success', status: response.status, outcome, reason, attempts: attempt, timestamp: responseTimestamp };
+
+      if (outcome === 'success') {
+        const remainingNote = countdown ? `, remaining: ${formatDuration(countdown.remainingSeconds)}` : '';
+        this.logger.log(`✓ Timer extension request successful (status: ${response.status}${remainingNote})`);
+        return { ...result, timer: countdown };
+      }
+
+      if (outcome === 'auth-required') {
+        this.logger.warn(`⚠ Timer request needs authentication: ${reason}`);
+        return { ...result, authRequired: true };
+      }
+
+      if (outcome === 'challenged') {
+        this.logger.warn(`⚠ Timer request hit a ${reason}`);
+        return { ...result, challenged: true };
+      }
+
+      this.logger.warn(`⚠ Timer request returned an unrecognized response: ${reason}`);
+      return result;
+    } catch (error) {
+      const errorTimestamp = new Date().toISOString();
+      const message = error && error.message ? error.message : 'Unknown error';
+
+      if (error && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT')) {
+        this.logger.error(`✗ Timer request timed out: ${message}`);
+      } else if (error && error.response) {
+        this.logger.error(`✗ Timer request failed with status ${error.response.status}: ${message}`);
+      } else if (error && error.request) {
+        this.logger.error(`✗ Timer request failed - no response received: ${message}`);
+      } else {
+        this.logger.error(`✗ Timer request error: ${message}`);
+      }
+
+      if (attempt < maxAttempts) {
+        const backoffMs = 2000 + (attempt - 1) * 1000 + Math.random() * 1000;
+        this.logger.log(`Retrying in ${Math.round(backoffMs)}ms... (attempt ${attempt + 1}/${maxAttempts})`);
+        await new Promise(resolve => setTimeout(resolve, backoffMs));
+        return this.requestTimer(serverId, attempt + 1);
+      }
+
+      return { success: false, error: message, attempts: attempt, timestamp: errorTimestamp };
+    }
+  }
+
+  // Headers of a top-level page load in Chrome, so plain HTTP requests look like the browser
+  navigationHeaders(referer) {
+    return {
+      'User-Agent': this.options.userAgent,
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1',
+      'Sec-Fetch-Dest': 'document',
+      'Sec-Fetch-Mode': 'navigate',
+      'Sec-Fetch-Site': 'same-origin',
+      'Sec-Fetch-User': '?1',
+      'Cache-Control': 'no-cache',
+      'Pragma': 'no-cache',
+      'Referer': referer
+    };
+  }
+
+  async getWithCookieJar(url, headers, jar) {
+    return this.requestWithCookieJar(url, { headers }, jar);
+  }
+
+  /**
+   * HTTP request with redirects followed by hand, so each hop gets the
+   * cookies that match its URL and every Set-Cookie along the way lands in
+   * `jar`. Like a browser, a POST answered with 301, 302 or 303 continues as
+   * a GET without a body. Changed cookies are written back to the session
+   * store.
+   */
+  async requestWithCookieJar(url, { method = 'GET', headers = {}, data } = {}, jar) {
+    let currentUrl = url;
+    let currentMethod = method;
+    let body = data;
+    let changed = 0;
+
+    try {
+      for (let redirects = 0; ; redirects++) {
+        const cookieHeader = jar.getCookieHeader(currentUrl);
+        const requestHeaders = { ...headers };
+        if (cookieHeader) {
+          requestHeaders.Cookie = cookieHeader;
+        }
+        if (body === undefined) {
+          delete requestHeaders['Content-Type'];
+        }
+
+        const response = await axios.request({
+          url: currentUrl,
+          method: currentMethod,
+          data: body,
+          timeout: this.options.timerRequestTimeoutMs,
+          headers: requestHeaders,
+          maxRedirects: 0,
+          validateStatus: (status) => status >= 200 && status < 500
+        });
+        changed += jar.storeResponseCookies(response.headers, currentUrl);
+
+        const location = response.headers.location;
+        if (response.status < 300 || response.status >= 400 || !location) {
+          response.finalUrl = currentUrl;
+          return response;
+        }
+        if (redirects >= TIMER_MAX_REDIRECTS) {
+          throw new Error(`Too many redirects (last: ${currentUrl})`);
+        }
+        if (response.status !== 307 && response.status !== 308) {
+          currentMethod = 'GET';
+          body = undefined;
+        }
+        currentUrl = new URL(location, currentUrl).toString();
+      }
+    } finally {
+      if (changed > 0) {
+        jar.prune();
+        try {
+          this.sessionStore.save(jar.toJSON());
+          this.logger.log(`Stored ${changed} cookie update(s) from the timer response`);
+          // A rotated session cookie moves the expiry, so re-plan a pending refresh
+          if (this.sessionRefreshTimer) {
+            this.scheduleSessionRefresh();
+          }
+        } catch (error) {
+          this.logger.warn(`Failed to save cookies from the timer response: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  async startAutoTimer(serverId, intervalSeconds = this.options.timerIntervalSeconds) {
+    if (!serverId) {
+      this.logger.warn('⚠ Auto-timer cannot start: Server ID not available');
+      return null;
+    }
+
+    if (this.autoTimers.has(serverId)) {
+      this.logger.log(`Auto-timer already running for ${serverId}`);
+      return null;
+    }
+
+    const intervalMs = intervalSeconds * 1000;
+
+    this.logger.log(`\n=== Starting Auto-Timer ===`);
+    this.logger.log(`Server ID: ${serverId}`);
+    this.logger.log(`Interval: ${intervalSeconds} seconds (${intervalSeconds / 60} minutes)`);
+    this.logger.log(`Timer endpoint: ${this.options.baseUrl}/timer?id=${serverId}`);
+
+    const executeTimerRequest = async () => {
+      try {
+        const result = await this.sendTimerRequest(serverId);
+        if (result.success) {
+          this.logger.log(`✓ Auto-timer successfully extended server time for ${serverId}`);
+        } else if (result.authRequired && this.canLogin()) {
+          this.logger.log(`⚠ Auto-timer for ${serverId}: authentication required, logging in again...`);
+          await this.refreshSession('auto-timer authentication failure');
+          const retryResult = await this.sendTimerRequest(serverId);
+          this.logger.log(retryResult.success
+            ? `✓ Auto-timer extended server time for ${serverId} after re-login`
+            : `✗ Auto-timer request for ${serverId} still failing after re-login (${retryResult.reason || retryResult.error})`);
+          return retryResult;
+        } else if (result.authRequired) {
+          this.logger.log(`⚠ Auto-timer failed for ${serverId}: Authentication required and no credentials to log in with`);
+        } else if (result.challenged) {
+          // Logging in again would meet the same challenge; the next interval may not
+          this.logger.log(`⚠ Auto-timer for ${serverId} blocked by a Cloudflare challenge - will retry on next interval`);
+        } else {
+          this.logger.log(`✗ Auto-timer request failed for ${serverId} - will retry on next interval`);
+        }
+        return result;
+      } catch (error) {
+        this.logger.error(`Auto-timer execution error for ${serverId}: ${error.message}`);
+        return { success: false, error: error.message, timestamp: new Date().toISOString() };
+      }
+    };
+
+    const initialResult = await executeTimerRequest();
+
+    this.autoTimers.set(serverId, setInterval(async () => {
+      this.autoTimerNextRuns.set(serverId, new Date(Date.now() + intervalMs));
+      await executeTimerRequest();
+    }, intervalMs));
+    this.autoTimerNextRuns.set(serverId, new Date(Date.now() + intervalMs));
+
+    this.logger.log(`Auto-timer started for ${serverId} - will run every ${intervalSeconds} seconds`);
+    return initialResult;
+  }
+
+  stopAutoTimer(serverId) {
+    const serverIds = serverId ? [serverId] : Array.from(this.autoTimers.keys());
+
+    for (const id of serverIds) {
+      const interval = this.autoTimers.get(id);
+      if (interval) {
+        clearInterval(interval);
+        this.autoTimers.delete(id);
+        this.autoTimerNextRuns.delete(id);
+        this.logger.log(`Auto-timer stopped for ${id}`);
+      }
+    }
+  }
+
+  async ensurePageConfigured() {
+    if (!this.page) {
+      throw new Error('Page is not initialized');
+    }
+
+    if (!this.configuredPages.has(this.page)) {
+      await this.page.setViewport(this.options.viewport);
+      await this.page.setUserAgent(this.options.userAgent);
+      this.configuredPages.add(this.page);
+      return;
+    }
+
+    const viewport = this.page.viewport();
+    if (!viewport || viewport.width !== this.options.viewport.width || viewport.height !== this.options.viewport.height) {
+      await this.page.setViewport(this.options.viewport);
+    }
+
+    const currentUserAgent = await this.page.evaluate(() => navigator.userAgent).catch(() => null);
+    if (currentUserAgent !== this.options.userAgent) {
+      await this.page.setUserAgent(this.options.userAgent);
+    }
+  }
+
+  buildAllowedHosts() {
+    const hosts = new Set(['static.falixnodes.net']);
+    const addHost = (value) => {
+      if (!value) {
+        return;
+      }
+      try {
+        const url = new URL(value);
+        if (url.hostname) {
+          hosts.add(url.hostname);
+        }
+      } catch {
+        hosts.add(value);
+      }
+    };
+
+    addHost(this.options.baseUrl);
+    return hosts;
+  }
+
+  async setupRequestInterception() {
+    if (!this.page || this.interceptedPages.has(this.page)) {
+      return;
+    }
+
+    const allowedHosts = this.buildAllowedHosts();
+
+    try {
+      await this.page.setRequestInterception(true);
+    } catch (error) {
+      this.logger.error('Failed to enable request interception:', error.message);
+      return;
+    }
+
+    this.page.on('request', (request) => {
+      const url = request.url();
+      let hostname = null;
+
+      try {
+        hostname = new URL(url).hostname;
+      } catch {
+        hostname = null;
+      }
+
+      if (shouldBlockRequest(hostname, url, allowedHosts)) {
+        request.abort().catch(() => {});
+        return;
+      }
+
+      request.continue().catch(() => {});
+    });
+
+    this.interceptedPages.add(this.page);
+  }
+
+  async waitForLoginFormReady(timeout = this.options.loginFormTimeoutMs) {
+    if (!this.page) {
+      throw new Error('Page is not initialized');
+    }
+
+    this.logger.log('Waiting for login form selectors...');
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      const emailElement = await this.findElementInFrames(EMAIL_SELECTOR_CANDIDATES);
+      const passwordElement = await this.findElementInFrames(PASSWORD_SELECTOR_CANDIDATES);
+
+      if (emailElement && passwordElement) {
+        this.logger.log('Login form selectors detected.');
+        return;
+      }
+
+      const remaining = Math.max(250, Math.min(750, deadline - Date.now()));
+      await this.page.waitForTimeout(remaining);
+    }
+
+    throw new Error(`Login form selectors not detected within ${timeout}ms`);
+  }
+
+  async waitForLoginFormDismissed(timeout = this.options.navigationTimeoutMs) {
+    if (!this.page) {
+      throw new Error('Page is not initialized');
+    }
+
+    this.logger.log('Waiting for login form to disappear...');
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      const emailElement = await this.findElementInFrames(EMAIL_SELECTOR_CANDIDATES);
+      const passwordElement = await this.findElementInFrames(PASSWORD_SELECTOR_CANDIDATES);
+
+      if (!emailElement && !passwordElement) {
+        this.logger.log('Login form no longer visible.');
+        return;
+      }
+
+      const remaining = Math.max(250, Math.min(750, deadline - Date.now()));
+      await this.page.waitForTimeout(remaining);
+    }
+
+    throw new Error(`Login form still visible after ${timeout}ms`);
+  }
+
+  async gotoWithRetry(url, options = {}) {
+    const { retries = 2, waitUntil = NAVIGATION_WAIT_UNTIL, timeout = this.options.navigationTimeoutMs, onFailedAttempt, ...rest } = options;
+    const navigationOptions = { waitUntil, timeout, ...rest };
+
+    return withRetry(async () => {
+      await this.ensurePageConfigured();
+      await this.setupRequestInterception();
+      const response = await this.page.goto(url, navigationOptions);
+
+      if (this.page.url() === 'about:blank') {
+        this.logger.log(`Navigation to ${url} resulted in about:blank, attempting reload`);
+        await this.page.waitForTimeout(500);
+        const reloadResponse = await this.page.reload({ waitUntil, timeout });
+        if (this.page.url() === 'about:blank') {
+          throw new Error(`Navigation to ${url} remained on about:blank after reload`);
+        }
+        return reloadResponse;
+      }
+
+      return response;
+    }, {
+      retries,
+      onFailedAttempt: async (attemptInfo) => {
+        this.logger.log(`Navigation to ${url} failed on attempt ${attemptInfo.attemptNumber}: ${attemptInfo.message}`);
+        if (onFailedAttempt) {
+          await onFailedAttempt(attemptInfo);
+        }
+      }
+    });
+  }
+
+  /**
+   * Saves a screenshot and the HTML of the page. `error`, the error or message
+   * that prompted the capture, is recorded with it in the diagnostic bundle.
+   */
+  async captureDiagnosticInfo(context, error = null) {
+    try {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const artifactPath = fileName => (this.diagnostics ? this.diagnostics.artifactPath(fileName) : path.join(this.options.diagnosticsDir, fileName));
+      const screenshotPath = artifactPath(`falix-${context}-${timestamp}.png`);
+      const htmlPath = artifactPath(`falix-${context}-${timestamp}.html`);
+
+      if (this.redactor) {
+        await this.setInputMask(true);
+      }
+      try {
+        await this.page.screenshot({ path: screenshotPath, fullPage: true });
+      } finally {
+        if (this.redactor) {
+          await this.setInputMask(false);
+        }
+      }
+      const html = await this.page.content();
+      fs.writeFileSync(htmlPath, this.redactor ? this.redactor.redactHtml(html) : html);
+
+      this.logger.log(`Diagnostic info captured: ${screenshotPath}, ${htmlPath}`);
+      this.logger.log(`Current URL: ${this.page.url()}`);
+
+      // Log available frames
+      const frames = this.page.frames();
+      this.logger.log(`Available frames: ${frames.length}`);
+      frames.forEach((frame, i) => {
+        this.logger.log(`  Frame ${i}: ${frame.url()}`);
+      });
+
+      if (this.diagnostics) {
+        const redactUrl = url => (this.redactor ? this.redactor.redactText(url) : url);
+        this.diagnostics.addCapture({
+          step: context,
+          files: { screenshot: screenshotPath, html: htmlPath },
+          url: redactUrl(this.page.url()),
+          frames: frames.map(frame => ({ name: frame.name() || null, url: redactUrl(frame.url()) })),
+          error,
+          account: this.options.accountName
+        });
+      }
+
+      return { screenshotPath, htmlPath };
+    } catch (captureError) {
+      this.logger.error('Failed to capture diagnostic info:', captureError.message);
+    }
+  }
+
+  // Runs one phase of a login or Add time flow: tags its log lines and times it for the metrics and the diagnostic bundle
+  async runPhase(phase, fn) {
+    const startedAt = Date.now();
+    try {
+      const result = await withLogContext({ phase }, fn);
+      if (this.diagnostics) {
+        this.diagnostics.recordPhase({ phase, startedAt, account: this.options.accountName });
+      }
+      return result;
+    } catch (error) {
+      if (this.diagnostics) {
+        this.diagnostics.recordPhase({ phase, startedAt, error, account: this.options.accountName });
+      }
+      throw error;
+    } finally {
+      if (this.metrics) {
+        this.metrics.observePhase(phase, (Date.now() - startedAt) / 1000);
+      }
+    }
+  }
+
+  // Adds or removes the input mask in every frame; frames that are gone or still loading are skipped
+  async setInputMask(enabled) {
+    await Promise.all(this.page.frames().map(frame => frame.evaluate((id, css, add) => {
+      const existing = document.getElementById(id);
+      if (existing) {
+        existing.remove();
+      }
+      if (add) {
+        const style = document.createElement('style');
+        style.id = id;
+        style.textContent = css;
+        (document.head || document.documentElement).appendChild(style);
+      }
+    }, INPUT_MASK_STYLE_ID, INPUT_MASK_CSS, enabled).catch(() => {})));
+  }
+
+  async waitForSelectorWithFallbacks(selectors, options = {}) {
+    const timeout = options.timeout || this.options.loginFormTimeoutMs;
+
+    for (const selector of selectors) {
+      try {
+        this.logger.debug(`Trying selector: ${selector}`);
+        await this.page.waitForSelector(selector, { timeout: Math.min(timeout / selectors.length, 10000) });
+        this.logger.debug(`Found element with selector: ${selector}`);
+        return selector;
+      } catch (error) {
+        this.logger.debug(`Selector ${selector} not found: ${error.message}`);
+      }
+    }
+    throw new Error(`None of the selectors were found: ${selectors.join(', ')}`);
+  }
+
+  async findElementInFrames(selectors) {
+    const frames = this.page.frames();
+
+    // Try main page first
+    for (const selector of selectors) {
+      try {
+        const element = await this.page.$(selector);
+        if (element) {
+          this.logger.debug(`Found element with selector ${selector} on the main page`);
+          return { frame: this.page, selector };
+        }
+      } catch (error) {
+        this.logger.debug(`Selector ${selector} failed on the main page: ${error.message}`);
+      }
+    }
+
+    // Try all frames
+    for (const frame of frames) {
+      for (const selector of selectors) {
+        try {
+          const element = await frame.$(selector);
+          if (element) {
+            this.logger.debug(`Found element with selector ${selector} in frame ${frame.url()}`);
+            return { frame, selector };
+          }
+        } catch (error) {
+          this.logger.debug(`Selector ${selector} failed in frame ${frame.url()}: ${error.message}`);
+        }
+      }
+    }
+
+    this.logger.debug(`None of ${selectors.length} selector(s) matched in ${frames.length} frame(s): ${selectors.join(', ')}`);
+    return null;
+  }
+
+  async scrollIntoViewAndCheck(frame, selector) {
+    try {
+      const isVisibleAndEnabled = await frame.evaluate((sel) => {
+        const element = document.querySelector(sel);
+        if (!element) return { visible: false, enabled: false };
+
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+        const style = window.getComputedStyle(element);
+        const rect = element.getBoundingClientRect();
+        const isVisible = style.display !== 'none' && 
+                         style.visibility !== 'hidden' && 
+                         style.opacity !== '0' &&
+                         rect.width > 0 && 
+                         rect.height > 0;
+
+        const isEnabled = !element.disabled && !element.hasAttribute('disabled');
+
+        return { visible: isVisible, enabled: isEnabled };
+      }, selector);
+
+      return isVisibleAndEnabled;
+    } catch (error) {
+      this.logger.debug(`Failed to check visibility for ${selector}: ${error.message}`);
+      return { visible: false, enabled: false };
+    }
+  }
+
+  async detectChallengeOrBlock() {
+    try {
+      const challengeDetected = await this.page.evaluate(() => {
+        const recaptchaSelectors = [
+          'iframe[src*="recaptcha"]',
+          '.g-recaptcha',
+          '[data-sitekey]'
+        ];
+
+        const turnstileSelectors = [
+          'iframe[src*="turnstile"]',
+          '.cf-turnstile',
+          '[data-turnstile-sitekey]'
+        ];
+
+        for (const selector of [...recaptchaSelectors, ...turnstileSelectors]) {
+          if (document.querySelector(selector)) {
+            return { detected: true, type: selector };
+          }
+        }
+
+        return { detected: false, type: null };
+      });
+
+      return challengeDetected;
+    } catch (error) {
+      return { detected: false, type: null };
+    }
+  }
+
+  async waitForPostSubmitOutcome(timeout = this.options.postSubmitTimeoutMs) {
+    this.logger.log('Waiting for post-submit outcome...');
+
+    const startUrl = this.page.url();
+    this.logger.log(`Starting URL: ${startUrl}`);
+
+    try {
+      const result = await Promise.race([
+        this.page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout }).then(() => ({ type: 'navigation' })).catch(() => null),
+
+        this.page.waitForFunction(
+          (url) => {
+            const currentUrl = window.location.href;
+            return !/\/auth(\/|$)/.test(currentUrl) && currentUrl !== url;
+          },
+          { timeout },
+          startUrl
+        ).then(() => ({ type: 'url-change' })).catch(() => null),
+
+        this.page.waitForSelector('[role="alert"], .error, .toast, [data-testid*="error"], .alert-danger, .notification-error', { timeout })
+          .then(() => ({ type: 'error' }))
+          .catch(() => null)
+      ]);
+
+      if (!result) {
+        this.logger.log('Post-submit wait timed out without clear outcome');
+        return { success: false, reason: 'timeout' };
+      }
+
+      const finalUrl = this.page.url();
+      this.logger.log(`Post-submit outcome: ${result.type}, final URL: ${finalUrl}`);
+
+      if (result.type === 'error') {
+        const errorText = await this.page.evaluate(() => {
+          const errorEl = document.querySelector('[role="alert"], .error, .toast, [data-testid*="error"], .alert-danger, .notification-error');
+          return errorEl ? errorEl.textContent.trim() : 'Unknown error';
+        }).catch(() => 'Unknown error');
+
+        this.logger.log(`Error message detected: ${errorText}`);
+        return { success: false, reason: 'error-message', details: errorText };
+      }
+
+      if (!/\/auth(\/|$)/.test(finalUrl)) {
+        this.logger.log('Successfully left auth page');
+        return { success: true, reason: result.type };
+      }
+
+      this.logger.log('Still on auth page after navigation');
+      return { success: false, reason: 'still-on-auth' };
+
+    } catch (error) {
+      this.logger.log(`Post-submit wait error: ${error.message}`);
+      return { success: false, reason: 'exception', details: error.message };
+    }
+  }
+
+  async resolveCredentials() {
+    const credentials = {
+      email: await resolveCredential(this.options.email),
+      password: await resolveCredential(this.options.password)
+    };
+    if (this.redactor) {
+      this.redactor.addSecret(credentials.email);
+      this.redactor.addSecret(credentials.password);
+    }
+    return credentials;
+  }
+
+  async submitLoginForm(emailElement, passwordElement, submitElement, credentials) {
+    this.logger.log('Preparing to submit login form...');
+
+    await randomDelay(800, 1500);
+    await this.captureDiagnosticInfo('pre-submit');
+
+    this.logger.log('Scrolling email field into view...');
+    const emailCheck = await this.scrollIntoViewAndCheck(emailElement.frame, emailElement.selector);
+    if (!emailCheck.visible || !emailCheck.enabled) {
+      this.logger.warn(`Email field visibility: ${emailCheck.visible}, enabled: ${emailCheck.enabled}`);
+    }
+    await randomDelay(300, 600);
+
+    this.logger.log('Scrolling password field into view...');
+    const passwordCheck = await this.scrollIntoViewAndCheck(passwordElement.frame, passwordElement.selector);
+    if (!passwordCheck.visible || !passwordCheck.enabled) {
+      this.logger.warn(`Password field visibility: ${passwordCheck.visible}, enabled: ${passwordCheck.enabled}`);
+    }
+    await randomDelay(300, 600);
+
+    if (submitElement) {
+      this.logger.log('Scrolling submit button into view...');
+      const submitCheck = await this.scrollIntoViewAndCheck(submitElement.frame, submitElement.selector);
+      if (!submitCheck.visible || !submitCheck.enabled) {
+        this.logger.warn(`Submit button visibility: ${submitCheck.visible}, enabled: ${submitCheck.enabled}`);
+      }
+      await randomDelay(300, 600);
+    }
+
+    this.logger.log('Typing credentials with delays...');
+    await this.moveMouseAndClick(emailElement.frame, emailElement.selector).catch(() => {});
+    await randomDelay(200, 400);
+
+    await emailElement.frame.type(emailElement.selector, credentials.email, { delay: 50 + Math.random() * 30 });
+    await randomDelay(400, 800);
+
+    await this.moveMouseAndClick(passwordElement.frame, passwordElement.selector).catch(() => {});
+    await randomDelay(200, 400);
+
+    await passwordElement.frame.type(passwordElement.selector, credentials.password, { delay: 50 + Math.random() * 30 });
+    await randomDelay(500, 1000);
+
+    const challenge = await this.detectChallengeOrBlock();
+    if (challenge.detected) {
+      this.logger.log(`Challenge or block detected: ${challenge.type}`);
+      const challengeError = new CloudflareChallengeError(`Challenge detected: ${challenge.type}. Manual intervention required.`);
+      await this.captureDiagnosticInfo('challenge-detected', challengeError);
+      throw challengeError;
+    }
+
+    this.logger.log('Attempting to submit form...');
+    let submitSuccess = false;
+
+    if (submitElement) {
+      try {
+        this.logger.log('Attempting click on submit button with mouse movement...');
+        const mouseClickSuccess = await this.moveMouseAndClick(submitElement.frame, submitElement.selector);
+
+        if (mouseClickSuccess) {
+          submitSuccess = true;
+          this.logger.log('Submit button clicked successfully with mouse movement');
+        } else {
+          this.logger.log('Mouse click failed, trying regular click...');
+          await submitElement.frame.click(submitElement.selector);
+          submitSuccess = true;
+          this.logger.log('Submit button clicked with regular click');
+        }
+      } catch (clickError) {
+        this.logger.log(`Click failed: ${clickError.message}, trying this.page.evaluate...`);
+
+        try {
+          submitSuccess = await submitElement.frame.evaluate((sel) => {
+            const element = document.querySelector(sel);
+            if (element && typeof element.click === 'function') {
+              element.click();
+              return true;
+            }
+            return false;
+          }, submitElement.selector);
+
+          if (submitSuccess) {
+            this.logger.log('Submit button clicked via this.page.evaluate');
+          }
+        } catch (evalError) {
+          this.logger.log(`this.page.evaluate click failed: ${evalError.message}`);
+        }
+      }
+    }
+
+    if (!submitSuccess) {
+      this.logger.log('Submit button click failed or not available, pressing Enter on password field...');
+      try {
+        await passwordElement.frame.focus(passwordElement.selector);
+        await randomDelay(200, 400);
+        await passwordElement.frame.keyboard.press('Enter');
+        submitSuccess = true;
+        this.logger.log('Pressed Enter on password field');
+      } catch (enterError) {
+        this.logger.log(`Enter press failed: ${enterError.message}`);
+        throw new Error('Failed to submit form via click or Enter');
+      }
+    }
+
+    await randomDelay(1000, 2000);
+
+    return submitSuccess;
+  }
+
+  async handleRedirects() {
+    this.logger.log('Checking for redirects...');
+
+    // Wait a bit to see if we get redirected
+    await this.page.waitForTimeout(2000);
+
+    const currentUrl = this.page.url();
+    this.logger.log(`Current URL after potential redirect: ${currentUrl}`);
+
+    // Handle common redirect patterns
+    if (currentUrl.includes('/auth') && !currentUrl.includes('/login')) {
+      this.logger.log('Detected redirect to auth page, looking for login options...');
+
+      // Try to find login links or buttons
+      const loginSelectors = [
+        'a[href*="login"]',
+        'a[href*="signin"]',
+        '.login-btn',
+        '.signin-btn'
+      ];
+
+      // Also try to find buttons by text content using evaluate
+      const loginButtonFound = await this.page.evaluate(() => {
+        const buttons = document.querySelectorAll('button, .btn, a');
+        for (const btn of buttons) {
+          const text = btn.textContent.toLowerCase();
+          if (text.includes('log in') || text.includes('sign in') || text.includes('login')) {
+            btn.click();
+            return true;
+          }
+        }
+        return false;
+      });
+
+      if (loginButtonFound) {
+        await randomDelay(400, 800);
+        await this.waitForLoginFormReady();
+        this.logger.log('Clicked login button by text content');
+        return true;
+      }
+
+      for (const selector of loginSelectors) {
+        try {
+          await this.page.waitForSelector(selector, { timeout: 5000 });
+          const mouseSuccess = await this.moveMouseAndClick(this.page, selector);
+          if (mouseSuccess) {
+            await randomDelay(300, 600);
+            await this.waitForLoginFormReady();
+            this.logger.log(`Clicked login element: ${selector}`);
+            return true;
+          }
+        } catch (error) {
+          this.logger.debug(`Redirect handler attempt for ${selector} failed: ${error.message}`);
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Logs in, reusing the saved session when it is still valid. With
+   * `{ fresh: true }` the saved session is not probed and a full login runs.
+   */
+  async login(probeServerId = this.options.probeServerId, options = {}) {
+    return this.runExclusive(() => this.performLogin(probeServerId, options));
+  }
+
+  async performLogin(probeServerId = this.options.probeServerId, options = {}) {
+    const startedAt = Date.now();
+    const progress = { attempts: 0, reusedSession: false };
+    const record = fields => this.recordHistory({ startedAt, serverId: probeServerId, event: 'login', method: 'browser', attempts: progress.attempts, ...fields });
+
+    try {
+      await this.runPhase('login', () => this.runLoginFlow(probeServerId, options, progress));
+    } catch (error) {
+      record({ result: historyResultForError(error), reason: error.message });
+      throw error;
+    }
+    record({ result: 'success', reason: progress.reusedSession ? 'saved session still valid' : null });
+
+    this.loggedIn = true;
+    this.scheduleSessionRefresh();
+  }
+
+  // The login itself; `progress` tells performLogin() how many attempts it took and whether the saved session sufficed
+  async runLoginFlow(probeServerId, options, progress) {
+    const loginUrl = `${this.options.baseUrl}/auth/login`;
+
+    if (!this.options.email || !this.options.password) {
+      throw new Error('FalixClient needs email and password options to log in');
+    }
+
+    await this.open();
+
+    await withRetry(async () => {
+      progress.attempts += 1;
+      this.logger.log('Attempting to login...');
+
+      try {
+        const savedCookies = options.fresh ? null : this.loadCookies();
+        if (savedCookies && savedCookies.length > 0) {
+          this.logger.log('Trying to use saved session cookies...');
+          try {
+            await this.page.setCookie(...savedCookies);
+            this.logger.log('Cookies loaded, navigating to keep-alive endpoint...');
+
+            const probeUrl = probeServerId ? `${this.options.baseUrl}/timer?id=${probeServerId}` : `${this.options.baseUrl}/`;
+            try {
+              await this.gotoWithRetry(probeUrl, { waitUntil: NAVIGATION_WAIT_UNTIL, timeout: this.options.navigationTimeoutMs });
+              const currentUrl = this.page.url();
+
+              if (!currentUrl.includes('/auth')) {
+                this.logger.log('Session is still valid, skipping login');
+                progress.reusedSession = true;
+                return;
+              }
+            } catch (error) {
+              this.logger.log('Cookie session expired or invalid, proceeding with login');
+            }
+          } catch (error) {
+            this.logger.log(`Failed to apply saved cookies: ${error.message}`);
+          }
+        }
+
+        await randomDelay(1000, 2000);
+        this.logger.log('Navigating to login page...');
+        await this.gotoWithRetry(loginUrl, { waitUntil: NAVIGATION_WAIT_UNTIL, timeout: this.options.navigationTimeoutMs });
+        await this.ensureNoCloudflareChallenge('login navigation');
+
+        try {
+          await this.page.waitForSelector(LOGIN_EMAIL_SELECTOR, { timeout: this.options.loginFormTimeoutMs });
+        } catch (selectorError) {
+          this.logger.debug(`Primary login selector wait did not resolve: ${selectorError.message}`);
+        }
+
+        let loginFormReady = false;
+        try {
+          await this.waitForLoginFormReady();
+          loginFormReady = true;
+        } catch (readinessError) {
+          this.logger.log(`Login form not ready immediately: ${readinessError.message}`);
+        }
+
+        const redirectHandled = await this.handleRedirects();
+
+        if (!loginFormReady || redirectHandled) {
+          await this.waitForLoginFormReady();
+        }
+
+        await this.ensureNoCloudflareChallenge('post-redirect');
+
+        const emailElement = await this.findElementInFrames(EMAIL_SELECTOR_CANDIDATES);
+        const passwordElement = await this.findElementInFrames(PASSWORD_SELECTOR_CANDIDATES);
+        let submitElement = await this.findElementInFrames(SUBMIT_SELECTOR_CANDIDATES);
+
+        if (!emailElement) {
+          throw new Error('Email input field not found');
+        }
+        if (!passwordElement) {
+          throw new Error('Password input field not found');
+        }
+
+        if (!submitElement) {
+          this.logger.log('Submit button not found with selectors, trying text content...');
+          const submitButtonFound = await emailElement.frame.evaluate(() => {
+            const buttons = document.querySelectorAll('button, .btn, input[type="submit"], input[type="button"]');
+            for (const btn of buttons) {
+              const text = (btn.innerText || btn.textContent || btn.value || '').toLowerCase();
+              if (text.includes('log in') || text.includes('sign in') || text.includes('login') || 
+                  text.includes('submit') || text.includes('continue')) {
+                return true;
+              }
+            }
+            return false;
+          });
+
+          if (submitButtonFound) {
+            submitElement = {
+              frame: emailElement.frame,
+              selector: 'button, .btn, input[type="submit"], input[type="button"]'
+            };
+          } else {
+            this.logger.log('Submit button not found - will use Enter key fallback');
+          }
+        }
+
+        this.logger.debug(`Found email field with selector: ${emailElement.selector}`);
+        this.logger.debug(`Found password field with selector: ${passwordElement.selector}`);
+        if (submitElement) {
+          this.logger.debug(`Found submit button with selector: ${submitElement.selector}`);
+        } else {
+          this.logger.log('No submit button found, will rely on Enter key');
+        }
+
+        // Secrets from files, stdin or helpers are read only now that the form is really needed
+        const credentials = await this.resolveCredentials();
+
+        const maxSubmitAttempts = 3;
+        let submitAttempt = 0;
+        let loginSuccess = false;
+
+        while (submitAttempt < maxSubmitAttempts && !loginSuccess) {
+          submitAttempt++;
+          this.logger.log(`Login submit attempt ${submitAttempt} of ${maxSubmitAttempts}...`);
+
+          try {
+            await this.submitLoginForm(emailElement, passwordElement, submitElement, credentials);
+
+            const outcome = await this.waitForPostSubmitOutcome();
+
+            if (outcome.success) {
+              this.logger.log(`Login successful after ${submitAttempt} attempt(s)`);
+              loginSuccess = true;
+              break;
+            } else {
+              this.logger.log(`Login attempt ${submitAttempt} failed: ${outcome.reason}`);
+              if (outcome.details) {
+                this.logger.log(`Details: ${outcome.details}`);
+              }
+
+              await this.captureDiagnosticInfo(`post-submit-attempt-${submitAttempt}`, outcome.details ? `${outcome.reason}: ${outcome.details}` : outcome.reason);
+
+              if (outcome.reason === 'error-message' && CREDENTIAL_REJECTION_PATTERN.test(outcome.details)) {
+                throw new LoginRejectedError(`Falix rejected the login: ${outcome.details}`);
+              }
+
+              if (submitAttempt < maxSubmitAttempts) {
+                const backoffMs = 1000 * submitAttempt;
+                this.logger.log(`Waiting ${backoffMs}ms before retry...`);
+                await this.page.waitForTimeout(backoffMs);
+
+                const currentUrl = this.page.url();
+                if (/\/auth(\/|$)/.test(currentUrl)) {
+                  this.logger.log('Still on auth page, reloading...');
+                  await this.page.reload({ waitUntil: NAVIGATION_WAIT_UNTIL, timeout: this.options.navigationTimeoutMs });
+                  await this.page.waitForTimeout(500);
+                }
+              }
+            }
+          } catch (submitError) {
+            if (submitError instanceof LoginRejectedError) {
+              throw submitError;
+            }
+            this.logger.log(`Submit attempt ${submitAttempt} threw error: ${submitError.message}`);
+            await this.captureDiagnosticInfo(`submit-error-attempt-${submitAttempt}`, submitError);
+
+            if (submitAttempt >= maxSubmitAttempts) {
+              throw submitError;
+            }
+
+            const backoffMs = 1000 * submitAttempt;
+            await this.page.waitForTimeout(backoffMs);
+          }
+        }
+
+        if (!loginSuccess) {
+          throw new Error(`Failed to login after ${maxSubmitAttempts} submit attempts`);
+        }
+
+        await this.ensureNoCloudflareChallenge('post-login');
+
+        this.logger.log('Login completed successfully');
+
+        await randomDelay(500, 1000);
+        const cookies = await this.page.cookies();
+        this.saveCookies(cookies, this.page.url());
+
+      } catch (error) {
+        if (error instanceof CloudflareChallengeError || error instanceof CredentialError) {
+          throw error;
+        }
+        this.logger.error(`Login attempt failed: ${error.message}`);
+        await this.captureDiagnosticInfo('login-failure', error);
+        throw error;
+      }
+    }, {
+      retries: 3,
+      onFailedAttempt: async (error) => {
+        this.logger.log(`Login attempt ${error.attemptNumber} failed. ${error.retriesLeft} retries left.`);
+        if (error.attemptNumber > 1) {
+          await this.page.reload({ waitUntil: NAVIGATION_WAIT_UNTIL, timeout: this.options.navigationTimeoutMs });
+          await this.page.waitForTimeout(500);
+        }
+      }
+    });
+  }
+
+  /**
+   * Earliest expiry of the saved session cookies for the Falix host, or null
+   * when they are browser-session cookies without an expiry.
+   */
+  getSessionExpiry() {
+    const cookies = this.loadCookieJar({ quiet: true })
+      .cookiesFor(`${this.options.baseUrl}/`)
+      .filter(cookie => cookie.expires > 0);
+    const sessionCookies = cookies.filter(cookie => SESSION_COOKIE_PATTERN.test(cookie.name));
+    const candidates = sessionCookies.length > 0 ? sessionCookies : cookies;
+
+    if (candidates.length === 0) {
+      return null;
+    }
+    return new Date(Math.min(...candidates.map(cookie => cookie.expires)) * 1000);
+  }
+
+  cancelSessionRefresh() {
+    if (this.sessionRefreshTimer) {
+      clearTimeout(this.sessionRefreshTimer);
+      this.sessionRefreshTimer = null;
+    }
+    this.sessionRefreshAt = null;
+  }
+
+  /**
+   * Plans a fresh login sessionRefreshMarginSeconds before the session
+   * cookies expire. Returns the planned time, or null when nothing is planned.
+   */
+  scheduleSessionRefresh() {
+    this.cancelSessionRefresh();
+
+    if (!this.options.sessionRefresh || !this.canLogin()) {
+      return null;
+    }
+
+    const expiry = this.getSessionExpiry();
+    if (!expiry) {
+      this.logger.log('Session cookies carry no expiry; proactive refresh not scheduled');
+      return null;
+    }
+
+    const refreshAt = new Date(Math.max(Date.now() + MIN_SESSION_REFRESH_DELAY_MS, expiry.getTime() - this.options.sessionRefreshMarginSeconds * 1000));
+    const delay = refreshAt.getTime() - Date.now();
+    this.logger.log(`Session expires at ${expiry.toISOString()}; refresh scheduled for ${refreshAt.toISOString()}`);
+
+    this.sessionRefreshAt = refreshAt;
+    this.sessionRefreshTimer = setTimeout(() => {
+      this.sessionRefreshTimer = null;
+      if (delay > MAX_TIMER_DELAY_MS) {
+        this.scheduleSessionRefresh();
+        return;
+      }
+      this.refreshSession('session cookies expire soon').catch((error) => {
+        this.logger.error(`✗ Proactive session refresh failed: ${error.message}`);
+      });
+    }, Math.min(delay, MAX_TIMER_DELAY_MS));
+    // A pending refresh alone should not keep the process alive
+    this.sessionRefreshTimer.unref();
+
+    return refreshAt;
+  }
+
+  /**
+   * Replaces the session with a fresh login in a new incognito context.
+   * Concurrent callers share one refresh.
+   */
+  async refreshSession(reason) {
+    if (!this.refreshInFlight) {
+      this.refreshInFlight = this.runExclusive(async () => {
+        this.logger.log(`Refreshing session (${reason})...`);
+        await this.resetContext();
+        await this.performLogin(this.options.probeServerId, { fresh: true });
+        this.logger.log('✓ Session refreshed');
+      }).finally(() => {
+        this.refreshInFlight = null;
+      });
+    }
+    return this.refreshInFlight;
+  }
+
+  async resetContext() {
+    if (this.context) {
+      try {
+        await this.context.close();
+      } catch (error) {
+        this.logger.warn(`Failed to close browser context: ${error.message}`);
+      }
+    }
+    this.context = null;
+    this.page = null;
+    this.loggedIn = false;
+  }
+
+  async ensureNoCloudflareChallenge(context) {
+    if (!this.page) {
+      return;
+    }
+
+    const currentUrl = this.page.url();
+    const challengeUrlIndicators = [
+      '/cdn-cgi/challenge',
+      '/cdn-cgi/challenge-platform',
+      '/cf-challenge',
+      '/cdn-cgi/l/chk_jschl',
+      '/cdn-cgi/s/chk_jschl',
+      'challenges.cloudflare.com'
+    ];
+
+    let detectionDetail = challengeUrlIndicators.find(indicator => currentUrl.includes(indicator));
+    if (detectionDetail) {
+      detectionDetail = `URL indicator: ${detectionDetail}`;
+    } else {
+      try {
+        const indicator = await this.page.evaluate((selectors) => {
+          for (const selector of selectors) {
+            if (document.querySelector(selector)) {
+              return selector;
+            }
+          }
+
+          const bodyText = document.body ? (document.body.innerText || document.body.textContent || '').toLowerCase() : '';
+          if (bodyText.includes('checking your browser before accessing')) {
+            return 'checking-browser-text';
+          }
+
+          return null;
+        }, [
+          '.cf-browser-verification',
+          '#cf-challenge-running',
+          '.cf-im-under-attack',
+          'form[action*="/cdn-cgi/challenge"]',
+          'body.cf-challenge',
+          '[data-translate="checking_browser"]'
+        ]);
+
+        if (indicator) {
+          detectionDetail = indicator === 'checking-browser-text'
+            ? 'Text indicator: checking your browser before accessing'
+            : `Selector indicator: ${indicator}`;
+        }
+      } catch (error) {
+        // Ignore errors when detecting challenge indicators
+      }
+    }
+
+    if (detectionDetail) {
+      const challengeError = new CloudflareChallengeError(`Cloudflare challenge detected during ${context}. ${detectionDetail} Skipping run so scheduler can retry later.`);
+      await this.captureDiagnosticInfo('cloudflare-challenge', challengeError);
+      throw challengeError;
+    }
+  }
+
+  async findAddTimeButton() {
+    const buttonElement = await this.page.evaluate(() => {
+      const buttonTextMatchers = ['add time', '添加时间'];
+      const allButtons = document.querySelectorAll('button, .btn, a[role="button"], input[type="button"], input[type="submit"]');
+
+      for (const btn of allButtons) {
+        const text = (btn.innerText || btn.textContent || btn.value || '').toLowerCase().trim();
+        if (buttonTextMatchers.some(matcher => text.includes(matcher))) {
+          return true;
+        }
+      }
+
+      const selectorCandidates = [
+        '[data-testid*="add-time"]',
+        '[data-testid*="addtime"]',
+        '.add-time',
+        '.add-time-btn',
+        'button[class*="add-time" i]',
+        'button[class*="addtime" i]'
+      ];
+
+      for (const selector of selectorCandidates) {
+        if (document.querySelector(selector)) {
+          return true;
+        }
+      }
+
+      return false;
+    });
+
+    return buttonElement;
+  }
+
+  async clickAddTimeButton() {
+    this.logger.log('Attempting to click Add time button with human-like behavior...');
+
+    await this.scrollPage(Math.random() * 150 + 100);
+    await randomDelay(300, 600);
+
+    const selectorCandidates = [
+      '[data-testid*="add-time"]',
+      '[data-testid*="addtime"]',
+      '.add-time',
+      '.add-time-btn',
+      'button[class*="add-time" i]',
+      'button[class*="addtime" i]'
+    ];
+
+    for (const selector of selectorCandidates) {
+      try {
+        const element = await this.page.$(selector);
+        if (element) {
+          this.logger.debug(`Found add-time button with selector: ${selector}`);
+          const success = await this.moveMouseAndClick(this.page, selector);
+          if (success) {
+            this.logger.log(`Add time button clicked successfully using ${selector}`);
+            return true;
+          }
+        }
+      } catch (error) {
+        this.logger.debug(`Attempt to click ${selector} failed: ${error.message}`);
+      }
+    }
+
+    const clicked = await this.page.evaluate(() => {
+      const buttonTextMatchers = ['add time', '添加时间'];
+      const allButtons = document.querySelectorAll('button, .btn, a[role="button"], input[type="button"], input[type="submit"]');
+
+      for (const btn of allButtons) {
+        const text = (btn.innerText || btn.textContent || btn.value || '').toLowerCase().trim();
+        if (buttonTextMatchers.some(matcher => text.includes(matcher))) {
+          if (typeof btn.click === 'function') {
+            btn.click();
+            return { success: true, method: 'text-match' };
+          }
+        }
+      }
+
+      return { success: false, method: null };
+    });
+
+    if (clicked.success) {
+      this.logger.log(`Add time button clicked successfully using ${clicked.method}`);
+      return true;
+    }
+
+    this.logger.log('Add time button not found or could not be clicked');
+    return false;
+  }
+
+  /**
+   * Reads the countdown on the current timer page. Returns `{ text,
+   * remainingSeconds, maxSeconds, readAt, expiresAt }`, or null when no
+   * countdown is shown.
+   */
+  async readCountdown() {
+    const candidates = await this.page.evaluate(() => {
+      // Most specific first: a "countdown" element beats anything merely named "time"
+      const selectors = ['[class*="countdown"], [id*="countdown"]', '[class*="timer"], [id*="timer"]', '[class*="time"], [id*="time"], time'];
+      const texts = [];
+      for (const selector of selectors) {
+        for (const el of document.querySelectorAll(selector)) {
+          const text = (el.innerText || el.textContent || '').trim();
+          if (text && text.length <= 200 && /\d/.test(text) && !texts.includes(text)) {
+            texts.push(text);
+          }
+        }
+      }
+
+      const lines = (document.body.innerText || '').split('\n').map(line => line.trim()).filter(line => line && line.length <= 200 && /\d/.test(line));
+      return {
+        texts: texts.concat(lines.filter(line => /\d:\d{2}/.test(line))),
+        maxTexts: lines.filter(line => /max|limit|上限|最大/i.test(line))
+      };
+    }).catch(() => null);
+
+    return candidates ? readingFromTexts(candidates.texts, candidates.maxTexts) : null;
+  }
+
+  /**
+   * Decides whether an Add time click took effect by comparing the countdown
+   * before the click with the countdown after it. Without a clear rise on the
+   * live page, the timer page is reloaded and read again.
+   *
+   * Returns `{ verdict, evidence, countdown }`. The verdict is one of:
+   * - `verified`: the countdown rose by more than the time that passed
+   * - `unverified`: the countdown cannot prove it either way, e.g. it could
+   *   not be read or was already at its maximum
+   * - `failed`: the countdown did not rise, or the page showed an error
+   */
+  async verifyAddTimeSuccess(timerUrl, before) {
+    this.logger.log('Verifying Add time button click success...');
+    await randomDelay(1500, 2500);
+
+    const evidence = [];
+    const signals = await this.readClickSignals();
+    if (signals.errorText) {
+      evidence.push(`error message: "${signals.errorText}"`);
+    }
+    if (signals.successText) {
+      evidence.push(`success message: "${signals.successText}"`);
+    }
+    if (signals.buttonDisabled) {
+      evidence.push('Add time button is disabled');
+    }
+
+    let after = await this.readCountdown();
+    let comparison = compareCountdowns(before, after);
+
+    if (!comparison.rose) {
+      this.logger.log('Countdown did not rise on the live page, reloading the timer page to re-read it...');
+      await this.openTimerPage(timerUrl);
+      await randomDelay(1000, 2000);
+      after = await this.readCountdown();
+      comparison = compareCountdowns(before, after);
+    }
+    evidence.unshift(comparison.description);
+
+    let verdict;
+    if (comparison.rose) {
+      verdict = 'verified';
+    } else if (signals.errorText) {
+      verdict = 'failed';
+    } else if (!before || !after) {
+      verdict = 'unverified';
+    } else if (before.maxSeconds && before.remainingSeconds >= before.maxSeconds - VERIFY_TOLERANCE_SECONDS) {
+      verdict = 'unverified';
+      evidence.push('timer was already at its maximum');
+    } else {
+      verdict = 'failed';
+    }
+
+    const log = verdict === 'failed' ? this.logger.warn.bind(this.logger) : this.logger.log.bind(this.logger);
+    log(`Add time verification: ${verdict} (${evidence.join('; ')})`);
+    return { verdict, evidence, countdown: after };
+  }
+
+  async readClickSignals() {
+    return this.page.evaluate(() => {
+      const visibleTexts = (selector) => Array.from(document.querySelectorAll(selector))
+        .filter(el => el.offsetParent !== null)
+        .map(el => (el.innerText || el.textContent || '').trim())
+        .filter(Boolean);
+
+      const messages = visibleTexts('.toast, .notification, .alert, .message, [class*="toast"], [class*="notification"], [role="alert"], [class*="snackbar"]');
+      const errorText = messages.find(text => /error|fail|wait|cooldown|too many|limit|错误|失败/i.test(text)) || '';
+      const successText = messages.find(text => /success|added|成功|已添加/i.test(text)) || '';
+
+      const buttonDisabled = Array.from(document.querySelectorAll('button, .btn, a[role="button"], input[type="button"], input[type="submit"]'))
+        .some((btn) => {
+          const text = (btn.innerText || btn.textContent || btn.value || '').toLowerCase();
+          return (text.includes('add time') || text.includes('添加时间')) &&
+            (btn.disabled || btn.hasAttribute('disabled') || btn.classList.contains('disabled'));
+        });
+
+      return { errorText, successText, buttonDisabled };
+    }).catch(() => ({ errorText: '', successText: '', buttonDisabled: false }));
+  }
+
+  async openTimerPage(timerUrl) {
+    return this.runPhase('navigate', async () => {
+      await this.gotoWithRetry(timerUrl, { waitUntil: NAVIGATION_WAIT_UNTIL, timeout: this.options.navigationTimeoutMs });
+      await this.ensureNoCloudflareChallenge('timer page navigation');
+
+      if (/\/auth(\/|$)/.test(new URL(this.page.url()).pathname)) {
+        throw new SessionExpiredError(`Session expired: timer page redirected to ${this.page.url()}`);
+      }
+    });
+  }
+
+  async performTimerKeepalive(serverId, options = {}) {
+    const timerUrl = `${this.options.baseUrl}/timer?id=${serverId}`;
+    this.logger.log(`Navigating to timer page: ${timerUrl}`);
+
+    try {
+      await this.openTimerPage(timerUrl);
+      await randomDelay(1500, 2500);
+
+      const countdownBefore = await this.readCountdown();
+      if (options.thresholdSeconds && countdownBefore && countdownBefore.remainingSeconds >= options.thresholdSeconds) {
+        this.logger.log(`${formatDuration(countdownBefore.remainingSeconds)} left, at or above the ${formatDuration(options.thresholdSeconds)} threshold; not clicking Add time`);
+        return { success: true, attempts: 0, clickSkipped: true, timer: countdownBefore };
+      }
+      this.logger.log(`Timer page loaded (remaining: ${formatDuration(countdownBefore && countdownBefore.remainingSeconds)}), searching for Add time button...`);
+
+      await this.scrollPage(150 + Math.random() * 200);
+      await randomDelay(300, 600);
+
+      const buttonFound = await this.findAddTimeButton();
+      if (!buttonFound) {
+        this.logger.error('Add time button not found on timer page');
+        const notFoundError = new Error('Add time button not found');
+        await this.captureDiagnosticInfo('add-time-button-not-found', notFoundError);
+        throw notFoundError;
+      }
+
+      const retryConfig = {
+        maxAttempts: 3,
+        backoffMs: 2000
+      };
+
+      let verification = null;
+      let countdown = countdownBefore;
+
+      for (let attempt = 1; attempt <= retryConfig.maxAttempts; attempt++) {
+        this.logger.log(`Click attempt ${attempt}/${retryConfig.maxAttempts}...`);
+
+        await randomDelay(200, 400);
+        const clicked = await this.runPhase('click', () => this.clickAddTimeButton());
+
+        if (!clicked) {
+          this.logger.log(`Failed to click on attempt ${attempt}`);
+          if (attempt < retryConfig.maxAttempts) {
+            const backoffMs = retryConfig.backoffMs + Math.random() * 1000;
+            this.logger.log(`Waiting ${Math.round(backoffMs)}ms before retry...`);
+            await randomDelay(backoffMs, backoffMs + 500);
+            continue;
+          }
+          break;
+        }
+
+        verification = await this.runPhase('verify', () => this.verifyAddTimeSuccess(timerUrl, countdown));
+        // The next attempt is judged against the latest reading, not the one from before the first click
+        countdown = verification.countdown || countdown;
+
+        if (verification.verdict !== 'failed') {
+          this.logger.log(`Add time click ${verification.verdict} on attempt ${attempt}`);
+          await randomDelay(500, 1000);
+          return {
+            success: true,
+            attempts: attempt,
+            verified: verification.verdict === 'verified',
+            verdict: verification.verdict,
+            evidence: verification.evidence,
+            timer: countdown
+          };
+        }
+
+        this.logger.log(`Verification failed on attempt ${attempt}`);
+        if (attempt < retryConfig.maxAttempts) {
+          const backoffMs = retryConfig.backoffMs + Math.random() * 1000;
+          this.logger.log(`Waiting ${Math.round(backoffMs)}ms before retry...`);
+          await randomDelay(backoffMs, backoffMs + 500);
+        }
+      }
+
+      if (!verification) {
+        throw new Error('Failed to click Add time button after all retry attempts');
+      }
+
+      const failure = `Add time had no visible effect after ${retryConfig.maxAttempts} attempts`;
+      this.logger.error(`✗ ${failure}`);
+      await this.captureDiagnosticInfo('add-time-verification-failed', failure);
+      return {
+        success: false,
+        attempts: retryConfig.maxAttempts,
+        verified: false,
+        verdict: 'failed',
+        evidence: verification.evidence,
+        timer: countdown
+      };
+
+    } catch (error) {
+      if (error instanceof CloudflareChallengeError || error instanceof SessionExpiredError) {
+        throw error;
+      }
+      this.logger.error('Error performing timer keepalive:', error.message);
+      await this.captureDiagnosticInfo('timer-keepalive-error', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  FalixClient,
+  launchBrowser,
+  DEFAULT_BASE_URL,
+  DEFAULT_NAVIGATION_TIMEOUT,
+  DEFAULT_TIMEOUT,
+  LOGIN_FORM_TIMEOUT,
+  POST_SUBMIT_TIMEOUT,
+  TIMER_REQUEST_TIMEOUT,
+  DEFAULT_VIEWPORT,
+  DEFAULT_USER_AGENT,
+  SESSION_REFRESH_MARGIN_SECONDS,
+  COOKIES_FILE,
+  TIMER_DEFAULT_INTERVAL_SECONDS
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+
+// Events that put time on the clock; a skipped click or a login does not
+const EXTENSION_EVENTS = ['ping', 'click'];
+
+/**
+ * Append-only JSONL ledger of logins, auto-timer pings and Add time clicks.
+ * One JSON object per line, so a crash mid-write loses at most that line.
+ *
+ * Options:
+ * - filePath: the ledger file (created with its directory on first append)
+ * - logger: object with log/warn/error methods (default: console)
+ */
+class HistoryLedger {
+  constructor(options = {}) {
+    if (!options.filePath) {
+      throw new Error('HistoryLedger requires a filePath');
+    }
+    this.filePath = path.resolve(options.filePath);
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Appends one record. A ledger that cannot be written is reported and
+   * otherwise ignored; history must never fail a keepalive run.
+   */
+  append(record) {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`, { mode: 0o600 });
+    } catch (error) {
+      this.logger.warn(`Failed to write run history to ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * All records, oldest first. Lines that are not valid JSON (for example a
+   * write cut short by a crash) are skipped and counted in `skippedLines`.
+   */
+  read() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { records: [], skippedLines: 0 };
+      }
+      throw error;
+    }
+
+    const records = [];
+    let skippedLines = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        skippedLines += 1;
+      }
+    }
+    return { records, skippedLines };
+  }
+}
+
+function isSuccessfulExtension(record) {
+  return EXTENSION_EVENTS.includes(record.event) && record.result === 'success';
+}
+
+/**
+ * The longest stretch per server without a successful extension: from the
+ * server's first record to its first success, between successes, and from
+ * the last success to `now`.
+ */
+function findLongestGap(records, now) {
+  const byServer = new Map();
+  for (const record of records) {
+    if (!record.serverId) {
+      continue;
+    }
+    if (!byServer.has(record.serverId)) {
+      byServer.set(record.serverId, []);
+    }
+    byServer.get(record.serverId).push(record);
+  }
+
+  let longest = null;
+  for (const [serverId, serverRecords] of byServer) {
+    const marks = [Date.parse(serverRecords[0].timestamp)]
+      .concat(serverRecords.filter(isSuccessfulExtension).map(record => Date.parse(record.timestamp)), now);
+
+    for (let index = 1; index < marks.length; index++) {
+      const seconds = Math.round((marks[index] - marks[index - 1]) / 1000);
+      if (!longest || seconds > longest.seconds) {
+        longest = {
+          serverId,
+          seconds,
+          from: new Date(marks[index - 1]).toISOString(),
+          to: new Date(marks[index]).toISOString(),
+          ongoing: index === marks.length - 1
+        };
+      }
+    }
+  }
+  return longest;
+}
+
+/**
+ * Totals for the `history` command. The success rate counts pings and clicks
+ * that were attempted; clicks skipped because enough time was left are not
+ * counted either way.
+ */
+function summarizeHistory(records, now = Date.now()) {
+  const extensions = records.filter(record => EXTENSION_EVENTS.includes(record.event) && record.result !== 'skipped');
+  const succeeded = extensions.filter(isSuccessfulExtension).length;
+  const logins = records.filter(record => record.event === 'login');
+
+  return {
+    records: records.length,
+    since: records.length > 0 ? records[0].timestamp : null,
+    attempts: extensions.length,
+    succeeded,
+    successRate: extensions.length > 0 ? succeeded / extensions.length : null,
+    skippedClicks: records.filter(record => record.event === 'click' && record.result === 'skipped').length,
+    logins: logins.length,
+    failedLogins: logins.filter(record => record.result !== 'success').length,
+    longestGap: findLongestGap(records, now)
+  };
+}
+
+module.exports = {
+  HistoryLedger,
+  summarizeHistory
+};
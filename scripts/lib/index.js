@@ -0,0 +1,41 @@
+const { FalixClient, launchBrowser } = require('./falix-client');
+const { loadConfig, buildAccounts } = require('./config');
+const { SessionStore } = require('./session-store');
+const { HistoryLedger, summarizeHistory } = require('./history');
+const { KeepaliveMetrics } = require('./metrics');
+const { RunState } = require('./run-state');
+const { StatusApi } = require('./status-api');
+const { Dashboard } = require('./dashboard');
+const { WebhookNotifier } = require('./notifier');
+const { EmailNotifier } = require('./mailer');
+const { Logger, withLogContext } = require('./logger');
+const { Redactor } = require('./redaction');
+const { DiagnosticBundler } = require('./diagnostics');
+const { Credential } = require('./credentials');
+const { CloudflareChallengeError, ConfigError, CredentialError, LoginRejectedError, SessionExpiredError } = require('./errors');
+
+module.exports = {
+  FalixClient,
+  launchBrowser,
+  loadConfig,
+  buildAccounts,
+  SessionStore,
+  HistoryLedger,
+  summarizeHistory,
+  KeepaliveMetrics,
+  RunState,
+  StatusApi,
+  Dashboard,
+  WebhookNotifier,
+  EmailNotifier,
+  Logger,
+  withLogContext,
+  Redactor,
+  DiagnosticBundler,
+  Credential,
+  CloudflareChallengeError,
+  ConfigError,
+  CredentialError,
+  LoginRejectedError,
+  SessionExpiredError
+};
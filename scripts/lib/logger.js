@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['human', 'json'];
+// Context fields human-readable lines show in brackets, in this order
+const TAG_FIELDS = ['account', 'serverId', 'phase'];
+// ✓/⚠/✗ prefixes repeat what `level` says, so JSON lines drop them
+const STATUS_SYMBOL_PATTERN = /^[✓⚠✗]\s*/;
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * A short random ID that ties together the log lines of one run.
+ */
+function createRunId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+function currentLogContext() {
+  return contextStorage.getStore() || {};
+}
+
+/**
+ * Runs `fn` with `fields` (e.g. `{ serverId, phase }`) added to every line a
+ * Logger writes until it settles, including from the awaits and callbacks it
+ * starts. Nested calls add to, and override, the outer fields.
+ */
+function withLogContext(fields, fn) {
+  return contextStorage.run({ ...currentLogContext(), ...fields }, fn);
+}
+
+function formatHumanLine(time, level, fields, message) {
+  // Section breaks like "\n=== Daemon Mode ===" keep their blank lines above the prefix
+  const [, breaks, text] = /^(\n*)([\s\S]*)$/.exec(message);
+  const tags = TAG_FIELDS.map(name => fields[name]).filter(Boolean);
+  return `${breaks}${time} ${level.toUpperCase().padEnd(5)} ${tags.length > 0 ? `[${tags.join(' ')}] ` : ''}${text}`;
+}
+
+function formatJsonLine(time, level, fields, args, redact) {
+  const error = args.find(arg => arg instanceof Error);
+  const message = redact(util.format(...args.map(arg => (arg instanceof Error ? arg.message : arg))));
+  const entry = { time, level };
+  for (const [name, value] of Object.entries(fields)) {
+    if (value !== null && value !== undefined) {
+      entry[name] = value;
+    }
+  }
+  entry.msg = message.trim().replace(STATUS_SYMBOL_PATTERN, '');
+  if (error) {
+    entry.error = { name: error.name, message: redact(error.message), stack: error.stack && redact(error.stack) };
+  }
+  return JSON.stringify(entry);
+}
+
+/**
+ * Leveled logger with the log/warn/error methods every module takes as its
+ * `logger` option, so it drops in wherever console did. Each line carries
+ * the bound fields (such as runId) plus the current withLogContext() fields.
+ *
+ * Options:
+ * - level: debug, info, warn or error; lines below it are dropped (default: info)
+ * - format: human for `<time> <LEVEL> [account server phase] message`, or json
+ *   for one JSON object per line (default: human)
+ * - fields: fields on every line, e.g. `{ runId }`
+ * - redactor: a Redactor that masks secrets in every message (default: none)
+ * - transcript: function called with every formatted line, below the level
+ *   too, e.g. to keep the full log of a run (default: none)
+ * - console: where lines go; debug and info use its log(), warn and error
+ *   their own methods (default: the global console)
+ */
+class Logger {
+  constructor(options = {}) {
+    this.level = options.level || 'info';
+    this.format = options.format || 'human';
+    this.fields = options.fields || {};
+    this.redactor = options.redactor || null;
+    this.transcript = options.transcript || null;
+    this.console = options.console || console;
+  }
+
+  /**
+   * A logger writing to the same place with additional bound fields.
+   */
+  child(fields) {
+    return new Logger({ level: this.level, format: this.format, fields: { ...this.fields, ...fields }, redactor: this.redactor, transcript: this.transcript, console: this.console });
+  }
+
+  isLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+  }
+
+  write(level, args) {
+    const enabled = this.isLevelEnabled(level);
+    if (!enabled && !this.transcript) {
+      return;
+    }
+    const time = new Date().toISOString();
+    const fields = { ...this.fields, ...currentLogContext() };
+    const redact = this.redactor ? text => this.redactor.redactText(text) : text => text;
+    const line = this.format === 'json'
+      ? formatJsonLine(time, level, fields, args, redact)
+      : formatHumanLine(time, level, fields, redact(util.format(...args)));
+    if (this.transcript) {
+      this.transcript(line);
+    }
+    if (!enabled) {
+      return;
+    }
+
+    // Looked up per line, since the CLI redirects console.log when stdout carries a JSON document
+    if (level === 'error') {
+      this.console.error(line);
+    } else if (level === 'warn') {
+      this.console.warn(line);
+    } else {
+      this.console.log(line);
+    }
+  }
+
+  debug(...args) {
+    this.write('debug', args);
+  }
+
+  info(...args) {
+    this.write('info', args);
+  }
+
+  log(...args) {
+    this.write('info', args);
+  }
+
+  warn(...args) {
+    this.write('warn', args);
+  }
+
+  error(...args) {
+    this.write('error', args);
+  }
+}
+
+module.exports = {
+  Logger,
+  LOG_LEVELS,
+  LOG_FORMATS,
+  createRunId,
+  withLogContext,
+  currentLogContext
+};
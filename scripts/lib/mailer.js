@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { formatDuration } = require('./timer-status');
+
+const EXTENSION_EVENTS = ['ping', 'click'];
+const FAILED_RESULTS = ['failed', 'challenged', 'auth-required', 'rejected'];
+const DEFAULT_LOW_REMAINING_SECONDS = 1800;
+const DEFAULT_DEDUPE_SECONDS = 3600;
+const DIGEST_PERIOD_MS = 24 * 60 * 60 * 1000;
+const SUBJECT_PREFIX = '[Falix keepalive]';
+
+/**
+ * The latest digest time (`HH:MM`, local time) at or before `now`.
+ */
+function latestDigestTime(timeOfDay, now) {
+  const [hours, minutes] = timeOfDay.split(':').map(Number);
+  const at = new Date(now);
+  at.setHours(hours, minutes, 0, 0);
+  if (at.getTime() > now) {
+    at.setDate(at.getDate() - 1);
+  }
+  return at.getTime();
+}
+
+/**
+ * Per-server and per-account totals of the records in one digest period.
+ */
+function summarizeDigest(records) {
+  const servers = new Map();
+  const accounts = new Map();
+
+  for (const record of records) {
+    const account = record.account || 'default';
+    if (record.event === 'login') {
+      if (!accounts.has(account)) {
+        accounts.set(account, { account, logins: 0, failedLogins: 0 });
+      }
+      const entry = accounts.get(account);
+      entry.logins += 1;
+      if (record.result !== 'success') {
+        entry.failedLogins += 1;
+      }
+      continue;
+    }
+    if (!EXTENSION_EVENTS.includes(record.event) || !record.serverId) {
+      continue;
+    }
+
+    const key = `${account}/${record.serverId}`;
+    if (!servers.has(key)) {
+      servers.set(key, { account, serverId: record.serverId, extensions: 0, failures: 0, skipped: 0, lowestRemainingSeconds: null, lastRemainingSeconds: null, failureReasons: [] });
+    }
+    const entry = servers.get(key);
+    if (record.result === 'success') {
+      entry.extensions += 1;
+    } else if (record.result === 'skipped') {
+      entry.skipped += 1;
+    } else if (FAILED_RESULTS.includes(record.result)) {
+      entry.failures += 1;
+      if (record.reason && !entry.failureReasons.includes(record.reason)) {
+        entry.failureReasons.push(record.reason);
+      }
+    }
+    if (typeof record.remainingSeconds === 'number') {
+      entry.lastRemainingSeconds = record.remainingSeconds;
+      entry.lowestRemainingSeconds = entry.lowestRemainingSeconds === null
+        ? record.remainingSeconds
+        : Math.min(entry.lowestRemainingSeconds, record.remainingSeconds);
+    }
+  }
+
+  return { servers: Array.from(servers.values()), accounts: Array.from(accounts.values()) };
+}
+
+function renderDigest(summary, from, to) {
+  const failures = summary.servers.reduce((total, entry) => total + entry.failures, 0);
+  const lines = [`Falix keepalive activity from ${new Date(from).toISOString()} to ${new Date(to).toISOString()}.`, ''];
+
+  for (const entry of summary.servers) {
+    lines.push(`[${entry.account}] ${entry.serverId}`);
+    lines.push(`  Extensions: ${entry.extensions}, failures: ${entry.failures}, clicks skipped: ${entry.skipped}`);
+    if (entry.lastRemainingSeconds !== null) {
+      lines.push(`  Remaining at the last reading: ${formatDuration(entry.lastRemainingSeconds)} (lowest: ${formatDuration(entry.lowestRemainingSeconds)})`);
+    }
+    for (const reason of entry.failureReasons.slice(0, 5)) {
+      lines.push(`  Failure: ${reason}`);
+    }
+    lines.push('');
+  }
+  for (const entry of summary.accounts) {
+    lines.push(`[${entry.account}] Logins: ${entry.logins} (${entry.failedLogins} failed)`);
+  }
+
+  const day = new Date(to).toISOString().slice(0, 10);
+  return {
+    subject: `${SUBJECT_PREFIX} Daily digest for ${day}: ${failures === 0 ? 'no failures' : `${failures} failure(s)`}`,
+    text: `${lines.join('\n').trim()}\n`
+  };
+}
+
+/**
+ * Sends email through SMTP: an immediate alert for critical events, and an
+ * optional daily digest. Like the webhook notifier it is a record observer
+ * (see FalixClient `observers`), and replaying the ledger with track()
+ * restores its state without sending anything.
+ *
+ * Alerts:
+ * - timer-low: a ping or click read less than lowRemainingSeconds on the
+ *   countdown; sent once until the server is above the threshold again
+ * - login-rejected: the login form refused the email or password
+ *
+ * Options:
+ * - transport: nodemailer SMTP options (`host`, `port`, `secure`, `auth`)
+ * - transporter: a ready nodemailer transporter, instead of `transport`
+ * - from / to: sender, and a list of recipients
+ * - lowRemainingSeconds: threshold of the timer-low alert (default: 1800)
+ * - dedupeSeconds: send the same alert at most once in this window (default: 3600)
+ * - digestTime: `HH:MM` local time of the daily digest, or null for none
+ * - getRecords(): the history records the digest is built from
+ * - stateFile: where the time of the last digest is kept, so restarts and
+ *   one-shot runs send each digest once
+ * - logger: object with log/warn/error methods (default: console)
+ */
+class EmailNotifier {
+  constructor(options = {}) {
+    this.transporter = options.transporter || nodemailer.createTransport(options.transport);
+    this.from = options.from;
+    this.to = options.to || [];
+    this.lowRemainingSeconds = options.lowRemainingSeconds || DEFAULT_LOW_REMAINING_SECONDS;
+    this.dedupeSeconds = options.dedupeSeconds ?? DEFAULT_DEDUPE_SECONDS;
+    this.digestTime = options.digestTime || null;
+    this.getRecords = options.getRecords || (() => []);
+    this.stateFile = options.stateFile || null;
+    this.logger = options.logger || console;
+    this.lowServers = new Set();
+    this.lastSent = new Map();
+    this.pending = new Set();
+    this.digestTimer = null;
+    this.digestScheduled = false;
+  }
+
+  /**
+   * Updates the low-timer state and the dedupe window for one record and
+   * returns the alerts it produces, without sending them.
+   */
+  track(record) {
+    const account = record.account || 'default';
+    const alerts = [];
+
+    if (record.event === 'login' && record.result === 'rejected') {
+      alerts.push({
+        key: `login-rejected|${account}`,
+        subject: `${SUBJECT_PREFIX} Login rejected for account "${account}"`,
+        text: `The Falix login form rejected the credentials of account "${account}" at ${record.timestamp}.\n\n${record.reason || ''}\n\nThe keepalive cannot log in again until the email or password is corrected.\n`
+      });
+    }
+
+    if (EXTENSION_EVENTS.includes(record.event) && record.serverId && typeof record.remainingSeconds === 'number') {
+      const key = `${account}/${record.serverId}`;
+      if (record.remainingSeconds >= this.lowRemainingSeconds) {
+        this.lowServers.delete(key);
+      } else if (!this.lowServers.has(key)) {
+        this.lowServers.add(key);
+        alerts.push({
+          key: `timer-low|${key}`,
+          subject: `${SUBJECT_PREFIX} Timer of ${record.serverId} is down to ${formatDuration(record.remainingSeconds)}`,
+          text: `Server ${record.serverId} (account "${account}") had ${formatDuration(record.remainingSeconds)} left at ${record.timestamp}, below the alert threshold of ${formatDuration(this.lowRemainingSeconds)}.\n\nLast ${record.event} over ${record.method}: ${record.result}${record.reason ? ` (${record.reason})` : ''}\n`
+        });
+      }
+    }
+
+    return alerts.filter(alert => this.claim(alert.key, Date.parse(record.timestamp)));
+  }
+
+  claim(key, at) {
+    const last = this.lastSent.get(key);
+    if (last !== undefined && at - last < this.dedupeSeconds * 1000) {
+      return false;
+    }
+    this.lastSent.set(key, at);
+    return true;
+  }
+
+  observe(record) {
+    for (const alert of this.track(record)) {
+      this.send(alert);
+    }
+  }
+
+  /**
+   * Sends one message to every recipient. Failures are logged, never thrown;
+   * resolves with whether the message was accepted.
+   */
+  send({ subject, text }) {
+    const delivery = this.transporter.sendMail({ from: this.from, to: this.to.join(', '), subject, text })
+      .then(() => {
+        this.logger.log(`✓ Sent email "${subject}" to ${this.to.length} recipient(s)`);
+        return true;
+      })
+      .catch((error) => {
+        this.logger.warn(`⚠ Failed to send email "${subject}": ${error.message}`);
+        return false;
+      })
+      .finally(() => {
+        this.pending.delete(delivery);
+      });
+    this.pending.add(delivery);
+    return delivery;
+  }
+
+  async flush() {
+    await Promise.all(Array.from(this.pending));
+  }
+
+  readLastDigestAt() {
+    if (!this.stateFile) {
+      return null;
+    }
+    try {
+      return Date.parse(JSON.parse(fs.readFileSync(this.stateFile, 'utf-8')).lastDigestAt) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  writeLastDigestAt(timestamp) {
+    if (!this.stateFile) {
+      return;
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true, mode: 0o700 });
+      fs.writeFileSync(this.stateFile, `${JSON.stringify({ lastDigestAt: new Date(timestamp).toISOString() })}\n`, { mode: 0o600 });
+    } catch (error) {
+      this.logger.warn(`Failed to write ${this.stateFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sends the digest of the 24 hours before the latest digest time, unless it
+   * was sent already. A period without any records is marked done silently.
+   * Resolves with whether a digest was sent.
+   */
+  async sendDigestIfDue(now = Date.now()) {
+    if (!this.digestTime) {
+      return false;
+    }
+    const dueAt = latestDigestTime(this.digestTime, now);
+    const lastDigestAt = this.readLastDigestAt();
+    if (lastDigestAt && lastDigestAt >= dueAt) {
+      return false;
+    }
+
+    const from = dueAt - DIGEST_PERIOD_MS;
+    const records = this.getRecords().filter((record) => {
+      const at = Date.parse(record.timestamp);
+      return at >= from && at < dueAt;
+    });
+    if (records.length === 0) {
+      this.writeLastDigestAt(dueAt);
+      return false;
+    }
+
+    const sent = await this.send(renderDigest(summarizeDigest(records), from, dueAt));
+    if (sent) {
+      this.writeLastDigestAt(dueAt);
+    }
+    return sent;
+  }
+
+  /**
+   * Sends due digests now and then at every digest time, for long-running
+   * processes. stopDigest() cancels.
+   */
+  scheduleDigest() {
+    this.stopDigest();
+    if (!this.digestTime) {
+      return;
+    }
+    this.digestScheduled = true;
+    const run = async () => {
+      try {
+        await this.sendDigestIfDue();
+      } catch (error) {
+        this.logger.warn(`Daily digest failed: ${error.message}`);
+      }
+      if (!this.digestScheduled) {
+        return;
+      }
+      // The next digest time is the latest one a day from now, which also holds across DST changes
+      const nextAt = latestDigestTime(this.digestTime, Date.now() + DIGEST_PERIOD_MS);
+      this.digestTimer = setTimeout(run, Math.max(1000, nextAt - Date.now()));
+    };
+    run();
+  }
+
+  stopDigest() {
+    this.digestScheduled = false;
+    if (this.digestTimer) {
+      clearTimeout(this.digestTimer);
+      this.digestTimer = null;
+    }
+  }
+
+  close() {
+    this.stopDigest();
+    this.transporter.close();
+  }
+}
+
+module.exports = {
+  EmailNotifier,
+  summarizeDigest,
+  renderDigest
+};
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Prometheus text exposition format, version 0.0.4
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Phases timed from history records. A click record covers the whole Add time
+// flow, so it is `extend` next to the click phase; logins are timed by
+// FalixClient#runPhase, which reports its phases through observePhase()
+const RECORD_PHASES = { ping: 'ping', click: 'extend' };
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * One metric family: every label combination seen so far and its value.
+ * Summaries keep a `_sum` and a `_count` per combination, without quantiles.
+ */
+class MetricFamily {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  entry(labels) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, value: 0, sum: 0, count: 0 });
+    }
+    return this.series.get(key);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels).value += amount;
+  }
+
+  set(labels, value) {
+    this.entry(labels).value = value;
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels);
+    entry.sum += value;
+    entry.count += 1;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, entry] of this.series) {
+      if (this.type === 'summary') {
+        lines.push(`${this.name}_sum${key} ${entry.sum}`, `${this.name}_count${key} ${entry.count}`);
+      } else {
+        lines.push(`${this.name}${key} ${entry.value}`);
+      }
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Keepalive metrics, fed with the same records as the history ledger (see
+ * FalixClient#recordHistory). Replaying the ledger first keeps counters
+ * monotonic across one-shot runs, which is what Prometheus expects of them.
+ */
+class KeepaliveMetrics {
+  constructor() {
+    this.families = [];
+    this.extensions = this.family('counter', 'falix_timer_extensions_total', 'Timer extension attempts by event (ping, click), method and result');
+    this.loginAttempts = this.family('counter', 'falix_login_attempts_total', 'Login attempts, including checks that found the saved session still valid');
+    this.loginFailures = this.family('counter', 'falix_login_failures_total', 'Login attempts that failed or hit a challenge');
+    this.challenges = this.family('counter', 'falix_cloudflare_challenges_total', 'Cloudflare challenges encountered, by event');
+    this.lastSuccess = this.family('gauge', 'falix_last_successful_extension_timestamp_seconds', 'Unix time of the last successful ping or click');
+    this.remaining = this.family('gauge', 'falix_timer_remaining_seconds', 'Remaining timer time at the last reading');
+    this.remainingReadAt = this.family('gauge', 'falix_timer_remaining_read_timestamp_seconds', 'Unix time of the last remaining-time reading');
+    this.phaseDuration = this.family('summary', 'falix_phase_duration_seconds', 'Time spent per phase');
+  }
+
+  family(type, name, help) {
+    const family = new MetricFamily(type, name, help);
+    this.families.push(family);
+    return family;
+  }
+
+  observe(record) {
+    const timestamp = Date.parse(record.timestamp) / 1000;
+    const server = { account: record.account || '', server: record.serverId || '' };
+
+    if (record.result === 'challenged') {
+      this.challenges.inc({ account: server.account, event: record.event });
+    }
+
+    if (record.event === 'login') {
+      this.loginAttempts.inc({ account: server.account });
+      if (record.result !== 'success') {
+        this.loginFailures.inc({ account: server.account });
+      }
+    } else {
+      this.extensions.inc({ ...server, event: record.event, method: record.method, result: record.result });
+      if (record.result === 'success') {
+        this.lastSuccess.set(server, timestamp);
+      }
+    }
+
+    if (typeof record.remainingSeconds === 'number' && record.serverId) {
+      this.remaining.set(server, record.remainingSeconds);
+      this.remainingReadAt.set(server, timestamp);
+    }
+    if (typeof record.durationMs === 'number' && RECORD_PHASES[record.event]) {
+      this.observePhase(RECORD_PHASES[record.event], record.durationMs / 1000);
+    }
+  }
+
+  observePhase(phase, seconds) {
+    this.phaseDuration.observe({ phase }, seconds);
+  }
+
+  render() {
+    return `${this.families.map(family => family.render()).join('\n')}\n`;
+  }
+
+  /**
+   * Writes the metrics for node_exporter's textfile collector. The file is
+   * written beside the target and renamed, so the collector never reads half
+   * of it.
+   */
+  writeTextfile(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, this.render());
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Serves GET /metrics. Resolves with the listening http.Server.
+   */
+  listen(port, host) {
+    const server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found\n');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(this.render());
+    });
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve(server);
+      });
+    });
+  }
+}
+
+module.exports = {
+  KeepaliveMetrics
+};
@@ -0,0 +1,248 @@
+const axios = require('axios');
+
+// What a notification can be about; webhook targets may subscribe to a subset
+const NOTIFICATION_EVENTS = ['extension-failed', 'auth-required', 'challenge', 'consecutive-failures', 'recovery'];
+const WEBHOOK_FORMATS = ['generic', 'discord', 'slack'];
+const EXTENSION_EVENTS = ['ping', 'click'];
+const FAILED_RESULTS = ['failed', 'challenged', 'auth-required', 'rejected'];
+const DEFAULT_CONSECUTIVE_FAILURES = 3;
+const DEFAULT_DEDUPE_SECONDS = 3600;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Embed colors for Discord, by event
+const EVENT_COLORS = {
+  'extension-failed': 0xcf222e,
+  'auth-required': 0xcf222e,
+  challenge: 0xbf8700,
+  'consecutive-failures': 0x82071e,
+  recovery: 0x1a7f37,
+  test: 0x0969da
+};
+
+/**
+ * The format a webhook URL implies when none is given.
+ */
+function detectWebhookFormat(url) {
+  const { hostname, pathname } = new URL(url);
+  if (/(^|\.)discord(app)?\.com$/.test(hostname) && pathname.startsWith('/api/webhooks/')) {
+    return 'discord';
+  }
+  if (hostname === 'hooks.slack.com') {
+    return 'slack';
+  }
+  return 'generic';
+}
+
+function failureEvent(record) {
+  if (record.result === 'challenged') {
+    return 'challenge';
+  }
+  if (record.result === 'auth-required' || record.event === 'login') {
+    return 'auth-required';
+  }
+  return 'extension-failed';
+}
+
+function describeNotification(notification) {
+  const target = notification.serverId || `account "${notification.account}"`;
+  const detail = notification.reason ? `: ${notification.reason}` : '';
+
+  switch (notification.event) {
+    case 'extension-failed':
+      return { title: `Timer extension failed for ${target}`, message: `The ${notification.source} over ${notification.method} failed${detail}` };
+    case 'auth-required':
+      return { title: `Authentication required for account "${notification.account}"`, message: `The ${notification.source} could not authenticate${detail}` };
+    case 'challenge':
+      return { title: `Cloudflare challenge for ${target}`, message: `The ${notification.source} was skipped at a Cloudflare challenge${detail}` };
+    case 'consecutive-failures':
+      return { title: `${notification.consecutiveFailures} consecutive failures for ${target}`, message: `The timer has not been extended since ${notification.failingSince}${detail}` };
+    case 'recovery':
+      return { title: `${target} recovered`, message: `The timer was extended again after ${notification.consecutiveFailures} failed attempt(s)` };
+    default:
+      return { title: notification.title || notification.event, message: notification.message || '' };
+  }
+}
+
+function notificationFields(notification) {
+  const fields = [['Account', notification.account], ['Server', notification.serverId]];
+  if (typeof notification.remainingSeconds === 'number') {
+    fields.push(['Remaining', `${Math.round(notification.remainingSeconds / 60)} min`]);
+  }
+  return fields.filter(([, value]) => value);
+}
+
+/**
+ * The request body for one webhook format.
+ */
+function formatWebhookPayload(format, notification) {
+  const { title, message } = describeNotification(notification);
+  const fields = notificationFields(notification);
+
+  if (format === 'discord') {
+    return {
+      username: 'Falix Keepalive',
+      embeds: [{
+        title,
+        description: message,
+        color: EVENT_COLORS[notification.event] || EVENT_COLORS.test,
+        timestamp: notification.timestamp,
+        fields: fields.map(([name, value]) => ({ name, value: String(value), inline: true }))
+      }]
+    };
+  }
+  if (format === 'slack') {
+    const context = fields.map(([name, value]) => `${name}: ${value}`).join(' | ');
+    return { text: `*${title}*\n${message}${context ? `\n${context}` : ''}` };
+  }
+  return { ...notification, title, message };
+}
+
+/**
+ * Turns history records into notifications and posts them to webhooks. It is
+ * a record observer like the metrics (see FalixClient `observers`), so it sees
+ * every login, ping and click as it is recorded.
+ *
+ * Notifications:
+ * - extension-failed / auth-required / challenge: a ping, click or login that
+ *   failed, could not authenticate, or hit a Cloudflare challenge
+ * - consecutive-failures: a server's pings and clicks failed this many times in a row
+ * - recovery: a server was extended again after a failure that was notified
+ *
+ * The same notification (event, account and server) is sent at most once per
+ * dedupe window, so a flapping server does not flood the channel. Streaks and
+ * the window use record timestamps, so replaying the ledger with track()
+ * restores them after a restart without sending anything.
+ *
+ * Options:
+ * - webhooks: targets as `{ url, format, events }`; format is generic, discord
+ *   or slack, and events optionally limits which notifications a target gets
+ * - consecutiveFailures: streak length that triggers consecutive-failures (default: 3)
+ * - dedupeSeconds: window for repeated notifications, 0 to send every one (default: 3600)
+ * - timeoutMs: HTTP timeout per webhook request (default: 10000)
+ * - logger: object with log/warn/error methods (default: console)
+ */
+class WebhookNotifier {
+  constructor(options = {}) {
+    this.webhooks = (options.webhooks || []).map(webhook => ({ format: detectWebhookFormat(webhook.url), ...webhook }));
+    this.consecutiveFailures = options.consecutiveFailures || DEFAULT_CONSECUTIVE_FAILURES;
+    this.dedupeSeconds = options.dedupeSeconds ?? DEFAULT_DEDUPE_SECONDS;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.logger = options.logger || console;
+    this.streaks = new Map();
+    this.lastSent = new Map();
+    this.pending = new Set();
+  }
+
+  streak(record) {
+    const key = `${record.account || ''}/${record.serverId}`;
+    if (!this.streaks.has(key)) {
+      this.streaks.set(key, { failures: 0, since: null, notified: false });
+    }
+    return this.streaks.get(key);
+  }
+
+  /**
+   * Updates streaks and the dedupe window for one record and returns the
+   * notifications it produces, without sending them.
+   */
+  track(record) {
+    const base = {
+      timestamp: record.timestamp,
+      account: record.account || null,
+      serverId: record.serverId || null,
+      source: record.event,
+      method: record.method,
+      result: record.result,
+      reason: record.reason || null,
+      remainingSeconds: typeof record.remainingSeconds === 'number' ? record.remainingSeconds : null
+    };
+    const candidates = [];
+
+    if (record.event === 'login') {
+      if (FAILED_RESULTS.includes(record.result)) {
+        candidates.push({ ...base, event: failureEvent(record) });
+      }
+    } else if (EXTENSION_EVENTS.includes(record.event) && record.serverId) {
+      const streak = this.streak(record);
+      if (record.result === 'success') {
+        if (streak.failures > 0 && streak.notified) {
+          candidates.push({ ...base, event: 'recovery', reason: null, consecutiveFailures: streak.failures });
+        }
+        Object.assign(streak, { failures: 0, since: null, notified: false });
+      } else if (FAILED_RESULTS.includes(record.result)) {
+        streak.failures += 1;
+        streak.since = streak.since || record.timestamp;
+        candidates.push({ ...base, event: failureEvent(record) });
+        if (streak.failures === this.consecutiveFailures) {
+          candidates.push({ ...base, event: 'consecutive-failures', consecutiveFailures: streak.failures, failingSince: streak.since });
+        }
+      }
+    }
+
+    const notifications = candidates.filter(notification => this.claim(notification));
+    if (EXTENSION_EVENTS.includes(record.event) && notifications.some(notification => notification.event !== 'recovery')) {
+      this.streak(record).notified = true;
+    }
+    return notifications;
+  }
+
+  // True when the notification is outside the dedupe window of its last send
+  claim(notification) {
+    const key = `${notification.event}|${notification.account || ''}|${notification.serverId || ''}`;
+    const at = Date.parse(notification.timestamp);
+    const last = this.lastSent.get(key);
+    if (last !== undefined && at - last < this.dedupeSeconds * 1000) {
+      return false;
+    }
+    this.lastSent.set(key, at);
+    return true;
+  }
+
+  observe(record) {
+    for (const notification of this.track(record)) {
+      this.send(notification);
+    }
+  }
+
+  /**
+   * Posts one notification to every webhook subscribed to its event (a `test`
+   * notification goes to all of them). Delivery failures are logged, never
+   * thrown; resolves with one boolean per webhook, and flush() waits for
+   * outstanding posts.
+   */
+  send(notification) {
+    const targets = this.webhooks.filter(webhook => !webhook.events || notification.event === 'test' || webhook.events.includes(notification.event));
+    const deliveries = targets.map(webhook => this.post(webhook, notification));
+    return Promise.all(deliveries);
+  }
+
+  post(webhook, notification) {
+    const host = new URL(webhook.url).host;
+    const delivery = axios.post(webhook.url, formatWebhookPayload(webhook.format, notification), {
+      timeout: this.timeoutMs,
+      headers: { 'Content-Type': 'application/json' }
+    }).then(() => {
+      this.logger.log(`✓ Sent ${notification.event} notification to ${webhook.format} webhook ${host}`);
+      return true;
+    }).catch((error) => {
+      this.logger.warn(`⚠ Failed to send ${notification.event} notification to ${webhook.format} webhook ${host}: ${error.message}`);
+      return false;
+    }).finally(() => {
+      this.pending.delete(delivery);
+    });
+    this.pending.add(delivery);
+    return delivery;
+  }
+
+  async flush() {
+    await Promise.all(Array.from(this.pending));
+  }
+}
+
+module.exports = {
+  WebhookNotifier,
+  NOTIFICATION_EVENTS,
+  WEBHOOK_FORMATS,
+  detectWebhookFormat,
+  formatWebhookPayload
+};
@@ -0,0 +1,130 @@
+const REDACTED = '[redacted]';
+const REDACTED_EMAIL = '[email]';
+const REDACTED_SERVER = '[server]';
+// Shorter values would match too much unrelated text to be worth masking
+const MIN_SECRET_LENGTH = 4;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+// Names of parameters, attributes and JSON keys that carry credentials or session state
+const SENSITIVE_NAME = '[\\w-]*(?:token|csrf|xsrf|session|password|passwd|secret|api[_-]?key|signature)[\\w-]*';
+const SENSITIVE_PARAM_PATTERN = new RegExp(`([?&;]${SENSITIVE_NAME}=)[^&#\\s"'<>]+`, 'gi');
+const SENSITIVE_JSON_PATTERN = new RegExp(`("${SENSITIVE_NAME}"\\s*:\\s*")(?:[^"\\\\]|\\\\.)*"`, 'gi');
+const SENSITIVE_ATTRIBUTE_PATTERN = new RegExp(`(\\s${SENSITIVE_NAME}\\s*=\\s*)("[^"]*"|'[^']*')`, 'gi');
+const BEARER_PATTERN = /(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi;
+const INPUT_TAG_PATTERN = /<input\b[^>]*>/gi;
+const META_TAG_PATTERN = /<meta\b[^>]*>/gi;
+const TEXTAREA_PATTERN = /(<textarea\b[^>]*>)[\s\S]*?(<\/textarea>)/gi;
+const VALUE_ATTRIBUTE_PATTERN = /(\svalue\s*=\s*)("[^"]*"|'[^']*'|[^\s>]+)/i;
+// Inputs whose value is a label rather than something typed or issued by the server
+const LABEL_INPUT_TYPES = ['submit', 'button', 'reset', 'checkbox', 'radio', 'image'];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function attributeValue(tag, name) {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(tag);
+  return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+function maskInputTag(tag) {
+  const type = (attributeValue(tag, 'type') || 'text').toLowerCase();
+  if (LABEL_INPUT_TYPES.includes(type)) {
+    return tag;
+  }
+  return tag.replace(VALUE_ATTRIBUTE_PATTERN, `$1"${REDACTED}"`);
+}
+
+function maskMetaTag(tag) {
+  const name = attributeValue(tag, 'name') || attributeValue(tag, 'property') || '';
+  if (!new RegExp(`^${SENSITIVE_NAME}$`, 'i').test(name)) {
+    return tag;
+  }
+  return tag.replace(/(\scontent\s*=\s*)("[^"]*"|'[^']*'|[^\s>]+)/i, `$1"${REDACTED}"`);
+}
+
+/**
+ * Masks credentials and session data before they reach a log line or a
+ * diagnostic file. It knows two kinds of values:
+ * - secrets (passwords, account emails, tokens): masked everywhere
+ * - server IDs: masked in saved HTML only, since log lines need them to tell
+ *   servers apart
+ *
+ * On top of the known values it masks every email address, bearer token and
+ * credential-like URL parameter or JSON key, and in HTML the value of every
+ * input that is not a button, the content of token meta tags and textareas.
+ *
+ * Options:
+ * - secrets: initial secret values; addSecret() adds more, e.g. once a
+ *   credential file has been read
+ * - serverIds: initial server IDs; addServerIds() adds more
+ */
+class Redactor {
+  constructor(options = {}) {
+    this.secrets = new Set();
+    this.serverIds = new Set();
+    this.secretPattern = null;
+    this.serverIdPattern = null;
+    for (const secret of options.secrets || []) {
+      this.addSecret(secret);
+    }
+    this.addServerIds(options.serverIds || []);
+  }
+
+  addSecret(value) {
+    if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH || this.secrets.has(value)) {
+      return;
+    }
+    this.secrets.add(value);
+    // Longest first, so a secret that contains another is masked whole
+    const alternatives = Array.from(this.secrets).sort((a, b) => b.length - a.length).map(escapeRegExp);
+    this.secretPattern = new RegExp(alternatives.join('|'), 'g');
+  }
+
+  addServerIds(ids) {
+    for (const id of ids) {
+      if (typeof id === 'string' && id.length > 0) {
+        this.serverIds.add(id);
+      }
+    }
+    if (this.serverIds.size > 0) {
+      this.serverIdPattern = new RegExp(`\\b(?:${Array.from(this.serverIds).map(escapeRegExp).join('|')})\\b`, 'g');
+    }
+  }
+
+  /**
+   * Masks a log line or any other free text.
+   */
+  redactText(text) {
+    let result = String(text);
+    if (this.secretPattern) {
+      result = result.replace(this.secretPattern, REDACTED);
+    }
+    return result
+      .replace(EMAIL_PATTERN, REDACTED_EMAIL)
+      .replace(BEARER_PATTERN, `$1${REDACTED}`)
+      .replace(SENSITIVE_PARAM_PATTERN, `$1${REDACTED}`);
+  }
+
+  /**
+   * Masks a page's HTML: form values, token attributes and meta tags, then
+   * everything redactText() masks, and server IDs.
+   */
+  redactHtml(html) {
+    let result = String(html)
+      .replace(INPUT_TAG_PATTERN, maskInputTag)
+      .replace(META_TAG_PATTERN, maskMetaTag)
+      .replace(TEXTAREA_PATTERN, `$1${REDACTED}$2`)
+      .replace(SENSITIVE_ATTRIBUTE_PATTERN, `$1"${REDACTED}"`)
+      .replace(SENSITIVE_JSON_PATTERN, `$1${REDACTED}"`);
+    result = this.redactText(result);
+    if (this.serverIdPattern) {
+      result = result.replace(this.serverIdPattern, REDACTED_SERVER);
+    }
+    return result;
+  }
+}
+
+module.exports = {
+  Redactor,
+  REDACTED
+};
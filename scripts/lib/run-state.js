@@ -0,0 +1,107 @@
+// In-memory view of what the keepalive last did, fed with the same records as
+// the history ledger (see FalixClient#recordHistory). The status API combines
+// it with the live client state into its /status document.
+
+const EXTENSION_EVENTS = ['ping', 'click'];
+
+// Accounts may share server IDs, so servers are kept per account like the auto-timers
+function serverKey(account, serverId) {
+  return `${account || 'default'}/${serverId}`;
+}
+
+function summarizeRecord(record) {
+  const summary = {
+    timestamp: record.timestamp,
+    event: record.event,
+    method: record.method,
+    result: record.result
+  };
+  if (record.reason) {
+    summary.reason = record.reason;
+  }
+  return summary;
+}
+
+class RunState {
+  constructor() {
+    this.startedAt = new Date();
+    this.servers = new Map();
+    this.accounts = new Map();
+  }
+
+  server(account, serverId) {
+    const key = serverKey(account, serverId);
+    if (!this.servers.has(key)) {
+      this.servers.set(key, { lastResult: null, lastSuccessAt: null, remaining: null });
+    }
+    return this.servers.get(key);
+  }
+
+  account(name) {
+    if (!this.accounts.has(name)) {
+      this.accounts.set(name, { lastLogin: null, sessionStartedAt: null });
+    }
+    return this.accounts.get(name);
+  }
+
+  observe(record) {
+    if (record.event === 'login') {
+      const account = this.account(record.account || 'default');
+      account.lastLogin = summarizeRecord(record);
+      // Only a full login starts a new session; finding the saved one still valid does not
+      if (record.result === 'success' && !record.reason) {
+        account.sessionStartedAt = record.timestamp;
+      }
+    }
+
+    if (!record.serverId) {
+      return;
+    }
+    const server = this.server(record.account, record.serverId);
+    if (EXTENSION_EVENTS.includes(record.event)) {
+      server.lastResult = summarizeRecord(record);
+      if (record.result === 'success') {
+        server.lastSuccessAt = record.timestamp;
+      }
+    }
+    if (typeof record.remainingSeconds === 'number') {
+      server.remaining = { seconds: record.remainingSeconds, readAt: record.timestamp };
+    }
+  }
+
+  /**
+   * The last known state of one server of an account. `remainingSeconds`
+   * counts down from the last reading, so it stays meaningful between readings.
+   */
+  describeServer(account, serverId, now = Date.now()) {
+    const server = this.servers.get(serverKey(account, serverId)) || { lastResult: null, lastSuccessAt: null, remaining: null };
+    let remainingSeconds = null;
+    let expiresAt = null;
+    if (server.remaining) {
+      const readAt = Date.parse(server.remaining.readAt);
+      remainingSeconds = Math.max(0, Math.round(server.remaining.seconds - (now - readAt) / 1000));
+      expiresAt = new Date(readAt + server.remaining.seconds * 1000).toISOString();
+    }
+
+    return {
+      lastResult: server.lastResult,
+      lastSuccessAt: server.lastSuccessAt,
+      remainingSeconds,
+      remainingReadAt: server.remaining ? server.remaining.readAt : null,
+      expiresAt
+    };
+  }
+
+  describeAccount(name, now = Date.now()) {
+    const account = this.accounts.get(name) || { lastLogin: null, sessionStartedAt: null };
+    return {
+      lastLogin: account.lastLogin,
+      sessionStartedAt: account.sessionStartedAt,
+      sessionAgeSeconds: account.sessionStartedAt ? Math.round((now - Date.parse(account.sessionStartedAt)) / 1000) : null
+    };
+  }
+}
+
+module.exports = {
+  RunState
+};
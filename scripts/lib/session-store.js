@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_STATE_DIR = path.join(os.homedir(), '.falix-keepalive');
+const KEY_FILE_NAME = 'session.key';
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 1;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+function ensurePrivateDir(dir) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+}
+
+// Write to a sibling temp file and rename, so a crash never leaves half a file behind
+function writePrivateFile(filePath, content) {
+  ensurePrivateDir(path.dirname(filePath));
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content, { mode: 0o600 });
+  fs.chmodSync(tempPath, 0o600);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Persists session cookies encrypted with AES-256-GCM. The key comes from
+ * `key` (any passphrase), else from `keyFile`, else from a random key that is
+ * generated once next to the session file.
+ *
+ * Options:
+ * - filePath: where the encrypted session is written
+ * - key: passphrase, e.g. from FALIX_SESSION_KEY
+ * - keyFile: file holding the passphrase (default: session.key beside filePath)
+ * - logger: object with log/warn/error methods (default: console)
+ */
+class SessionStore {
+  constructor(options = {}) {
+    if (!options.filePath) {
+      throw new Error('SessionStore requires a filePath');
+    }
+    this.filePath = path.resolve(options.filePath);
+    this.key = options.key || null;
+    this.keyFile = path.resolve(options.keyFile || path.join(path.dirname(this.filePath), KEY_FILE_NAME));
+    this.logger = options.logger || console;
+  }
+
+  readPassphrase(createIfMissing) {
+    if (this.key) {
+      return this.key;
+    }
+
+    if (fs.existsSync(this.keyFile)) {
+      const passphrase = fs.readFileSync(this.keyFile, 'utf-8').trim();
+      if (!passphrase) {
+        throw new Error(`Session key file ${this.keyFile} is empty`);
+      }
+      return passphrase;
+    }
+
+    if (!createIfMissing) {
+      return null;
+    }
+
+    const passphrase = crypto.randomBytes(KEY_LENGTH).toString('base64');
+    writePrivateFile(this.keyFile, `${passphrase}\n`);
+    this.logger.log(`Generated session key at ${this.keyFile}`);
+    return passphrase;
+  }
+
+  encrypt(plaintext) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = crypto.scryptSync(this.readPassphrase(true), salt, KEY_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+
+    return {
+      version: FORMAT_VERSION,
+      algorithm: ALGORITHM,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(envelope) {
+    if (!envelope || envelope.version !== FORMAT_VERSION || envelope.algorithm !== ALGORITHM) {
+      throw new Error('unrecognized session file format');
+    }
+
+    const passphrase = this.readPassphrase(false);
+    if (!passphrase) {
+      throw new Error(`no session key available (FALIX_SESSION_KEY unset and ${this.keyFile} missing)`);
+    }
+
+    const key = crypto.scryptSync(passphrase, Buffer.from(envelope.salt, 'base64'), KEY_LENGTH);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+    try {
+      return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf-8');
+    } catch {
+      throw new Error('decryption failed (wrong key or tampered file)');
+    }
+  }
+
+  save(cookies) {
+    const envelope = this.encrypt(JSON.stringify(cookies));
+    writePrivateFile(this.filePath, JSON.stringify(envelope, null, 2));
+  }
+
+  /**
+   * Returns the saved cookies, or null when there is no usable session. A
+   * corrupt, legacy plaintext or undecryptable file is reported and ignored so
+   * the caller falls back to a fresh login, which then overwrites it.
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    try {
+      const envelope = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      if (Array.isArray(envelope)) {
+        throw new Error('file is unencrypted (written by an older version)');
+      }
+
+      const cookies = JSON.parse(this.decrypt(envelope));
+      if (!Array.isArray(cookies)) {
+        throw new Error('decrypted session is not a cookie list');
+      }
+      return cookies;
+    } catch (error) {
+      this.logger.warn(`⚠ Ignoring saved session ${this.filePath}: ${error.message}. A fresh login will replace it.`);
+      return null;
+    }
+  }
+
+  clear() {
+    fs.rmSync(this.filePath, { force: true });
+  }
+}
+
+module.exports = {
+  SessionStore,
+  DEFAULT_STATE_DIR
+};
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const http = require('http');
+const { CloudflareChallengeError } = require('./errors');
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+/**
+ * An error with the HTTP status the API answers it with.
+ */
+class ApiError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+  }
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+// Hashing first gives both sides the same length, which timingSafeEqual requires
+function tokensMatch(expected, provided) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(provided));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new ApiError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf-8').trim();
+      if (!text) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(new ApiError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Local HTTP API for a long-running keepalive. The caller supplies what the
+ * endpoints do:
+ * - getStatus(): the document served at GET /status
+ * - extend(serverId): runs Add time for one server, resolves with the result
+ * - login(accountName): forces a fresh login; accountName may be null for all
+ *
+ * Options:
+ * - token: bearer token the POST endpoints require; without one they answer
+ *   403, so nothing can be triggered by accident
+ * - logger: object with log/warn/error methods (default: console)
+ *
+ * Handlers registered with route() receive `{ req, res, params, query, body }`.
+ * A handler that writes the response itself (e.g. a stream) returns nothing;
+ * otherwise its return value is sent as JSON.
+ */
+class StatusApi {
+  constructor(options = {}) {
+    this.token = options.token || null;
+    this.logger = options.logger || console;
+    this.startedAt = new Date();
+    this.routes = [];
+    this.getStatus = options.getStatus;
+
+    this.route('GET', '/healthz', () => ({
+      status: 'ok',
+      startedAt: this.startedAt.toISOString(),
+      uptimeSeconds: Math.round((Date.now() - this.startedAt.getTime()) / 1000)
+    }));
+    this.route('GET', '/status', () => this.getStatus());
+    this.route('POST', '/extend/:serverId', ({ params }) => options.extend(params.serverId), { auth: true });
+    this.route('POST', '/login', ({ query, body }) => options.login(body.account || query.get('account') || null), { auth: true });
+  }
+
+  /**
+   * Adds an endpoint. `pattern` is a path where `:name` segments become
+   * `params.name`; `{ auth: true }` requires the bearer token.
+   */
+  route(method, pattern, handler, options = {}) {
+    const names = [];
+    const source = pattern.replace(/:(\w+)/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    this.routes.push({ method, regex: new RegExp(`^${source}$`), names, handler, auth: Boolean(options.auth) });
+  }
+
+  authorize(req) {
+    if (!this.token) {
+      throw new ApiError(403, 'Actions are disabled: set STATUS_API_TOKEN to enable them');
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match || !tokensMatch(this.token, match[1].trim())) {
+      throw new ApiError(401, 'Missing or invalid bearer token');
+    }
+  }
+
+  async handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const candidates = this.routes.filter(route => route.regex.test(url.pathname));
+      if (candidates.length === 0) {
+        throw new ApiError(404, `No endpoint at ${url.pathname}`);
+      }
+      const route = candidates.find(entry => entry.method === req.method);
+      if (!route) {
+        res.setHeader('Allow', [...new Set(candidates.map(entry => entry.method))].join(', '));
+        throw new ApiError(405, `${req.method} is not supported on ${url.pathname}`);
+      }
+
+      if (route.auth) {
+        this.authorize(req);
+        this.logger.log(`Status API: ${req.method} ${url.pathname} from ${req.socket.remoteAddress}`);
+      }
+
+      const values = route.regex.exec(url.pathname).slice(1);
+      const params = Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(values[index])]));
+      const body = req.method === 'POST' ? await readJsonBody(req) : {};
+
+      const result = await route.handler({ req, res, params, query: url.searchParams, body });
+      if (!res.headersSent) {
+        sendJson(res, 200, result);
+      }
+    } catch (error) {
+      let statusCode = error.statusCode || 500;
+      if (error instanceof CloudflareChallengeError) {
+        statusCode = 503;
+      }
+      if (statusCode >= 500) {
+        this.logger.error(`Status API: ${req.method} ${req.url} failed: ${error.message}`);
+      }
+      if (!res.headersSent) {
+        sendJson(res, statusCode, { error: error.message }, statusCode === 401 ? { 'WWW-Authenticate': 'Bearer' } : {});
+      } else {
+        res.end();
+      }
+    }
+  }
+
+  /**
+   * Starts serving. Resolves with the listening http.Server.
+   */
+  listen(port, host) {
+    const server = http.createServer((req, res) => {
+      this.handle(req, res);
+    });
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve(server);
+      });
+    });
+  }
+}
+
+module.exports = {
+  StatusApi,
+  ApiError
+};
@@ -0,0 +1,246 @@
+// Reads the timer page from raw HTML, for the browserless keepalive. There is
+// no DOM here, so tags are matched with regular expressions; the helpers only
+// need the Add time form, the CSRF token and the countdown text.
+
+const { readingFromTexts } = require('./timer-status');
+
+const ADD_TIME_PATTERN = /add[\s_-]*time|addtime|添加时间/i;
+const COUNTDOWN_ATTRIBUTE_PATTERN = /countdown|timer|time/i;
+const CSRF_META_NAMES = ['csrf-token', 'csrf_token', '_token', 'xsrf-token'];
+const ACTION_ATTRIBUTES = ['hx-post', 'data-url', 'data-action', 'formaction', 'data-href'];
+const CHALLENGE_PATTERN = /cf-browser-verification|cdn-cgi\/challenge-platform|cf_chl_|cf-turnstile|<title>\s*just a moment/i;
+// Anywhere in the page, scripts included, since the countdown may be rendered client-side
+const TIMER_MARKUP_PATTERN = /add[\s_-]*time|addtime|countdown|添加时间/i;
+const BLOCK_TAG_PATTERN = /<\/?(?:p|div|li|tr|br|h[1-6]|section|article|header|footer|span)\b[^>]*>/gi;
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(/([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+function textOf(html) {
+  return decodeEntities(html
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(BLOCK_TAG_PATTERN, '\n')
+    .replace(/<[^>]+>/g, ' '))
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+function findElements(html, tagName) {
+  const pattern = new RegExp(`<${tagName}\\b([^>]*)>([\\s\\S]*?)<\\/${tagName}>`, 'gi');
+  return [...html.matchAll(pattern)].map(match => ({ attributes: parseAttributes(match[1]), inner: match[2] }));
+}
+
+function findVoidElements(html, tagName) {
+  const pattern = new RegExp(`<${tagName}\\b([^>]*)\\/?>`, 'gi');
+  return [...html.matchAll(pattern)].map(match => parseAttributes(match[1]));
+}
+
+function findCsrfToken(html) {
+  for (const meta of findVoidElements(html, 'meta')) {
+    if (CSRF_META_NAMES.includes((meta.name || '').toLowerCase()) && meta.content) {
+      return meta.content;
+    }
+  }
+  return null;
+}
+
+function isAddTimeControl(attributes, text) {
+  const label = [text, attributes.value, attributes.id, attributes.class, attributes['data-testid'], attributes['aria-label']].filter(Boolean).join(' ');
+  return ADD_TIME_PATTERN.test(label);
+}
+
+function formFields(inner, submitter) {
+  const fields = {};
+  for (const input of findVoidElements(inner, 'input')) {
+    const type = (input.type || 'text').toLowerCase();
+    if (!input.name || ['submit', 'button', 'image', 'reset', 'file'].includes(type)) {
+      continue;
+    }
+    if (['checkbox', 'radio'].includes(type) && !('checked' in input)) {
+      continue;
+    }
+    fields[input.name] = input.value || (type === 'checkbox' ? 'on' : '');
+  }
+  for (const textarea of findElements(inner, 'textarea')) {
+    if (textarea.attributes.name) {
+      fields[textarea.attributes.name] = decodeEntities(textarea.inner);
+    }
+  }
+  // A named submit button sends its own name=value, and servers may rely on it
+  if (submitter && submitter.name) {
+    fields[submitter.name] = submitter.value || '';
+  }
+  return fields;
+}
+
+/**
+ * Finds what the Add time button would send: a form submission, or a request
+ * named in a data/htmx attribute of the button. Returns `{ method, url,
+ * fields, csrfToken, source }`, where `source` is `form` or the attribute the
+ * URL came from, or null when the page has no recognizable Add time control.
+ */
+function findAddTimeAction(html, pageUrl) {
+  const csrfToken = findCsrfToken(html);
+
+  for (const form of findElements(html, 'form')) {
+    const buttons = findElements(form.inner, 'button').map(button => ({ attributes: button.attributes, text: textOf(button.inner) }));
+    const inputs = findVoidElements(form.inner, 'input')
+      .filter(input => ['submit', 'button'].includes((input.type || '').toLowerCase()))
+      .map(attributes => ({ attributes, text: attributes.value || '' }));
+    const submitter = [...buttons, ...inputs].find(control => isAddTimeControl(control.attributes, control.text));
+
+    if (!submitter && !isAddTimeControl(form.attributes, '')) {
+      continue;
+    }
+
+    const fields = formFields(form.inner, submitter && submitter.attributes);
+    if (csrfToken && !Object.values(fields).includes(csrfToken)) {
+      fields._token = csrfToken;
+    }
+    return {
+      method: (form.attributes.method || 'GET').toUpperCase(),
+      url: new URL(form.attributes.action || pageUrl, pageUrl).toString(),
+      fields,
+      csrfToken,
+      source: 'form'
+    };
+  }
+
+  for (const tagName of ['button', 'a']) {
+    for (const element of findElements(html, tagName)) {
+      const source = ACTION_ATTRIBUTES.find(name => element.attributes[name]);
+      if (!source || !isAddTimeControl(element.attributes, textOf(element.inner))) {
+        continue;
+      }
+      return {
+        method: 'POST',
+        url: new URL(element.attributes[source], pageUrl).toString(),
+        fields: csrfToken ? { _token: csrfToken } : {},
+        csrfToken,
+        source
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Candidate countdown texts in the same shape the browser reader produces,
+ * for readingFromTexts(): element texts named like a timer first, then page
+ * lines that look like a clock.
+ */
+function extractCountdownTexts(html, now = Date.now()) {
+  const texts = [];
+  const elementPattern = /<([a-z][a-z0-9-]*)\b([^>]*)>([\s\S]*?)<\/\1>/gi;
+
+  for (const match of html.matchAll(elementPattern)) {
+    const attributes = parseAttributes(match[2]);
+    if (!COUNTDOWN_ATTRIBUTE_PATTERN.test(`${attributes.class || ''} ${attributes.id || ''}`) && match[1].toLowerCase() !== 'time') {
+      continue;
+    }
+
+    // Countdown widgets often render from a data attribute that the script ticks down
+    const seconds = attributes['data-remaining'] || attributes['data-seconds'] || attributes['data-time-left'];
+    const end = attributes['data-end'] || attributes['data-expires'];
+    if (seconds && /^\d+$/.test(seconds)) {
+      texts.push(`${seconds} seconds`);
+    } else if (end) {
+      const endTime = /^\d+$/.test(end) ? Number(end) * (end.length <= 10 ? 1000 : 1) : Date.parse(end);
+      if (!Number.isNaN(endTime)) {
+        texts.push(`${Math.max(0, Math.round((endTime - now) / 1000))} seconds`);
+      }
+    }
+
+    const text = textOf(match[3]);
+    if (text && text.length <= 200 && /\d/.test(text) && !texts.includes(text)) {
+      texts.push(text);
+    }
+  }
+
+  const lines = textOf(html).split('\n').filter(line => line.length <= 200 && /\d/.test(line));
+  return {
+    texts: texts.concat(lines.filter(line => /\d:\d{2}/.test(line))),
+    maxTexts: lines.filter(line => /max|limit|上限|最大/i.test(line))
+  };
+}
+
+function looksLikeLoginPage(html) {
+  return /<input\b[^>]*type\s*=\s*["']?password/i.test(html);
+}
+
+function looksLikeChallengePage(html) {
+  return CHALLENGE_PATTERN.test(html);
+}
+
+function isSuccessStatus(status) {
+  return status >= 200 && status < 300;
+}
+
+/**
+ * Classifies a response to a /timer request by where it ended up and what it
+ * contains, since an expired session redirects to the login page and still
+ * ends in a 200. `response` has `status`, `finalUrl`, `headers` and `html`.
+ *
+ * Returns `{ outcome, reason, countdown }`. The outcome is one of:
+ * - `success`: the timer page itself, recognized by its countdown or Add time markup
+ * - `auth-required`: 401/403, a redirect to /auth, or a login form
+ * - `challenged`: a Cloudflare challenge page
+ * - `unknown`: anything else, such as an error status or an unrelated page
+ */
+function classifyTimerResponse({ status, finalUrl, headers = {}, html = '' }) {
+  const path = finalUrl ? new URL(finalUrl).pathname : '';
+
+  if (headers['cf-mitigated'] === 'challenge' || looksLikeChallengePage(html)) {
+    return { outcome: 'challenged', reason: `Cloudflare challenge page (status ${status})`, countdown: null };
+  }
+  if (status === 401 || status === 403) {
+    return { outcome: 'auth-required', reason: `status ${status}`, countdown: null };
+  }
+  if (/\/auth(\/|$)/.test(path)) {
+    return { outcome: 'auth-required', reason: `redirected to ${path}`, countdown: null };
+  }
+  if (looksLikeLoginPage(html)) {
+    return { outcome: 'auth-required', reason: 'login form in the response', countdown: null };
+  }
+  if (!isSuccessStatus(status)) {
+    return { outcome: 'unknown', reason: `unexpected status ${status}`, countdown: null };
+  }
+
+  const candidates = extractCountdownTexts(html);
+  const countdown = readingFromTexts(candidates.texts, candidates.maxTexts);
+  if (countdown) {
+    return { outcome: 'success', reason: `countdown "${countdown.text}"`, countdown };
+  }
+  if (TIMER_MARKUP_PATTERN.test(html)) {
+    return { outcome: 'success', reason: 'timer markup', countdown: null };
+  }
+  return { outcome: 'unknown', reason: `no timer markup in the response (status ${status}${path ? `, ${path}` : ''})`, countdown: null };
+}
+
+module.exports = {
+  classifyTimerResponse,
+  findAddTimeAction,
+  extractCountdownTexts,
+  looksLikeLoginPage,
+  looksLikeChallengePage
+};
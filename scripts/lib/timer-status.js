@@ -0,0 +1,138 @@
+// Turns the countdown text on the Falix timer page into seconds. Falix shows
+// clock style (`01:59:58`) or unit style (`2h 15m`), and translated pages use
+// their own unit words, so units are matched against per-language lists.
+
+const UNITS = [
+  { seconds: 86400, names: ['d', 'day', 'days', 'tag', 'tage', 'jour', 'jours', 'día', 'días', 'dia', 'dias', 'giorno', 'giorni', 'dag', 'dagen', 'дн', 'день', 'дня', 'дней', '天', '日'] },
+  { seconds: 3600, names: ['h', 'hr', 'hrs', 'hour', 'hours', 'std', 'stunde', 'stunden', 'heure', 'heures', 'hora', 'horas', 'ora', 'ore', 'uur', 'godz', 'ч', 'час', 'часа', 'часов', '小时', '小時', '時間', '时', '時'] },
+  { seconds: 60, names: ['m', 'min', 'mins', 'minute', 'minutes', 'minuten', 'minuto', 'minutos', 'minuti', 'minuut', 'мин', 'минута', 'минуты', 'минут', '分钟', '分鐘', '分'] },
+  { seconds: 1, names: ['s', 'sec', 'secs', 'second', 'seconds', 'sek', 'sekunde', 'sekunden', 'seconde', 'secondes', 'segundo', 'segundos', 'secondo', 'secondi', 'seconden', 'с', 'сек', 'секунд', 'секунды', '秒', '秒钟', '秒鐘'] }
+];
+const UNIT_SECONDS = new Map(UNITS.flatMap(unit => unit.names.map(name => [name, unit.seconds])));
+
+// A clock time of day ("12:30 PM") is not a countdown
+const CLOCK_PATTERN = /(?<![\d:])\d{1,3}(?::\d{2}){1,3}(?![\d:]|\s*[ap]\.?m\b)/gi;
+// Decimals may use a comma, as in "1,5 Stunden"
+const UNIT_TOKEN_PATTERN = /(\d+(?:[.,]\d+)?)\s*([a-zÀ-ɏЀ-ӿ぀-ヿ一-鿿]+)\.?/giu;
+// Words that may join the parts of one duration, e.g. "2 hours and 5 minutes"
+const JOINER_PATTERN = /^[\s,]*(?:(?:and|und|et|y|e|en|и)\s*)?$/iu;
+// Text between two durations that marks the second one as the limit, e.g. "01:00:00 / 04:00:00"
+const MAX_SEPARATOR_PATTERN = /\/|\bof\b|\bvon\b|\bsur\b|\bde\b|\bиз\b|max|límite|limit|上限|最大/iu;
+const MAX_LABEL_PATTERN = /max|límite|limit|上限|最大/iu;
+
+function clockToSeconds(text) {
+  const parts = text.split(':').map(Number);
+  // MM:SS, H:MM:SS or D:HH:MM:SS
+  const weights = [86400, 3600, 60, 1].slice(4 - parts.length);
+  return parts.reduce((total, part, index) => total + part * weights[index], 0);
+}
+
+function findClockSegments(text) {
+  return [...text.matchAll(CLOCK_PATTERN)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    seconds: clockToSeconds(match[0])
+  }));
+}
+
+function findUnitSegments(text) {
+  const segments = [];
+  let current = null;
+
+  for (const match of text.matchAll(UNIT_TOKEN_PATTERN)) {
+    const unitSeconds = UNIT_SECONDS.get(match[2].toLowerCase());
+    if (!unitSeconds) {
+      current = null;
+      continue;
+    }
+
+    const value = Math.round(Number(match[1].replace(',', '.')) * unitSeconds);
+    if (current && JOINER_PATTERN.test(text.slice(current.end, match.index))) {
+      current.seconds += value;
+      current.end = match.index + match[0].length;
+      continue;
+    }
+
+    current = { start: match.index, end: match.index + match[0].length, seconds: value };
+    segments.push(current);
+  }
+
+  return segments;
+}
+
+/**
+ * Finds the durations in a countdown text. Returns `{ remainingSeconds,
+ * maxSeconds }` (maxSeconds is null unless the text also shows the limit), or
+ * null when the text holds no duration.
+ */
+function parseTimerText(text) {
+  if (!text) {
+    return null;
+  }
+
+  const segments = [...findClockSegments(text), ...findUnitSegments(text)].sort((a, b) => a.start - b.start);
+  if (segments.length === 0) {
+    return null;
+  }
+
+  const [first, second] = segments;
+  if (MAX_LABEL_PATTERN.test(text.slice(0, first.start)) && !second) {
+    return { remainingSeconds: null, maxSeconds: first.seconds };
+  }
+
+  const maxSeconds = second && MAX_SEPARATOR_PATTERN.test(text.slice(first.end, second.start)) ? second.seconds : null;
+  return { remainingSeconds: first.seconds, maxSeconds };
+}
+
+function formatDuration(totalSeconds) {
+  if (totalSeconds === null || totalSeconds === undefined) {
+    return 'unknown';
+  }
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = value => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}h ${pad(minutes)}m ${pad(seconds)}s` : `${minutes}m ${pad(seconds)}s`;
+}
+
+/**
+ * Builds a timer reading from candidate texts taken off the page, most likely
+ * countdown first. `maxTexts` are labels such as "Maximum: 4 hours" that only
+ * give the limit. Returns null when no candidate holds a countdown.
+ */
+function readingFromTexts(texts, maxTexts = [], readAt = new Date()) {
+  let reading = null;
+
+  for (const text of texts) {
+    const parsed = parseTimerText(text);
+    if (parsed && parsed.remainingSeconds !== null) {
+      reading = { text, ...parsed };
+      break;
+    }
+  }
+  if (!reading) {
+    return null;
+  }
+
+  if (reading.maxSeconds === null) {
+    for (const text of maxTexts) {
+      const parsed = parseTimerText(text);
+      if (parsed && parsed.maxSeconds !== null) {
+        reading.maxSeconds = parsed.maxSeconds;
+        break;
+      }
+    }
+  }
+
+  return {
+    ...reading,
+    readAt: readAt.toISOString(),
+    expiresAt: new Date(readAt.getTime() + reading.remainingSeconds * 1000).toISOString()
+  };
+}
+
+module.exports = {
+  parseTimerText,
+  readingFromTexts,
+  formatDuration
+};
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, formatConfig, snapshotConfig } = require('../scripts/lib/config');
+const { ConfigError } = require('../scripts/lib/errors');
+
+// Every load searches an empty directory, so a falix.config.json in the checkout never leaks in
+function load(options = {}) {
+  const searchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'falix-config-test-'));
+  return loadConfig({ env: {}, flags: {}, searchDir, ...options });
+}
+
+function writeConfigFile(data) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'falix-config-test-'));
+  const filePath = path.join(directory, 'falix.config.json');
+  fs.writeFileSync(filePath, JSON.stringify(data));
+  return filePath;
+}
+
+test('layers flags over env over the config file over defaults', () => {
+  const configFile = writeConfigFile({ timerInterval: 1200, clickIntervalMs: 600000, clickLeadSeconds: 300 });
+  const config = load({
+    configFile,
+    env: { TIMER_INTERVAL: '1800', CLICK_INTERVAL_MS: '900000' },
+    flags: { timerInterval: '2400' }
+  });
+
+  assert.equal(config.values.timerInterval, 2400);
+  assert.equal(config.sources.timerInterval, '--interval');
+  assert.equal(config.values.clickIntervalMs, 900000);
+  assert.equal(config.sources.clickIntervalMs, 'env CLICK_INTERVAL_MS');
+  assert.equal(config.values.clickLeadSeconds, 300);
+  assert.equal(config.sources.clickLeadSeconds, 'falix.config.json');
+  assert.equal(config.values.headless, true);
+  assert.equal(config.sources.headless, 'default');
+});
+
+test('treats empty environment variables as unset', () => {
+  const config = load({ env: { TIMER_INTERVAL: '', SMTP_PORT: '' } });
+  assert.equal(config.sources.timerInterval, 'default');
+  assert.equal(config.values.smtpPort, 587);
+});
+
+test('derives state file paths from stateDir', () => {
+  const config = load({ env: { FALIX_STATE_DIR: '/var/lib/falix' } });
+  assert.equal(config.values.cookiesFile, path.join('/var/lib/falix', 'cookies.json'));
+  assert.equal(config.values.historyFile, path.join('/var/lib/falix', 'history.jsonl'));
+});
+
+test('parses booleans, lists and restricted values', () => {
+  const config = load({ env: { HEADLESS: 'no', EMAIL_TO: 'a@example.com, b@example.com', SMTP_HOST: 'smtp.example.com', EMAIL_FROM: 'bot@example.com', KEEPALIVE_MODE: 'http' } });
+  assert.equal(config.values.headless, false);
+  assert.deepEqual(config.values.emailTo, ['a@example.com', 'b@example.com']);
+  assert.equal(config.values.keepaliveMode, 'http');
+});
+
+test('reports every invalid value in one ConfigError', () => {
+  assert.throws(
+    () => load({ env: { TIMER_INTERVAL: 'soon', KEEPALIVE_MODE: 'carrier-pigeon', LOG_LEVEL: 'loud' } }),
+    (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.match(error.message, /TIMER_INTERVAL/);
+      assert.match(error.message, /KEEPALIVE_MODE/);
+      assert.match(error.message, /LOG_LEVEL/);
+      return true;
+    }
+  );
+});
+
+test('rejects unknown keys in the config file', () => {
+  const configFile = writeConfigFile({ timerIntervall: 60 });
+  assert.throws(() => load({ configFile }), ConfigError);
+});
+
+test('requires recipients when SMTP is configured', () => {
+  assert.throws(() => load({ env: { SMTP_HOST: 'smtp.example.com' } }), /emailTo/);
+});
+
+test('masks secrets and account emails in config print and the snapshot', () => {
+  const config = load({ env: { FALIX_EMAIL: 'jane@example.com', FALIX_PASSWORD: 'hunter22', STATUS_API_TOKEN: 'abcdef123' } });
+  const printed = formatConfig(config);
+  assert.doesNotMatch(printed, /hunter22|abcdef123|jane@example\.com/);
+  assert.match(printed, /j\*\*\*@example\.com/);
+
+  const snapshot = snapshotConfig(config);
+  assert.equal(snapshot.values.password.value, '********');
+  assert.equal(snapshot.values.email.value, 'j***@example.com');
+  assert.equal(snapshot.values.email.source, 'env FALIX_EMAIL');
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CookieJar } = require('../scripts/lib/cookie-jar');
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+function names(jar, url) {
+  return jar.cookiesFor(url, NOW).map(cookie => cookie.name);
+}
+
+test('host-only cookies match their host only', () => {
+  const jar = new CookieJar([{ name: 'host', value: '1', domain: 'client.falixnodes.net', path: '/' }]);
+  assert.deepEqual(names(jar, 'https://client.falixnodes.net/timer'), ['host']);
+  assert.deepEqual(names(jar, 'https://sub.client.falixnodes.net/timer'), []);
+  assert.deepEqual(names(jar, 'https://falixnodes.net/'), []);
+});
+
+test('domain cookies match the domain and its subdomains', () => {
+  const jar = new CookieJar([{ name: 'domain', value: '1', domain: '.falixnodes.net', path: '/' }]);
+  assert.deepEqual(names(jar, 'https://falixnodes.net/'), ['domain']);
+  assert.deepEqual(names(jar, 'https://client.falixnodes.net/'), ['domain']);
+  assert.deepEqual(names(jar, 'https://notfalixnodes.net/'), []);
+});
+
+test('paths match on segment boundaries, most specific first', () => {
+  const jar = new CookieJar([
+    { name: 'root', value: '1', domain: 'example.com', path: '/' },
+    { name: 'timer', value: '1', domain: 'example.com', path: '/timer' }
+  ]);
+  assert.deepEqual(names(jar, 'https://example.com/timer/123'), ['timer', 'root']);
+  assert.deepEqual(names(jar, 'https://example.com/timer'), ['timer', 'root']);
+  assert.deepEqual(names(jar, 'https://example.com/timers'), ['root']);
+});
+
+test('secure cookies stay off plain HTTP, except on localhost', () => {
+  const jar = new CookieJar([
+    { name: 'secure', value: '1', domain: 'example.com', path: '/', secure: true },
+    { name: 'local', value: '1', domain: 'localhost', path: '/', secure: true }
+  ]);
+  assert.deepEqual(names(jar, 'http://example.com/'), []);
+  assert.deepEqual(names(jar, 'https://example.com/'), ['secure']);
+  assert.deepEqual(names(jar, 'http://localhost/'), ['local']);
+});
+
+test('Set-Cookie uses the default path and Domain attribute', () => {
+  const jar = new CookieJar();
+  jar.setCookie('session=abc; Path=/; HttpOnly', 'https://client.falixnodes.net/auth/login', NOW);
+  jar.setCookie('scoped=1', 'https://client.falixnodes.net/auth/login', NOW);
+  jar.setCookie('wide=1; Domain=falixnodes.net', 'https://client.falixnodes.net/', NOW);
+
+  assert.deepEqual(names(jar, 'https://client.falixnodes.net/timer'), ['session', 'wide']);
+  assert.deepEqual(names(jar, 'https://client.falixnodes.net/auth/other'), ['scoped', 'session', 'wide']);
+  assert.equal(jar.getCookieHeader('https://falixnodes.net/', NOW), 'wide=1');
+});
+
+test('expired cookies are deleted and pruned', () => {
+  const jar = new CookieJar([
+    { name: 'old', value: '1', domain: 'example.com', path: '/', expires: NOW / 1000 - 1 },
+    { name: 'fresh', value: '1', domain: 'example.com', path: '/', expires: NOW / 1000 + 3600 }
+  ]);
+  assert.deepEqual(names(jar, 'https://example.com/'), ['fresh']);
+  assert.equal(jar.prune(NOW), 1);
+
+  jar.setCookie('fresh=; Max-Age=0', 'https://example.com/', NOW);
+  assert.equal(jar.size, 0);
+});
+
+test('replaceFor swaps the cookies in scope and keeps the rest', () => {
+  const jar = new CookieJar([
+    { name: 'a', value: '1', domain: 'example.com', path: '/' },
+    { name: 'api', value: '1', domain: 'example.com', path: '/api' }
+  ]);
+  jar.replaceFor('https://example.com/', [{ name: 'b', value: '2', domain: 'example.com', path: '/' }]);
+  assert.deepEqual(jar.toJSON().map(cookie => cookie.name).sort(), ['api', 'b']);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Redactor, REDACTED } = require('../scripts/lib/redaction');
+const { Logger } = require('../scripts/lib/logger');
+
+test('masks known secrets, longest first', () => {
+  const redactor = new Redactor({ secrets: ['hunter2', 'hunter2-extended'] });
+  assert.equal(redactor.redactText('pw hunter2-extended and hunter2'), `pw ${REDACTED} and ${REDACTED}`);
+});
+
+test('ignores secrets too short to mask safely', () => {
+  const redactor = new Redactor({ secrets: ['abc', null, 42] });
+  assert.equal(redactor.redactText('abc'), 'abc');
+});
+
+test('masks emails, bearer tokens and credential URL parameters', () => {
+  const redactor = new Redactor();
+  assert.equal(redactor.redactText('user jane.doe+falix@example.co.uk'), 'user [email]');
+  assert.equal(redactor.redactText('Authorization: Bearer abc.def-123'), `Authorization: Bearer ${REDACTED}`);
+  assert.equal(redactor.redactText('GET /timer?id=1&csrf_token=xyz&page=2'), `GET /timer?id=1&csrf_token=${REDACTED}&page=2`);
+});
+
+test('keeps server IDs in text but masks them in HTML', () => {
+  const redactor = new Redactor({ serverIds: ['123456'] });
+  assert.equal(redactor.redactText('server 123456'), 'server 123456');
+  assert.equal(redactor.redactHtml('<p>server 123456</p>'), '<p>server [server]</p>');
+});
+
+test('masks form values, token meta tags, attributes and JSON keys in HTML', () => {
+  const redactor = new Redactor();
+  const html = [
+    '<input type="email" name="email" value="someone">',
+    '<input type="submit" value="Log in">',
+    '<input type="hidden" name="_token" value="csrf123">',
+    '<meta name="csrf-token" content="abc">',
+    '<meta name="author" content="Falix">',
+    '<textarea>notes</textarea>',
+    '<div data-session-id="s1"></div>',
+    '<script>var state = {"apiKey": "k1", "name": "x"};</script>'
+  ].join('\n');
+  const redacted = redactor.redactHtml(html);
+
+  assert.match(redacted, /type="email" name="email" value="\[redacted\]"/);
+  assert.match(redacted, /type="submit" value="Log in"/);
+  assert.doesNotMatch(redacted, /csrf123|"abc"|notes|"s1"|"k1"/);
+  assert.match(redacted, /name="author" content="Falix"/);
+  assert.match(redacted, /"name": "x"/);
+});
+
+test('picks up secrets added after construction', () => {
+  const redactor = new Redactor();
+  redactor.addSecret('from-a-file');
+  assert.equal(redactor.redactText('value from-a-file'), `value ${REDACTED}`);
+});
+
+test('a Logger with a redactor masks messages and errors', () => {
+  const lines = [];
+  const output = { log: line => lines.push(line), warn: line => lines.push(line), error: line => lines.push(line) };
+  const logger = new Logger({ format: 'json', redactor: new Redactor({ secrets: ['hunter22'] }), console: output });
+
+  logger.error('login as jane@example.com failed', new Error('bad password hunter22'));
+  const entry = JSON.parse(lines[0]);
+  assert.equal(entry.msg, 'login as [email] failed bad password [redacted]');
+  assert.equal(entry.error.message, 'bad password [redacted]');
+  assert.doesNotMatch(entry.error.stack, /hunter22/);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyTimerResponse, findAddTimeAction } = require('../scripts/lib/timer-page');
+
+const TIMER_URL = 'https://client.falixnodes.net/timer?id=123456';
+
+test('a timer page with a countdown is a success', () => {
+  const result = classifyTimerResponse({ status: 200, finalUrl: TIMER_URL, html: '<div class="countdown">01:30:00</div>' });
+  assert.equal(result.outcome, 'success');
+  assert.equal(result.countdown.remainingSeconds, 5400);
+});
+
+test('timer markup without a readable countdown is still a success', () => {
+  const result = classifyTimerResponse({ status: 200, finalUrl: TIMER_URL, html: '<button>Add time</button>' });
+  assert.equal(result.outcome, 'success');
+  assert.equal(result.countdown, null);
+});
+
+test('redirects to /auth, auth statuses and login forms need a login', () => {
+  assert.equal(classifyTimerResponse({ status: 200, finalUrl: 'https://client.falixnodes.net/auth/login', html: '' }).outcome, 'auth-required');
+  assert.equal(classifyTimerResponse({ status: 403, finalUrl: TIMER_URL, html: '' }).outcome, 'auth-required');
+  assert.equal(classifyTimerResponse({ status: 200, finalUrl: TIMER_URL, html: '<input type="password" name="password">' }).outcome, 'auth-required');
+});
+
+test('Cloudflare challenges are recognized by header or markup', () => {
+  assert.equal(classifyTimerResponse({ status: 403, finalUrl: TIMER_URL, headers: { 'cf-mitigated': 'challenge' } }).outcome, 'challenged');
+  assert.equal(classifyTimerResponse({ status: 200, finalUrl: TIMER_URL, html: '<title>Just a moment...</title>' }).outcome, 'challenged');
+});
+
+test('error statuses and unrelated pages are unknown', () => {
+  assert.equal(classifyTimerResponse({ status: 502, finalUrl: TIMER_URL, html: '' }).outcome, 'unknown');
+  assert.equal(classifyTimerResponse({ status: 200, finalUrl: TIMER_URL, html: '<p>Hello</p>' }).outcome, 'unknown');
+});
+
+test('finds the Add time form with its CSRF token', () => {
+  const html = '<form method="post" action="/timer/add"><input type="hidden" name="_token" value="t0k"><button type="submit">Add time</button></form>';
+  const action = findAddTimeAction(html, TIMER_URL);
+  assert.equal(action.method, 'POST');
+  assert.equal(action.url, 'https://client.falixnodes.net/timer/add');
+  assert.equal(action.fields._token, 't0k');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTimerText, readingFromTexts, formatDuration } = require('../scripts/lib/timer-status');
+
+test('parses clock style countdowns', () => {
+  assert.deepEqual(parseTimerText('01:59:58'), { remainingSeconds: 7198, maxSeconds: null });
+  assert.deepEqual(parseTimerText('45:10'), { remainingSeconds: 2710, maxSeconds: null });
+});
+
+test('parses unit style countdowns and their joiners', () => {
+  assert.equal(parseTimerText('2h 15m').remainingSeconds, 8100);
+  assert.equal(parseTimerText('2 hours and 5 minutes').remainingSeconds, 7500);
+  assert.equal(parseTimerText('1 Tag 2 Stunden').remainingSeconds, 93600);
+});
+
+test('parses decimal amounts with a point or a comma', () => {
+  assert.equal(parseTimerText('1.5 hours').remainingSeconds, 5400);
+  assert.equal(parseTimerText('1,5 Stunden').remainingSeconds, 5400);
+  assert.equal(parseTimerText('0.5 min').remainingSeconds, 30);
+});
+
+test('reads the limit after a separator or a max label', () => {
+  assert.deepEqual(parseTimerText('01:00:00 / 04:00:00'), { remainingSeconds: 3600, maxSeconds: 14400 });
+  assert.deepEqual(parseTimerText('Maximum: 4 hours'), { remainingSeconds: null, maxSeconds: 14400 });
+});
+
+test('ignores times of day and text without a duration', () => {
+  assert.equal(parseTimerText('Renewed at 12:30 PM'), null);
+  assert.equal(parseTimerText('Add time'), null);
+  assert.equal(parseTimerText(''), null);
+});
+
+test('builds a reading from the first candidate with a countdown', () => {
+  const readAt = new Date('2026-01-01T00:00:00Z');
+  const reading = readingFromTexts(['Add time', '30m 00s'], ['Maximum: 4 hours'], readAt);
+  assert.equal(reading.remainingSeconds, 1800);
+  assert.equal(reading.maxSeconds, 14400);
+  assert.equal(reading.expiresAt, '2026-01-01T00:30:00.000Z');
+  assert.equal(readingFromTexts(['nothing here']), null);
+});
+
+test('formats durations', () => {
+  assert.equal(formatDuration(5400), '1h 30m 00s');
+  assert.equal(formatDuration(65), '1m 05s');
+  assert.equal(formatDuration(null), 'unknown');
+});